@@ -0,0 +1,176 @@
+// Event log - usage counts for organisers, kept on the device
+// script.js reports what happens through trackEvent() ("snapframe:track"); each event is
+// stored in IndexedDB with its time and a random per-visit session id - never names,
+// images or anything else personal. The log is exported as CSV/JSON from the settings
+// panel and, with "analytics.endpoint" in event.json, sent there in batches; batches that
+// fail are retried later and when the device comes back online.
+
+const ANALYTICS_DEFAULTS = {
+    endpoint: null, // Events stay on the device until an endpoint is configured
+    batchSize: 50,
+    flushIntervalSeconds: 60
+};
+
+// Highest event id the endpoint has accepted
+const ANALYTICS_SENT_STORAGE_KEY = 'snapframe.analyticsSentId';
+const ANALYTICS_MAX_RETRY_SECONDS = 300;
+
+const analyticsSummary = document.getElementById('analytics-summary');
+
+// Random id for this page load, so events of one visit can be grouped
+const analyticsSessionId = Math.random().toString(36).slice(2, 10);
+
+let analyticsConfig = Object.assign({}, ANALYTICS_DEFAULTS);
+let analyticsQueue = Promise.resolve(); // Keeps writes in order
+let analyticsFlushTimer = null;
+let analyticsRetrySeconds = 0; // Backoff after a failed flush
+let isFlushingAnalytics = false;
+
+function initAnalytics(eventConfig) {
+    analyticsConfig = Object.assign({}, ANALYTICS_DEFAULTS, eventConfig && eventConfig.analytics);
+    scheduleAnalyticsFlush(analyticsConfig.flushIntervalSeconds);
+}
+
+// Append an event to the log (writes are queued so ids follow the order of events)
+function recordAnalyticsEvent(type, detail) {
+    const entry = {
+        type,
+        time: new Date().toISOString(),
+        session: analyticsSessionId,
+        detail: detail || {}
+    };
+    analyticsQueue = analyticsQueue
+        .then(() => dbAdd('analytics', entry))
+        .catch(error => console.warn('Failed to log event:', error && error.name));
+    return analyticsQueue;
+}
+
+// ---- Sending to the endpoint ----
+
+function scheduleAnalyticsFlush(seconds) {
+    clearTimeout(analyticsFlushTimer);
+    if (!analyticsConfig.endpoint) return;
+    analyticsFlushTimer = setTimeout(flushAnalytics, seconds * 1000);
+}
+
+function getSentAnalyticsId() {
+    return Number(localStorage.getItem(ANALYTICS_SENT_STORAGE_KEY)) || 0;
+}
+
+// Send unsent events in batches; stop at the first failure and retry with backoff
+async function flushAnalytics() {
+    if (!analyticsConfig.endpoint || isFlushingAnalytics) return;
+    if (!navigator.onLine) {
+        // The 'online' listener flushes as soon as the connection is back
+        scheduleAnalyticsFlush(analyticsConfig.flushIntervalSeconds);
+        return;
+    }
+
+    isFlushingAnalytics = true;
+    try {
+        await analyticsQueue;
+        for (;;) {
+            const batch = await dbGetAll('analytics',
+                IDBKeyRange.lowerBound(getSentAnalyticsId(), true), analyticsConfig.batchSize);
+            if (batch.length === 0) break;
+
+            const response = await fetch(analyticsConfig.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ event: getEventName(), events: batch }),
+                keepalive: true
+            });
+            if (!response.ok) {
+                throw new Error(`Analytics upload failed (${response.status})`);
+            }
+            localStorage.setItem(ANALYTICS_SENT_STORAGE_KEY, String(batch[batch.length - 1].id));
+            if (batch.length < analyticsConfig.batchSize) break;
+        }
+        analyticsRetrySeconds = 0;
+        scheduleAnalyticsFlush(analyticsConfig.flushIntervalSeconds);
+    } catch (error) {
+        console.warn('Analytics flush failed:', error.message);
+        analyticsRetrySeconds = Math.min(
+            Math.max(analyticsRetrySeconds * 2, analyticsConfig.flushIntervalSeconds),
+            ANALYTICS_MAX_RETRY_SECONDS
+        );
+        scheduleAnalyticsFlush(analyticsRetrySeconds);
+    } finally {
+        isFlushingAnalytics = false;
+    }
+}
+
+// ---- Export ----
+
+// Totals shown in the settings panel
+async function updateAnalyticsSummary() {
+    try {
+        await analyticsQueue;
+        const events = await dbGetAll('analytics');
+        const count = type => events.filter(event => event.type === type).length;
+        analyticsSummary.textContent = `${events.length} events · ${count('snap')} photos/clips · `
+            + `${count('share')} shared · ${count('download')} downloaded`;
+    } catch (error) {
+        analyticsSummary.textContent = 'The event log is not available on this device.';
+    }
+}
+
+function quoteCsvValue(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per event; detail fields become columns
+function formatAnalyticsCsv(events) {
+    const detailKeys = [...new Set(events.flatMap(event => Object.keys(event.detail || {})))].sort();
+    const header = ['id', 'time', 'session', 'type', ...detailKeys];
+    const rows = events.map(event => [
+        event.id, event.time, event.session, event.type,
+        ...detailKeys.map(key => (event.detail || {})[key])
+    ]);
+    return [header, ...rows].map(row => row.map(quoteCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+async function exportAnalytics(format) {
+    try {
+        await analyticsQueue;
+        const events = await dbGetAll('analytics');
+        if (events.length === 0) {
+            showToast('The event log is empty.', 'info', 2000);
+            return;
+        }
+
+        const blob = format === 'csv'
+            ? new Blob([formatAnalyticsCsv(events)], { type: 'text/csv' })
+            : new Blob([JSON.stringify({ event: getEventName(), events }, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.download = `${slugify(getEventName()) || 'snapframe'}-event-log.${format}`;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (error) {
+        console.error('Event log export error:', error);
+        showToast('Failed to export the event log.', 'error');
+    }
+}
+
+async function clearAnalytics() {
+    if (!window.confirm('Delete the event log on this device?')) return;
+    try {
+        await analyticsQueue;
+        await dbClear('analytics');
+        await updateAnalyticsSummary();
+    } catch (error) {
+        showToast('Failed to clear the event log.', 'error');
+    }
+}
+
+// Event listeners
+document.addEventListener('snapframe:configloaded', event => initAnalytics(event.detail.eventConfig));
+document.addEventListener('snapframe:track', event => recordAnalyticsEvent(event.detail.type, event.detail.detail));
+document.addEventListener('snapframe:settingsopen', updateAnalyticsSummary);
+window.addEventListener('online', flushAnalytics);
+
+document.getElementById('analytics-csv-btn').addEventListener('click', () => exportAnalytics('csv'));
+document.getElementById('analytics-json-btn').addEventListener('click', () => exportAnalytics('json'));
+document.getElementById('analytics-clear-btn').addEventListener('click', clearAnalytics);
@@ -3,21 +3,67 @@ REM Build script for Windows - Copies production files to dist/
 
 echo Building Snap & Frame...
 
+REM Build id used to version the service worker cache
+for /f %%i in ('powershell -NoProfile -Command "Get-Date -Format yyyyMMddHHmmss"') do set BUILD_ID=%%i
+
 REM Create dist directory if it doesn't exist
 if not exist "dist" mkdir "dist"
 if not exist "dist\assets" mkdir "dist\assets"
+if not exist "dist\frames" mkdir "dist\frames"
+if not exist "dist\icons" mkdir "dist\icons"
+if not exist "dist\locales" mkdir "dist\locales"
+if not exist "dist\luts" mkdir "dist\luts"
 
 REM Copy production files
 echo Copying files...
 copy "index.html" "dist\" > nul
 copy "style.css" "dist\" > nul
+copy "i18n.js" "dist\" > nul
 copy "script.js" "dist\" > nul
+copy "frame-renderer.js" "dist\" > nul
+copy "metadata.js" "dist\" > nul
+copy "db.js" "dist\" > nul
+copy "event-package.js" "dist\" > nul
+copy "zip.js" "dist\" > nul
+copy "kiosk.js" "dist\" > nul
+copy "qr.js" "dist\" > nul
+copy "filters.js" "dist\" > nul
+copy "lowlight.js" "dist\" > nul
+copy "handoff.js" "dist\" > nul
+copy "stickers.js" "dist\" > nul
+copy "upload.js" "dist\" > nul
+copy "print.js" "dist\" > nul
+copy "remote.js" "dist\" > nul
+copy "analytics.js" "dist\" > nul
+copy "debug.js" "dist\" > nul
+copy "diagnostics.js" "dist\" > nul
+copy "render-worker.js" "dist\" > nul
+copy "controller.html" "dist\" > nul
+copy "controller.js" "dist\" > nul
+copy "designer.html" "dist\" > nul
+copy "designer.js" "dist\" > nul
 copy "_headers" "dist\" > nul
+copy "event.json" "dist\" > nul
+copy "manifest.webmanifest" "dist\" > nul
+
+REM Service worker with the build id stamped in
+powershell -NoProfile -Command "(Get-Content 'sw.js') -replace \"const CACHE_VERSION = 'dev';\", \"const CACHE_VERSION = '%BUILD_ID%';\" | Set-Content 'dist\sw.js'"
 
 REM Copy assets
 copy "assets\*.svg" "dist\assets\" > nul
 copy "assets\*.png" "dist\assets\" > nul
+copy "assets\*.jpg" "dist\assets\" > nul
+copy "icons\*.png" "dist\icons\" > nul
+
+REM Copy frame templates
+copy "frames\*.json" "dist\frames\" > nul
+
+REM Copy message catalogues
+copy "locales\*.json" "dist\locales\" > nul
+
+REM Copy colour filter LUTs
+copy "luts\*.cube" "dist\luts\" > nul
 
-echo Build complete! Files are in the dist/ directory.
+echo Build complete (%BUILD_ID%)! Files are in the dist/ directory.
 echo.
 echo To deploy: wrangler pages deploy dist
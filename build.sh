@@ -3,20 +3,62 @@
 
 echo "Building Snap & Frame..."
 
+# Build id used to version the service worker cache (commit + timestamp)
+BUILD_ID="$(git rev-parse --short HEAD 2>/dev/null || echo local)-$(date +%Y%m%d%H%M%S)"
+
 # Create dist directory if it doesn't exist
-mkdir -p dist/assets
+mkdir -p dist/assets dist/frames dist/icons dist/locales dist/luts
 
 # Copy production files
 echo "Copying files..."
 cp index.html dist/
 cp style.css dist/
+cp i18n.js dist/
 cp script.js dist/
+cp frame-renderer.js dist/
+cp metadata.js dist/
+cp db.js dist/
+cp event-package.js dist/
+cp zip.js dist/
+cp kiosk.js dist/
+cp qr.js dist/
+cp filters.js dist/
+cp lowlight.js dist/
+cp handoff.js dist/
+cp stickers.js dist/
+cp upload.js dist/
+cp print.js dist/
+cp remote.js dist/
+cp analytics.js dist/
+cp debug.js dist/
+cp diagnostics.js dist/
+cp render-worker.js dist/
+cp controller.html dist/
+cp controller.js dist/
+cp designer.html dist/
+cp designer.js dist/
 cp _headers dist/
+cp event.json dist/
+cp manifest.webmanifest dist/
+
+# Service worker with the build id stamped in
+sed "s/const CACHE_VERSION = 'dev';/const CACHE_VERSION = '$BUILD_ID';/" sw.js > dist/sw.js
 
 # Copy assets
 cp assets/*.svg dist/assets/ 2>/dev/null || true
 cp assets/*.png dist/assets/ 2>/dev/null || true
+cp assets/*.jpg dist/assets/ 2>/dev/null || true
+cp icons/*.png dist/icons/
+
+# Copy frame templates
+cp frames/*.json dist/frames/
+
+# Copy message catalogues
+cp locales/*.json dist/locales/
+
+# Copy colour filter LUTs
+cp luts/*.cube dist/luts/
 
-echo "Build complete! Files are in the dist/ directory."
+echo "Build complete ($BUILD_ID)! Files are in the dist/ directory."
 echo ""
 echo "To deploy: wrangler pages deploy dist"
@@ -0,0 +1,219 @@
+// Controller page - a second phone that works the booth's shutter through the relay
+// Opened from the QR code in the booth's Output Settings (controller.html?relay=...&room=...)
+// or with the pairing code typed in. The relay falls back to "remote.relayUrl" in
+// event.json. After each shot the booth sends a thumbnail of the result.
+
+const CONTROLLER_STORAGE_KEY = 'snapframe.controller';
+const CONTROLLER_RECONNECT_MAX_SECONDS = 30;
+const CONTROLLER_ROOM_PATTERN = /^[A-Z0-9]{4,12}$/;
+
+// Shutter label for each booth screen
+const CONTROLLER_SHUTTER_LABELS = {
+    camera: 'Snap',
+    busy: '…',
+    result: 'New Photo'
+};
+
+const controllerStatus = document.getElementById('controller-status');
+const controllerPair = document.getElementById('controller-pair');
+const controllerCodeInput = document.getElementById('controller-code-input');
+const controllerThumb = document.getElementById('controller-thumb');
+const controllerShutterBtn = document.getElementById('controller-shutter-btn');
+const controllerActions = document.getElementById('controller-actions');
+const controllerAspectBtn = document.getElementById('controller-aspect-btn');
+
+let controllerRelay = null;
+let controllerRoom = null;
+let controllerSocket = null;
+let controllerReconnectTimer = null;
+let controllerReconnectDelay = 1;
+let controllerScreen = null; // Booth screen from its last "state" message
+
+function loadControllerPairing() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(CONTROLLER_STORAGE_KEY)) || {};
+    } catch (error) {
+        // Ignore unreadable pairing
+    }
+    const params = new URLSearchParams(window.location.search);
+    controllerRelay = params.get('relay') || saved.relay || null;
+    const room = (params.get('room') || saved.room || '').toUpperCase();
+    controllerRoom = CONTROLLER_ROOM_PATTERN.test(room) ? room : null;
+    saveControllerPairing();
+}
+
+function saveControllerPairing() {
+    try {
+        localStorage.setItem(CONTROLLER_STORAGE_KEY, JSON.stringify({
+            relay: controllerRelay,
+            room: controllerRoom
+        }));
+    } catch (error) {
+        // Storage unavailable - the pairing lasts until reload
+    }
+}
+
+// Without a relay in the link, use the one the booth's event.json points at
+async function loadControllerRelay() {
+    if (controllerRelay) return;
+    try {
+        const response = await fetch('event.json', { cache: 'no-cache' });
+        const eventConfig = await response.json();
+        controllerRelay = (eventConfig.remote && eventConfig.remote.relayUrl) || null;
+    } catch (error) {
+        console.error('Event config load error:', error);
+    }
+}
+
+function setControllerStatus(message, state) {
+    controllerStatus.textContent = message;
+    controllerStatus.dataset.state = state || '';
+}
+
+function showControllerPairing() {
+    controllerPair.classList.remove('hidden');
+    controllerShutterBtn.classList.add('hidden');
+    controllerActions.classList.add('hidden');
+    controllerThumb.classList.add('hidden');
+    setControllerStatus('Scan the QR code in the booth\'s Output Settings, or enter its pairing code.');
+    controllerCodeInput.focus();
+}
+
+function showControllerRemote() {
+    controllerPair.classList.add('hidden');
+    controllerShutterBtn.classList.remove('hidden');
+    controllerActions.classList.remove('hidden');
+}
+
+// ---- Relay connection ----
+
+function connectController() {
+    clearTimeout(controllerReconnectTimer);
+    let url;
+    try {
+        url = new URL(controllerRelay);
+    } catch (error) {
+        setControllerStatus('No relay configured for the remote shutter.');
+        return;
+    }
+    url.searchParams.set('room', controllerRoom);
+    url.searchParams.set('role', 'controller');
+
+    const socket = new WebSocket(url.href);
+    controllerSocket = socket;
+    setControllerStatus('Connecting…');
+
+    socket.addEventListener('open', () => {
+        controllerReconnectDelay = 1;
+    });
+    socket.addEventListener('message', event => handleControllerMessage(event.data));
+    socket.addEventListener('close', () => {
+        if (socket !== controllerSocket) return;
+        controllerSocket = null;
+        updateControllerButtons(null);
+        setControllerStatus('Relay not reachable - retrying…');
+        // Back off while the relay is down
+        controllerReconnectTimer = setTimeout(connectController, controllerReconnectDelay * 1000);
+        controllerReconnectDelay = Math.min(controllerReconnectDelay * 2, CONTROLLER_RECONNECT_MAX_SECONDS);
+    });
+}
+
+function disconnectController() {
+    clearTimeout(controllerReconnectTimer);
+    const socket = controllerSocket;
+    controllerSocket = null;
+    if (socket) socket.close();
+}
+
+function handleControllerMessage(data) {
+    let message;
+    try {
+        message = JSON.parse(data);
+    } catch (error) {
+        return;
+    }
+
+    if (message.type === 'peers') {
+        if (message.booths > 0) {
+            setControllerStatus(`Paired with booth ${controllerRoom}`, 'connected');
+        } else {
+            setControllerStatus(`Waiting for booth ${controllerRoom}…`);
+            updateControllerButtons(null);
+        }
+    } else if (message.type === 'state') {
+        updateControllerButtons(message.screen, message.aspect);
+    } else if (message.type === 'result' && message.thumbnail) {
+        controllerThumb.src = message.thumbnail;
+        controllerThumb.alt = message.kind === 'video' ? 'Last clip on the booth' : 'Last photo on the booth';
+        controllerThumb.classList.remove('hidden');
+    }
+}
+
+// Buttons follow the booth's screen; a null screen means no booth is connected
+function updateControllerButtons(screen, aspect) {
+    controllerScreen = screen;
+    controllerShutterBtn.disabled = !screen || screen === 'busy';
+    controllerShutterBtn.textContent = CONTROLLER_SHUTTER_LABELS[screen] || CONTROLLER_SHUTTER_LABELS.camera;
+    controllerAspectBtn.disabled = screen !== 'camera';
+    if (aspect) {
+        controllerAspectBtn.querySelector('.btn-label').textContent = aspect;
+    }
+    if (screen === 'camera') {
+        controllerThumb.classList.add('hidden');
+    }
+}
+
+function sendControllerCommand(command) {
+    if (!controllerSocket || controllerSocket.readyState !== WebSocket.OPEN) return;
+    controllerSocket.send(JSON.stringify({ type: 'command', command }));
+    if (navigator.vibrate) navigator.vibrate(30);
+}
+
+// ---- Pairing ----
+
+async function startController() {
+    loadControllerPairing();
+    await loadControllerRelay();
+    if (!controllerRelay) {
+        setControllerStatus('No relay configured for the remote shutter.');
+        return;
+    }
+    if (!controllerRoom) {
+        showControllerPairing();
+        return;
+    }
+    showControllerRemote();
+    connectController();
+}
+
+function pairController(event) {
+    event.preventDefault();
+    const room = controllerCodeInput.value.trim().toUpperCase();
+    if (!CONTROLLER_ROOM_PATTERN.test(room)) {
+        setControllerStatus('That code doesn\'t look right - it is shown under the booth\'s QR code.');
+        return;
+    }
+    controllerRoom = room;
+    saveControllerPairing();
+    showControllerRemote();
+    connectController();
+}
+
+function unpairController() {
+    disconnectController();
+    controllerRoom = null;
+    saveControllerPairing();
+    controllerCodeInput.value = '';
+    showControllerPairing();
+}
+
+// Event listeners
+controllerPair.addEventListener('submit', pairController);
+controllerShutterBtn.addEventListener('click', () => {
+    sendControllerCommand(controllerScreen === 'result' ? 'retake' : 'shutter');
+});
+controllerAspectBtn.addEventListener('click', () => sendControllerCommand('aspect'));
+document.getElementById('controller-unpair-btn').addEventListener('click', unpairController);
+
+startController();
@@ -0,0 +1,89 @@
+// IndexedDB helpers - on-device storage for the kiosk session gallery, the event log,
+// the print queue and an imported event package
+// Each store is created in onupgradeneeded; bump DB_VERSION when adding one.
+
+const DB_NAME = 'snapframe';
+const DB_VERSION = 4;
+
+let dbPromise = null;
+
+// Open (and create/upgrade) the database once per page
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                // Captured photos/clips, keyed by capture sequence so reshoots replace the entry
+                if (!db.objectStoreNames.contains('gallery')) {
+                    db.createObjectStore('gallery', { keyPath: 'sequence' });
+                }
+                // Usage events for the organiser (analytics.js), in the order they happened
+                if (!db.objectStoreNames.contains('analytics')) {
+                    db.createObjectStore('analytics', { keyPath: 'id', autoIncrement: true });
+                }
+                // Print jobs waiting for (or kept for reprints on) the booth printer (print.js)
+                if (!db.objectStoreNames.contains('print')) {
+                    db.createObjectStore('print', { keyPath: 'id', autoIncrement: true });
+                }
+                // Event package imported in Output Settings, replacing event.json's frames (script.js)
+                if (!db.objectStoreNames.contains('packages')) {
+                    db.createObjectStore('packages', { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a retry if opening failed (e.g. storage blocked)
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+}
+
+// Run a single request against a store and resolve with its result
+async function runStoreRequest(storeName, mode, createRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = createRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function dbPut(storeName, value) {
+    return runStoreRequest(storeName, 'readwrite', store => store.put(value));
+}
+
+function dbAdd(storeName, value) {
+    return runStoreRequest(storeName, 'readwrite', store => store.add(value));
+}
+
+// Every record, or those in a key range (IDBKeyRange) up to count
+function dbGetAll(storeName, query, count) {
+    return runStoreRequest(storeName, 'readonly', store => store.getAll(query, count));
+}
+
+function dbGet(storeName, key) {
+    return runStoreRequest(storeName, 'readonly', store => store.get(key));
+}
+
+function dbDelete(storeName, key) {
+    return runStoreRequest(storeName, 'readwrite', store => store.delete(key));
+}
+
+function dbCount(storeName) {
+    return runStoreRequest(storeName, 'readonly', store => store.count());
+}
+
+function dbClear(storeName) {
+    return runStoreRequest(storeName, 'readwrite', store => store.clear());
+}
@@ -0,0 +1,50 @@
+// Debug overlay - render timings on screen, for tuning on real devices
+// Open the app with ?debug=1. Shows the last capture-to-result time (shutter to result
+// screen) with its breakdown, the average of recent captures, and how long the preview
+// overlay took to draw. script.js reports timings through "snapframe:timing".
+
+const DEBUG_HISTORY_SIZE = 10;
+
+const debugOverlay = document.getElementById('debug-overlay');
+const isDebugMode = new URLSearchParams(window.location.search).get('debug') === '1';
+
+const debugCaptures = []; // Most recent capture timings, newest last
+let debugOverlayDuration = null; // Last preview overlay draw
+
+function formatDebugMs(value) {
+    return typeof value === 'number' ? `${Math.round(value)} ms` : '-';
+}
+
+function renderDebugOverlay() {
+    const lines = [];
+    const last = debugCaptures[debugCaptures.length - 1];
+    if (last) {
+        const average = debugCaptures.reduce((sum, timing) => sum + timing.duration, 0) / debugCaptures.length;
+        lines.push(`capture → result ${formatDebugMs(last.duration)} (${last.path})`);
+        lines.push(`  prepare ${formatDebugMs(last.prepare)} · compose ${formatDebugMs(last.compose)}`);
+        lines.push(`  encode ${formatDebugMs(last.encode)} · metadata ${formatDebugMs(last.metadata)}`);
+        lines.push(`average of ${debugCaptures.length}: ${formatDebugMs(average)}`);
+    } else {
+        lines.push('capture → result: no captures yet');
+    }
+    lines.push(`preview overlay ${debugOverlayDuration === null ? '-' : `${debugOverlayDuration.toFixed(1)} ms`}`);
+    debugOverlay.textContent = lines.join('\n');
+}
+
+function handleTiming(event) {
+    const timing = event.detail;
+    if (timing.name === 'capture') {
+        debugCaptures.push(timing);
+        if (debugCaptures.length > DEBUG_HISTORY_SIZE) debugCaptures.shift();
+        console.log('Capture timing:', timing);
+    } else if (timing.name === 'overlay') {
+        debugOverlayDuration = timing.duration;
+    }
+    renderDebugOverlay();
+}
+
+if (isDebugMode) {
+    debugOverlay.classList.remove('hidden');
+    renderDebugOverlay();
+    document.addEventListener('snapframe:timing', handleTiming);
+}
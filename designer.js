@@ -0,0 +1,764 @@
+// Frame designer - builds event frames without editing template JSON by hand
+// Operators drop SVG/PNG layers onto a 9:16 or 16:9 canvas, drag them into place, resize
+// them from the corner handle and set their opacity, over a sample photo or the live
+// camera. The canvas is drawn in reference pixels (short side 1080) with the booth's own
+// renderer (frame-renderer.js), so what's shown is what guests get. Layout on 9:16 is the
+// layer's base layout; changes on 16:9 go to its "landscape" override. The result is
+// exported as an event package (event-package.js) with every image inlined.
+
+const DESIGNER_SAFE_MARGIN = 60; // Keep logos and text this far inside (rounded screens, print trimming)
+const DESIGNER_HANDLE_SIZE = 40; // Resize handle at a layer's bottom-right corner
+const DESIGNER_MIN_WIDTH = 20;
+const DESIGNER_DEFAULT_WIDTH = 540; // New layers without a size of their own (e.g. some SVGs)
+const DESIGNER_FILL_TOLERANCE = 0.02; // Images this close to the canvas shape become "fill" layers
+const DESIGNER_DRAFT_STORAGE_KEY = 'snapframe.designerDraft';
+const DESIGNER_LAYER_TYPES = ['image/svg+xml', 'image/png'];
+
+const designerCanvas = document.getElementById('designer-canvas');
+const designerCtx = designerCanvas.getContext('2d');
+const designerStage = document.getElementById('designer-stage');
+const designerStatus = document.getElementById('designer-status');
+const backgroundSelect = document.getElementById('designer-background-select');
+const guidesInput = document.getElementById('designer-guides-input');
+const eventNameInput = document.getElementById('designer-event-name-input');
+const hashtagInput = document.getElementById('designer-hashtag-input');
+const frameSelect = document.getElementById('designer-frame-select');
+const frameNameInput = document.getElementById('designer-frame-name-input');
+const layerList = document.getElementById('designer-layer-list');
+const layerInput = document.getElementById('designer-layer-input');
+const inspector = document.getElementById('designer-inspector');
+const inspectorTitle = document.getElementById('designer-inspector-title');
+const anchorSelect = document.getElementById('designer-anchor-select');
+const widthInput = document.getElementById('designer-width-input');
+const marginInputs = Array.from(document.querySelectorAll('.designer-margins input'));
+const opacityInput = document.getElementById('designer-opacity-input');
+const opacityValue = document.getElementById('designer-opacity-value');
+const resetLayoutBtn = document.getElementById('designer-reset-layout-btn');
+const openInput = document.getElementById('designer-open-input');
+const photoInput = document.getElementById('designer-photo-input');
+
+let designerEvent = { name: '', hashtag: '' };
+let designerFrames = []; // Raw frame templates being edited (layer images as data: URLs)
+let designerFrameIndex = 0;
+let designerAspect = 'portrait';
+let selectedLayerId = null;
+let designerDrag = null; // { mode: 'move' | 'resize', layer, startX, startY, rect } while dragging
+const designerImages = new Map(); // Layer src -> loaded image
+let designerBackground = null; // Sample photo (image) or live camera (video), cover-fitted
+let designerStream = null;
+let isDesignerRedrawQueued = false;
+
+// ---- Frames and layers ----
+
+function getDesignerFrame() {
+    return designerFrames[designerFrameIndex];
+}
+
+function getSelectedLayer() {
+    const frame = getDesignerFrame();
+    return frame ? frame.layers.find(layer => layer.id === selectedLayerId) || null : null;
+}
+
+function slugifyDesignerName(name, fallback) {
+    return name.toLowerCase().replace(/\.[a-z0-9]+$/, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || fallback;
+}
+
+// "logo", "logo-2", "logo-3"... so ids stay unique
+function getUniqueDesignerId(base, usedIds) {
+    let id = base;
+    for (let suffix = 2; usedIds.includes(id); suffix++) {
+        id = `${base}-${suffix}`;
+    }
+    return id;
+}
+
+function createDesignerFrame(name) {
+    const usedIds = designerFrames.map(frame => frame.id);
+    return { id: getUniqueDesignerId(slugifyDesignerName(name, 'frame'), usedIds), name, layers: [] };
+}
+
+// The frame as the booth would load it - layer srcs are data: URLs, so the base URL doesn't matter
+function getRenderedFrame() {
+    const frame = getDesignerFrame();
+    try {
+        return normalizeFrameTemplate(frame, location.href);
+    } catch (error) {
+        return null;
+    }
+}
+
+function getLayerImages(frame) {
+    const images = {};
+    frame.layers.forEach(layer => {
+        const image = designerImages.get(layer.src);
+        if (image) images[layer.id] = image;
+    });
+    return images;
+}
+
+function loadDesignerImage(src) {
+    if (designerImages.has(src)) return Promise.resolve(designerImages.get(src));
+    return loadFrameImage(src).then(image => {
+        designerImages.set(src, image);
+        return image;
+    });
+}
+
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+// Dropped or picked SVG/PNG files become image layers on top of the frame
+async function addDesignerLayers(files) {
+    const frame = getDesignerFrame();
+    const images = Array.from(files).filter(file => DESIGNER_LAYER_TYPES.includes(file.type));
+    if (images.length < files.length) {
+        setDesignerStatus('Only SVG and PNG files can be frame layers.');
+    }
+
+    for (const file of images) {
+        try {
+            const src = await readFileAsDataUrl(file);
+            const image = await loadDesignerImage(src);
+            const layer = {
+                id: getUniqueDesignerId(slugifyDesignerName(file.name, 'layer'), frame.layers.map(item => item.id)),
+                src,
+                anchor: 'center',
+                margin: { top: 0, right: 0, bottom: 0, left: 0 },
+                opacity: 1
+            };
+
+            // Full-canvas artwork (borders, corner graphics) stretches to the frame
+            const { width, height } = getDesignerCanvasSize();
+            if (image.width && Math.abs(image.width / image.height - width / height) < DESIGNER_FILL_TOLERANCE) {
+                layer.anchor = 'fill';
+            } else {
+                layer.width = Math.round(Math.min(image.width || DESIGNER_DEFAULT_WIDTH, width - 2 * DESIGNER_SAFE_MARGIN));
+            }
+            frame.layers.push(layer);
+            selectedLayerId = layer.id;
+        } catch (error) {
+            console.error('Layer load error:', error);
+            setDesignerStatus(`${file.name} could not be read.`);
+        }
+    }
+    designerChanged();
+}
+
+function removeSelectedLayer() {
+    const frame = getDesignerFrame();
+    frame.layers = frame.layers.filter(layer => layer.id !== selectedLayerId);
+    selectedLayerId = null;
+    designerChanged();
+}
+
+// Move the selected layer up (drawn later, on top) or down the stack
+function moveSelectedLayer(step) {
+    const layers = getDesignerFrame().layers;
+    const index = layers.findIndex(layer => layer.id === selectedLayerId);
+    const target = index + step;
+    if (index < 0 || target < 0 || target >= layers.length) return;
+    [layers[index], layers[target]] = [layers[target], layers[index]];
+    designerChanged();
+}
+
+// ---- Layout ----
+
+function getDesignerCanvasSize() {
+    const aspect = FRAME_ASPECTS[designerAspect];
+    const scale = FRAME_REFERENCE_SIZE / Math.min(aspect.width, aspect.height);
+    return { width: aspect.width * scale, height: aspect.height * scale };
+}
+
+// Layout edits go to the base layer on 9:16 and to the aspect's override on 16:9
+function setLayerLayout(layer, changes) {
+    if (designerAspect === 'portrait') {
+        Object.assign(layer, changes);
+        // A "portrait" override from a hand-written template would hide the new values
+        const override = layer.overrides && layer.overrides.portrait;
+        if (override) {
+            Object.keys(changes).forEach(key => delete override[key]);
+        }
+        return;
+    }
+    layer.overrides = layer.overrides || {};
+    layer.overrides[designerAspect] = Object.assign({}, layer.overrides[designerAspect], changes);
+}
+
+// Canvas rectangle of an image layer on the current aspect (null for text or unloaded images)
+function getLayerCanvasRect(layer) {
+    const image = designerImages.get(layer.src);
+    if (layer.type === 'text' || !image) return null;
+    const { width, height } = getDesignerCanvasSize();
+    return getFrameLayerRect(resolveFrameLayout(layer, designerAspect), image, width, height, 1);
+}
+
+// Margins that put a rectangle at its position for the given anchor (inverse of getFrameLayerRect)
+function getMarginForRect(anchor, rect) {
+    const { width, height } = getDesignerCanvasSize();
+    const [vertical, horizontal = 'center'] = anchor === 'center' ? ['center', 'center'] : anchor.split('-');
+    const margin = { top: 0, right: 0, bottom: 0, left: 0 };
+
+    if (horizontal === 'left') {
+        margin.left = rect.x;
+    } else if (horizontal === 'right') {
+        margin.right = width - rect.x - rect.width;
+    } else {
+        margin.left = rect.x - (width - rect.width) / 2;
+    }
+
+    if (vertical === 'top') {
+        margin.top = rect.y;
+    } else if (vertical === 'bottom') {
+        margin.bottom = height - rect.y - rect.height;
+    } else {
+        margin.top = rect.y - (height - rect.height) / 2;
+    }
+
+    Object.keys(margin).forEach(side => {
+        margin[side] = Math.round(margin[side]);
+    });
+    return margin;
+}
+
+// New anchor for the selected layer, keeping it where it is on the canvas
+function setSelectedLayerAnchor(anchor) {
+    const layer = getSelectedLayer();
+    const rect = getLayerCanvasRect(layer);
+    const changes = { anchor };
+    if (rect && anchor !== 'fill') {
+        changes.margin = getMarginForRect(anchor, rect);
+        if (resolveFrameLayout(layer, designerAspect).anchor === 'fill') {
+            changes.width = Math.round(rect.width);
+        }
+    }
+    setLayerLayout(layer, changes);
+    designerChanged();
+}
+
+// ---- Drawing ----
+
+function requestDesignerRedraw() {
+    if (isDesignerRedrawQueued) return;
+    isDesignerRedrawQueued = true;
+    requestAnimationFrame(() => {
+        isDesignerRedrawQueued = false;
+        drawDesigner();
+        // The live camera keeps the canvas moving
+        if (designerStream) requestDesignerRedraw();
+    });
+}
+
+// Cover-fit the sample photo or camera frame, mirrored like the booth's front camera preview
+function drawDesignerBackground(width, height) {
+    const gradient = designerCtx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, '#3a4452');
+    gradient.addColorStop(1, '#15181d');
+    designerCtx.fillStyle = gradient;
+    designerCtx.fillRect(0, 0, width, height);
+
+    const source = designerBackground;
+    const sourceWidth = source && (source.videoWidth || source.naturalWidth);
+    const sourceHeight = source && (source.videoHeight || source.naturalHeight);
+    if (!sourceWidth || !sourceHeight) return;
+
+    const scale = Math.max(width / sourceWidth, height / sourceHeight);
+    const drawWidth = sourceWidth * scale;
+    const drawHeight = sourceHeight * scale;
+    designerCtx.save();
+    if (source instanceof HTMLVideoElement) {
+        designerCtx.translate(width, 0);
+        designerCtx.scale(-1, 1);
+    }
+    designerCtx.drawImage(source, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+    designerCtx.restore();
+}
+
+// Safe area and where multi-shot strip photos land, so layers can avoid covering faces
+function drawDesignerGuides(template, width, height) {
+    designerCtx.save();
+    designerCtx.lineWidth = 3;
+    designerCtx.setLineDash([18, 12]);
+
+    designerCtx.strokeStyle = 'rgba(124, 252, 154, 0.6)';
+    getFrameCells(template, 'strip', width, height, designerAspect).forEach(cell => {
+        designerCtx.strokeRect(cell.x, cell.y, cell.width, cell.height);
+    });
+
+    designerCtx.strokeStyle = 'rgba(255, 214, 10, 0.9)';
+    designerCtx.strokeRect(DESIGNER_SAFE_MARGIN, DESIGNER_SAFE_MARGIN,
+        width - 2 * DESIGNER_SAFE_MARGIN, height - 2 * DESIGNER_SAFE_MARGIN);
+    designerCtx.fillStyle = 'rgba(255, 214, 10, 0.9)';
+    designerCtx.font = '600 28px sans-serif';
+    designerCtx.fillText('Safe area', DESIGNER_SAFE_MARGIN + 12, DESIGNER_SAFE_MARGIN + 36);
+    designerCtx.restore();
+}
+
+function drawDesignerSelection(rect) {
+    designerCtx.save();
+    designerCtx.strokeStyle = '#21a0fb';
+    designerCtx.lineWidth = 4;
+    designerCtx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    designerCtx.fillStyle = '#21a0fb';
+    designerCtx.fillRect(rect.x + rect.width - DESIGNER_HANDLE_SIZE / 2, rect.y + rect.height - DESIGNER_HANDLE_SIZE / 2,
+        DESIGNER_HANDLE_SIZE, DESIGNER_HANDLE_SIZE);
+    designerCtx.restore();
+}
+
+function drawDesigner() {
+    const { width, height } = getDesignerCanvasSize();
+    if (designerCanvas.width !== width || designerCanvas.height !== height) {
+        designerCanvas.width = width;
+        designerCanvas.height = height;
+    }
+
+    drawDesignerBackground(width, height);
+    const template = getRenderedFrame();
+    if (!template) return;
+
+    const now = new Date();
+    drawFrameLayers(designerCtx, template, getLayerImages(template), width, height, designerAspect, {
+        event: designerEvent.name || 'Event name',
+        date: now.toLocaleDateString(undefined, { day: 'numeric', month: 'long', year: 'numeric' }),
+        time: now.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' }),
+        hashtag: designerEvent.hashtag,
+        guestName: 'Alex'
+    });
+    if (guidesInput.checked) {
+        drawDesignerGuides(template, width, height);
+    }
+
+    const layer = getSelectedLayer();
+    const rect = layer && getLayerCanvasRect(layer);
+    if (rect) drawDesignerSelection(rect);
+}
+
+// ---- Background ----
+
+function stopDesignerCamera() {
+    if (!designerStream) return;
+    designerStream.getTracks().forEach(track => track.stop());
+    designerStream = null;
+}
+
+async function setDesignerBackground(mode) {
+    stopDesignerCamera();
+    designerBackground = null;
+
+    if (mode === 'photo') {
+        photoInput.click();
+    } else if (mode === 'camera') {
+        try {
+            designerStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'user' }, audio: false });
+            const video = document.createElement('video');
+            video.muted = true;
+            video.playsInline = true;
+            video.srcObject = designerStream;
+            await video.play();
+            designerBackground = video;
+        } catch (error) {
+            console.error('Camera error:', error);
+            setDesignerStatus('The camera could not be started - use a sample photo instead.');
+            backgroundSelect.value = 'plain';
+        }
+    }
+    requestDesignerRedraw();
+}
+
+function loadSamplePhoto(file) {
+    const url = URL.createObjectURL(file);
+    // loadFrameImage() resolves null instead of rejecting when the image can't be decoded
+    loadFrameImage(url).then(image => {
+        URL.revokeObjectURL(url);
+        if (!image) {
+            setDesignerStatus(`${file.name} could not be opened.`);
+            backgroundSelect.value = 'plain';
+            designerBackground = null;
+        } else {
+            designerBackground = image;
+        }
+        requestDesignerRedraw();
+    });
+}
+
+// ---- Sidebar ----
+
+function setDesignerStatus(message) {
+    designerStatus.textContent = message;
+}
+
+function renderFrameSelect() {
+    frameSelect.innerHTML = '';
+    designerFrames.forEach((frame, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = frame.name;
+        frameSelect.appendChild(option);
+    });
+    frameSelect.value = String(designerFrameIndex);
+    frameNameInput.value = getDesignerFrame().name;
+}
+
+function renderLayerList() {
+    layerList.innerHTML = '';
+    // Top layer first, like an image editor
+    getDesignerFrame().layers.slice().reverse().forEach(layer => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.className = 'designer-layer';
+        button.classList.toggle('active', layer.id === selectedLayerId);
+        button.setAttribute('aria-pressed', String(layer.id === selectedLayerId));
+        button.textContent = layer.type === 'text' ? `${layer.id} (text)` : layer.id;
+        button.addEventListener('click', () => selectDesignerLayer(layer.id));
+        item.appendChild(button);
+        layerList.appendChild(item);
+    });
+}
+
+// Show the selected layer's layout for the current aspect
+function updateInspector() {
+    const layer = getSelectedLayer();
+    inspector.classList.toggle('hidden', !layer);
+    if (!layer) return;
+
+    const layout = resolveFrameLayout(layer, designerAspect);
+    inspectorTitle.textContent = `${layer.id} on ${FRAME_ASPECTS[designerAspect].label}`;
+    anchorSelect.value = layout.anchor;
+    widthInput.value = layout.width !== undefined ? layout.width : '';
+    widthInput.disabled = layer.type === 'text' || layout.anchor === 'fill';
+    marginInputs.forEach(input => {
+        input.value = layout.margin[input.dataset.side];
+        input.disabled = layout.anchor === 'fill';
+    });
+    opacityInput.value = layout.opacity;
+    opacityValue.textContent = `${Math.round(layout.opacity * 100)}%`;
+    resetLayoutBtn.classList.toggle('hidden', designerAspect === 'portrait'
+        || !(layer.overrides && layer.overrides[designerAspect]));
+}
+
+function selectDesignerLayer(layerId) {
+    selectedLayerId = layerId;
+    renderLayerList();
+    updateInspector();
+    requestDesignerRedraw();
+}
+
+function selectDesignerFrame(index) {
+    designerFrameIndex = index;
+    selectedLayerId = null;
+    designerChanged();
+}
+
+function setDesignerAspect(aspect) {
+    designerAspect = aspect;
+    document.querySelectorAll('[data-aspect]').forEach(button => {
+        const isActive = button.dataset.aspect === aspect;
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', String(isActive));
+    });
+    updateInspector();
+    requestDesignerRedraw();
+}
+
+function renameDesignerFrame(name) {
+    const frame = getDesignerFrame();
+    frame.name = name.trim() || frame.id;
+    const usedIds = designerFrames.filter(item => item !== frame).map(item => item.id);
+    frame.id = getUniqueDesignerId(slugifyDesignerName(frame.name, 'frame'), usedIds);
+    frameSelect.options[designerFrameIndex].textContent = frame.name;
+    saveDesignerDraft();
+}
+
+// Anything in the frame changed - refresh the sidebar and canvas and keep the draft
+function designerChanged() {
+    renderFrameSelect();
+    renderLayerList();
+    updateInspector();
+    requestDesignerRedraw();
+    saveDesignerDraft();
+}
+
+// ---- Canvas dragging ----
+
+function getCanvasPoint(event) {
+    const bounds = designerCanvas.getBoundingClientRect();
+    return {
+        x: (event.clientX - bounds.left) * designerCanvas.width / bounds.width,
+        y: (event.clientY - bounds.top) * designerCanvas.height / bounds.height
+    };
+}
+
+function isInsideRect(point, rect) {
+    return point.x >= rect.x && point.x <= rect.x + rect.width && point.y >= rect.y && point.y <= rect.y + rect.height;
+}
+
+// Topmost image layer under the point ("fill" layers cover everything, so they're picked from the list)
+function getLayerAt(point) {
+    const layers = getDesignerFrame().layers;
+    for (let index = layers.length - 1; index >= 0; index--) {
+        const layer = layers[index];
+        const rect = getLayerCanvasRect(layer);
+        if (rect && resolveFrameLayout(layer, designerAspect).anchor !== 'fill' && isInsideRect(point, rect)) {
+            return layer;
+        }
+    }
+    return null;
+}
+
+function startDesignerDrag(event) {
+    const point = getCanvasPoint(event);
+    const selected = getSelectedLayer();
+    const selectedRect = selected && getLayerCanvasRect(selected);
+    const isMovable = selectedRect && resolveFrameLayout(selected, designerAspect).anchor !== 'fill';
+    const handle = isMovable && {
+        x: selectedRect.x + selectedRect.width - DESIGNER_HANDLE_SIZE / 2,
+        y: selectedRect.y + selectedRect.height - DESIGNER_HANDLE_SIZE / 2,
+        width: DESIGNER_HANDLE_SIZE,
+        height: DESIGNER_HANDLE_SIZE
+    };
+
+    let layer;
+    let mode = 'move';
+    if (handle && isInsideRect(point, handle)) {
+        layer = selected;
+        mode = 'resize';
+    } else {
+        layer = getLayerAt(point);
+    }
+    if (!layer) {
+        selectDesignerLayer(null);
+        return;
+    }
+
+    event.preventDefault();
+    designerCanvas.setPointerCapture(event.pointerId);
+    designerDrag = { mode, layer, startX: point.x, startY: point.y, rect: getLayerCanvasRect(layer) };
+    if (layer.id !== selectedLayerId) selectDesignerLayer(layer.id);
+}
+
+function moveDesignerDrag(event) {
+    if (!designerDrag) return;
+    const point = getCanvasPoint(event);
+    const { layer, rect } = designerDrag;
+    const layout = resolveFrameLayout(layer, designerAspect);
+    const dx = point.x - designerDrag.startX;
+    const dy = point.y - designerDrag.startY;
+
+    if (designerDrag.mode === 'move') {
+        const moved = Object.assign({}, rect, { x: rect.x + dx, y: rect.y + dy });
+        setLayerLayout(layer, { margin: getMarginForRect(layout.anchor, moved) });
+    } else {
+        // The top-left corner stays put; the image keeps its shape
+        const width = Math.max(DESIGNER_MIN_WIDTH, rect.width + dx);
+        const resized = Object.assign({}, rect, { width, height: width * rect.height / rect.width });
+        const changes = { width: Math.round(width), margin: getMarginForRect(layout.anchor, resized) };
+        if (layout.height !== undefined) {
+            changes.height = Math.round(resized.height);
+        }
+        setLayerLayout(layer, changes);
+    }
+    updateInspector();
+    requestDesignerRedraw();
+}
+
+function endDesignerDrag() {
+    if (!designerDrag) return;
+    designerDrag = null;
+    saveDesignerDraft();
+}
+
+// ---- Package ----
+
+function getDesignerPackage() {
+    return {
+        format: EVENT_PACKAGE_FORMAT,
+        version: EVENT_PACKAGE_VERSION,
+        name: designerEvent.name || 'Event package',
+        event: { name: designerEvent.name, hashtag: designerEvent.hashtag },
+        frames: designerFrames
+    };
+}
+
+function exportDesignerPackage() {
+    const eventPackage = getDesignerPackage();
+    try {
+        normalizeEventPackage(eventPackage, location.href);
+    } catch (error) {
+        setDesignerStatus(`Can't export: ${error.message}`);
+        return;
+    }
+
+    const blob = new Blob([JSON.stringify(eventPackage, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${slugifyDesignerName(designerEvent.name, 'event')}.package.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    setDesignerStatus(`Exported ${designerFrames.length === 1 ? '1 frame' : `${designerFrames.length} frames`}.`);
+}
+
+// Load a package (an export, or the saved draft) into the designer
+async function applyDesignerPackage(raw) {
+    designerEvent = {
+        name: (raw.event && raw.event.name) || '',
+        hashtag: (raw.event && raw.event.hashtag) || ''
+    };
+    designerFrames = raw.frames.map(frame => Object.assign({}, frame, { layers: frame.layers || [] }));
+    if (designerFrames.length === 0) {
+        designerFrames.push(createDesignerFrame('Frame 1'));
+    }
+    designerFrameIndex = 0;
+    selectedLayerId = null;
+    eventNameInput.value = designerEvent.name;
+    hashtagInput.value = designerEvent.hashtag;
+
+    // Images whose data can't be decoded are left out of the canvas rather than failing the load
+    const sources = new Set();
+    designerFrames.forEach(frame => frame.layers.forEach(layer => layer.src && sources.add(layer.src)));
+    await Promise.allSettled(Array.from(sources, loadDesignerImage));
+    designerChanged();
+}
+
+async function openDesignerPackage(file) {
+    try {
+        await applyDesignerPackage(await readEventPackageFile(file));
+        setDesignerStatus(`Opened ${file.name}.`);
+    } catch (error) {
+        setDesignerStatus(`${file.name} could not be opened: ${error.message}`);
+    }
+}
+
+// Work in progress survives a reload while it fits in local storage
+function saveDesignerDraft() {
+    try {
+        localStorage.setItem(DESIGNER_DRAFT_STORAGE_KEY, JSON.stringify(getDesignerPackage()));
+    } catch (error) {
+        // Over the storage quota (large images) - only an export keeps this work
+        setDesignerStatus('Too large to keep as a draft - export the package to keep your work.');
+    }
+}
+
+function loadDesignerDraft() {
+    try {
+        const draft = JSON.parse(localStorage.getItem(DESIGNER_DRAFT_STORAGE_KEY));
+        if (draft && Array.isArray(draft.frames)) return draft;
+    } catch (error) {
+        // Ignore an unreadable draft
+    }
+    return null;
+}
+
+function initDesigner() {
+    FRAME_ANCHORS.forEach(anchor => {
+        const option = document.createElement('option');
+        option.value = anchor;
+        option.textContent = anchor;
+        anchorSelect.appendChild(option);
+    });
+    applyDesignerPackage(loadDesignerDraft() || { event: {}, frames: [] });
+}
+
+// Event listeners
+document.querySelectorAll('[data-aspect]').forEach(button => {
+    button.addEventListener('click', () => setDesignerAspect(button.dataset.aspect));
+});
+backgroundSelect.addEventListener('change', () => setDesignerBackground(backgroundSelect.value));
+photoInput.addEventListener('change', () => {
+    const file = photoInput.files[0];
+    photoInput.value = '';
+    if (file) {
+        loadSamplePhoto(file);
+    } else {
+        backgroundSelect.value = 'plain';
+    }
+});
+guidesInput.addEventListener('change', requestDesignerRedraw);
+
+eventNameInput.addEventListener('input', () => {
+    designerEvent.name = eventNameInput.value.trim();
+    requestDesignerRedraw();
+    saveDesignerDraft();
+});
+hashtagInput.addEventListener('input', () => {
+    designerEvent.hashtag = hashtagInput.value.trim();
+    requestDesignerRedraw();
+    saveDesignerDraft();
+});
+
+frameSelect.addEventListener('change', () => selectDesignerFrame(Number(frameSelect.value)));
+frameNameInput.addEventListener('change', () => renameDesignerFrame(frameNameInput.value));
+document.getElementById('designer-new-frame-btn').addEventListener('click', () => {
+    designerFrames.push(createDesignerFrame(`Frame ${designerFrames.length + 1}`));
+    selectDesignerFrame(designerFrames.length - 1);
+});
+document.getElementById('designer-delete-frame-btn').addEventListener('click', () => {
+    if (!window.confirm(`Delete the frame "${getDesignerFrame().name}"?`)) return;
+    designerFrames.splice(designerFrameIndex, 1);
+    if (designerFrames.length === 0) {
+        designerFrames.push(createDesignerFrame('Frame 1'));
+    }
+    selectDesignerFrame(Math.min(designerFrameIndex, designerFrames.length - 1));
+});
+
+document.getElementById('designer-add-layer-btn').addEventListener('click', () => layerInput.click());
+layerInput.addEventListener('change', () => {
+    const files = Array.from(layerInput.files);
+    layerInput.value = '';
+    addDesignerLayers(files);
+});
+designerStage.addEventListener('dragover', event => event.preventDefault());
+designerStage.addEventListener('drop', (event) => {
+    event.preventDefault();
+    addDesignerLayers(event.dataTransfer.files);
+});
+
+designerCanvas.addEventListener('pointerdown', startDesignerDrag);
+designerCanvas.addEventListener('pointermove', moveDesignerDrag);
+designerCanvas.addEventListener('pointerup', endDesignerDrag);
+designerCanvas.addEventListener('pointercancel', endDesignerDrag);
+
+anchorSelect.addEventListener('change', () => setSelectedLayerAnchor(anchorSelect.value));
+widthInput.addEventListener('change', () => {
+    const width = Number(widthInput.value);
+    if (width >= DESIGNER_MIN_WIDTH) setLayerLayout(getSelectedLayer(), { width });
+    designerChanged();
+});
+marginInputs.forEach(input => {
+    input.addEventListener('change', () => {
+        const margin = {};
+        marginInputs.forEach(item => {
+            margin[item.dataset.side] = Number(item.value) || 0;
+        });
+        setLayerLayout(getSelectedLayer(), { margin });
+        designerChanged();
+    });
+});
+opacityInput.addEventListener('input', () => {
+    setLayerLayout(getSelectedLayer(), { opacity: Number(opacityInput.value) });
+    opacityValue.textContent = `${Math.round(opacityInput.value * 100)}%`;
+    requestDesignerRedraw();
+});
+opacityInput.addEventListener('change', saveDesignerDraft);
+document.getElementById('designer-layer-up-btn').addEventListener('click', () => moveSelectedLayer(1));
+document.getElementById('designer-layer-down-btn').addEventListener('click', () => moveSelectedLayer(-1));
+resetLayoutBtn.addEventListener('click', () => {
+    delete getSelectedLayer().overrides[designerAspect];
+    designerChanged();
+});
+document.getElementById('designer-remove-layer-btn').addEventListener('click', removeSelectedLayer);
+
+document.getElementById('designer-export-btn').addEventListener('click', exportDesignerPackage);
+document.getElementById('designer-open-btn').addEventListener('click', () => openInput.click());
+openInput.addEventListener('change', () => {
+    const file = openInput.files[0];
+    openInput.value = '';
+    if (file) openDesignerPackage(file);
+});
+
+initDesigner();
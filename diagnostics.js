@@ -0,0 +1,304 @@
+// Camera diagnostics - for support when a guest's phone misbehaves
+// Opened from the error screen, the operator menu in kiosk mode, or by holding the ⚙
+// button. Lists every camera with its capabilities, what initCamera() asked for and got,
+// the measured frame rate, why the preview is (not) mirrored, frame assets that failed
+// to load and the permission/CSP state - as a plain-text report to copy into a ticket.
+
+const DIAGNOSTICS_HOLD_MS = 2000;
+const DIAGNOSTICS_FPS_SAMPLE_MS = 2000;
+const DIAGNOSTICS_MAX_VIOLATIONS = 20;
+
+const diagnosticsPanel = document.getElementById('diagnostics-panel');
+const diagnosticsStatus = document.getElementById('diagnostics-status');
+const diagnosticsReport = document.getElementById('diagnostics-report');
+
+let diagnosticsHoldTimer = null;
+let isDiagnosticsHold = false; // The ⚙ press became a hold - its click must not open the settings
+let diagnosticsRun = 0; // Bumped on every refresh, so a slow run can't overwrite a newer one
+const cspViolations = []; // Loads and connections the CSP blocked on this page
+
+// ---- Collecting ----
+
+// Camera frames actually delivered per second, counted over a short sample
+function measureVideoFps() {
+    if (!stream || video.readyState < 2) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+        const startTime = performance.now();
+        let frames = 0;
+        let lastTime = video.currentTime;
+        const finish = () => resolve(frames * 1000 / (performance.now() - startTime));
+        // A stream that stalls (muted track, hidden tab) stops the callbacks - settle anyway
+        setTimeout(finish, DIAGNOSTICS_FPS_SAMPLE_MS + 500);
+
+        if (video.requestVideoFrameCallback) {
+            const count = () => {
+                frames++;
+                if (performance.now() - startTime < DIAGNOSTICS_FPS_SAMPLE_MS) {
+                    video.requestVideoFrameCallback(count);
+                } else {
+                    finish();
+                }
+            };
+            video.requestVideoFrameCallback(count);
+            return;
+        }
+
+        // Fallback: count new video times between animation frames
+        const poll = () => {
+            if (video.currentTime !== lastTime) {
+                frames++;
+                lastTime = video.currentTime;
+            }
+            if (performance.now() - startTime < DIAGNOSTICS_FPS_SAMPLE_MS) {
+                requestAnimationFrame(poll);
+            } else {
+                finish();
+            }
+        };
+        requestAnimationFrame(poll);
+    });
+}
+
+async function getCameraPermission() {
+    try {
+        const status = await navigator.permissions.query({ name: 'camera' });
+        return status.state;
+    } catch (error) {
+        return 'unknown (not supported by this browser)';
+    }
+}
+
+function getCameraPolicy() {
+    const policy = document.permissionsPolicy || document.featurePolicy;
+    if (!policy || !policy.allowsFeature) return 'unknown';
+    return policy.allowsFeature('camera') ? 'allowed' : 'blocked';
+}
+
+// Security headers the page was served with (HEAD requests pass the service worker by)
+async function getSecurityHeaders() {
+    try {
+        const response = await fetch(window.location.href, { method: 'HEAD', cache: 'no-store' });
+        return {
+            csp: response.headers.get('Content-Security-Policy'),
+            permissions: response.headers.get('Permissions-Policy')
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+async function getCameraDevices() {
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'videoinput');
+    } catch (error) {
+        return null;
+    }
+}
+
+// ---- Formatting ----
+
+function formatDiagnosticsValue(value) {
+    if (Array.isArray(value)) return value.join(', ') || '-';
+    if (value && typeof value === 'object') {
+        if ('min' in value || 'max' in value) {
+            return `${value.min} - ${value.max}${value.step ? ` (step ${value.step})` : ''}`;
+        }
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+// Capabilities/settings of a camera as indented lines (ids are left out of the report)
+function formatDiagnosticsProperties(title, properties) {
+    const keys = Object.keys(properties || {}).filter(key => key !== 'deviceId' && key !== 'groupId');
+    if (keys.length === 0) return [`    ${title}: -`];
+    return [`    ${title}:`].concat(keys.sort().map(key => `      ${key}: ${formatDiagnosticsValue(properties[key])}`));
+}
+
+function formatCameraSection(devices, track) {
+    const lines = [];
+    if (!devices) {
+        lines.push('Cameras: could not be listed');
+        return lines;
+    }
+
+    lines.push(`Cameras (${devices.length})`);
+    const activeId = track && track.getSettings().deviceId;
+    devices.forEach((device, index) => {
+        const isActive = Boolean(activeId) && device.deviceId === activeId;
+        const label = device.label || 'name hidden until camera access is granted';
+        lines.push(`  ${index + 1}. ${label}${isActive ? ' (active)' : ''}`);
+        if (isActive && track.getCapabilities) {
+            lines.push(...formatDiagnosticsProperties('capabilities', track.getCapabilities()));
+            lines.push(...formatDiagnosticsProperties('settings', track.getSettings()));
+        } else if (device.getCapabilities) {
+            lines.push(...formatDiagnosticsProperties('capabilities', device.getCapabilities()));
+        } else {
+            lines.push('    capabilities: only reported for the active camera in this browser');
+        }
+    });
+    return lines;
+}
+
+function formatStreamSection(track, fps) {
+    const lines = ['Camera stream'];
+    lines.push(`  Last error: ${cameraError ? `${cameraError.name} - ${cameraError.message}` : 'none'}`);
+    lines.push(`  Requested: ${cameraRequest ? JSON.stringify(cameraRequest) : 'not started'}`);
+    if (!track) {
+        lines.push('  Negotiated: no camera running');
+        return lines;
+    }
+
+    const settings = track.getSettings();
+    lines.push(`  Camera: ${track.label || '-'} (${track.readyState}${track.muted ? ', muted' : ''})`);
+    lines.push(`  Negotiated: ${settings.width} × ${settings.height}`
+        + `${settings.frameRate ? ` @ ${Math.round(settings.frameRate)} fps` : ''}`
+        + ` (video element ${video.videoWidth} × ${video.videoHeight})`);
+    lines.push(`  Measured: ${fps === null ? '-' : `${fps.toFixed(1)} fps`}`);
+    lines.push(`  Mirrored: ${shouldMirrorCamera ? 'yes' : 'no'}${cameraMirrorReason ? ` - ${cameraMirrorReason}` : ''}`);
+    return lines;
+}
+
+function formatSecuritySection(permission, headers) {
+    const lines = ['Permissions & security'];
+    lines.push(`  Secure context: ${window.isSecureContext ? 'yes' : 'no (camera needs HTTPS or localhost)'}`);
+    lines.push(`  Camera permission: ${permission}`);
+    lines.push(`  Permissions-Policy camera: ${getCameraPolicy()}`);
+    if (headers) {
+        lines.push(`  Content-Security-Policy: ${headers.csp || 'not sent'}`);
+        lines.push(`  Permissions-Policy: ${headers.permissions || 'not sent'}`);
+    } else {
+        lines.push('  Headers: could not be read (offline?)');
+    }
+    lines.push(cspViolations.length === 0 ? '  CSP violations: none' : `  CSP violations (${cspViolations.length}):`);
+    cspViolations.forEach(violation => lines.push(`    ${violation}`));
+    return lines;
+}
+
+function formatFrameSection() {
+    const lines = ['Frame assets'];
+    const frameCount = eventConfig && eventConfig.frames ? eventConfig.frames.length : 0;
+    lines.push(`  Event config: ${eventConfig ? `${EVENT_CONFIG_URL} loaded` : `${EVENT_CONFIG_URL} not loaded`}`);
+    lines.push(`  Event package: ${eventPackage ? `${eventPackage.name} (${eventPackage.source})` : 'none'}`);
+    lines.push(`  Frame templates: ${frameTemplates.length} of ${frameCount} loaded`);
+    lines.push(`  Active frame: ${activeFrame ? activeFrame.id : '-'}`);
+    if (frameAssetFailures.length === 0) {
+        lines.push('  Failed assets: none');
+    } else {
+        lines.push('  Failed assets:');
+        frameAssetFailures.forEach(failure => {
+            lines.push(`    ${failure.frameId} / ${failure.layerId}: ${failure.src}`);
+        });
+    }
+    return lines;
+}
+
+async function buildDiagnosticsReport() {
+    const track = stream ? stream.getVideoTracks()[0] : null;
+    const [fps, permission, headers, devices] = await Promise.all([
+        measureVideoFps(),
+        getCameraPermission(),
+        getSecurityHeaders(),
+        getCameraDevices()
+    ]);
+
+    const serviceWorker = navigator.serviceWorker && navigator.serviceWorker.controller;
+    return [
+        `Snap & Frame diagnostics - ${new Date().toISOString()}`,
+        `Page: ${window.location.origin}${window.location.pathname}`,
+        `Browser: ${navigator.userAgent}`,
+        `Screen: ${screen.width} × ${screen.height} @${window.devicePixelRatio}x, ${getScreenOrientation()}`,
+        `Output: ${getOutputAspectLabel()}, ${outputSettings.resolution}, ${outputSettings.format}`,
+        `Service worker: ${serviceWorker ? 'controlling the page' : 'not active'}`,
+        '',
+        ...formatSecuritySection(permission, headers),
+        '',
+        ...formatStreamSection(track, fps),
+        '',
+        ...formatCameraSection(devices, track),
+        '',
+        ...formatFrameSection()
+    ].join('\n');
+}
+
+// ---- Panel ----
+
+async function refreshDiagnostics() {
+    const run = ++diagnosticsRun;
+    diagnosticsStatus.textContent = 'Collecting (measuring the frame rate)…';
+    const report = await buildDiagnosticsReport();
+    if (run !== diagnosticsRun) return;
+    diagnosticsReport.textContent = report;
+    diagnosticsStatus.textContent = 'Copy the report and send it to support.';
+}
+
+function openDiagnostics() {
+    diagnosticsReport.textContent = '';
+    diagnosticsPanel.classList.remove('hidden');
+    refreshDiagnostics();
+}
+
+function closeDiagnostics() {
+    diagnosticsRun++;
+    diagnosticsPanel.classList.add('hidden');
+}
+
+async function copyDiagnosticsReport() {
+    const report = diagnosticsReport.textContent;
+    if (!report) return;
+    try {
+        await navigator.clipboard.writeText(report);
+        showToast('Report copied.', 'success', 2000);
+    } catch (error) {
+        // No clipboard access (e.g. http) - select the text for a manual copy instead
+        const range = document.createRange();
+        range.selectNodeContents(diagnosticsReport);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        showToast('Select all and copy the report.', 'info', 3000);
+    }
+}
+
+// Hidden gesture: hold the ⚙ button
+function startDiagnosticsHold() {
+    isDiagnosticsHold = false;
+    clearTimeout(diagnosticsHoldTimer);
+    diagnosticsHoldTimer = setTimeout(() => {
+        isDiagnosticsHold = true;
+        openDiagnostics();
+    }, DIAGNOSTICS_HOLD_MS);
+}
+
+function cancelDiagnosticsHold() {
+    clearTimeout(diagnosticsHoldTimer);
+}
+
+// Event listeners
+document.addEventListener('securitypolicyviolation', (event) => {
+    if (cspViolations.length >= DIAGNOSTICS_MAX_VIOLATIONS) return;
+    cspViolations.push(`${event.effectiveDirective}: ${event.blockedURI || 'inline'}`);
+});
+
+settingsBtn.addEventListener('pointerdown', startDiagnosticsHold);
+['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+    settingsBtn.addEventListener(type, cancelDiagnosticsHold);
+});
+// Runs before the button's own click handler, which would open the settings
+document.addEventListener('click', (event) => {
+    if (isDiagnosticsHold && event.target.closest && event.target.closest('#settings-btn')) {
+        event.stopPropagation();
+        isDiagnosticsHold = false;
+    }
+}, true);
+
+document.getElementById('error-diagnostics-btn').addEventListener('click', openDiagnostics);
+document.getElementById('operator-diagnostics-btn').addEventListener('click', () => {
+    closeOperatorMenu();
+    openDiagnostics();
+});
+document.getElementById('diagnostics-copy-btn').addEventListener('click', copyDiagnosticsReport);
+document.getElementById('diagnostics-refresh-btn').addEventListener('click', refreshDiagnostics);
+document.getElementById('diagnostics-close-btn').addEventListener('click', closeDiagnostics);
@@ -0,0 +1,60 @@
+// Event packages - an event's frames in one self-contained JSON file
+// The frame designer (designer.html) exports them with every layer image inlined as a
+// data: URL, so a package can be hosted anywhere or carried over on a USB stick. The booth
+// loads one from ?package=<url> or from a file imported in Output Settings; its frames
+// replace the ones listed in event.json.
+
+const EVENT_PACKAGE_FORMAT = 'snapframe-event-package';
+const EVENT_PACKAGE_VERSION = 1;
+const EVENT_PACKAGE_PARAM = 'package';
+
+// Event settings a package may bring - the rest of event.json (printing, remote...) stays the booth's
+const EVENT_PACKAGE_SETTINGS = ['name', 'hashtag'];
+
+// Validate a raw package; asset paths that aren't inlined resolve relative to the package file
+function normalizeEventPackage(raw, baseUrl, locale) {
+    if (!raw || raw.format !== EVENT_PACKAGE_FORMAT || !Array.isArray(raw.frames)) {
+        throw new Error('Not a Snap & Frame event package');
+    }
+    if (raw.version > EVENT_PACKAGE_VERSION) {
+        throw new Error(`Event package version ${raw.version} needs a newer Snap & Frame`);
+    }
+    if (raw.frames.length === 0) {
+        throw new Error('Event package has no frames');
+    }
+
+    const event = {};
+    EVENT_PACKAGE_SETTINGS.forEach(key => {
+        if (raw.event && raw.event[key] !== undefined) {
+            event[key] = raw.event[key];
+        }
+    });
+
+    return {
+        name: raw.name || event.name || 'Event package',
+        event,
+        frames: raw.frames.map(frame => normalizeFrameTemplate(frame, baseUrl, locale))
+    };
+}
+
+// Fetch an event package JSON file
+async function loadEventPackageUrl(url, locale) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load event package ${url} (${response.status})`);
+    }
+    const raw = await response.json();
+    return normalizeEventPackage(raw, new URL(url, location.href).href, locale);
+}
+
+// Read a package file picked by the operator; resolves with the raw JSON once it validates
+async function readEventPackageFile(file) {
+    let raw;
+    try {
+        raw = JSON.parse(await file.text());
+    } catch (error) {
+        throw new Error('Not a Snap & Frame event package');
+    }
+    normalizeEventPackage(raw, location.href);
+    return raw;
+}
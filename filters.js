@@ -0,0 +1,372 @@
+// Colour filters - one WebGL shader used for the live preview and for every captured frame
+// Filters combine basic adjustments (brightness, contrast, saturation, B&W, sepia) with an
+// optional 3D LUT loaded from a .cube file. The same shader also does chroma keying for
+// green-screen booths. Because preview and export run the same shader with the same
+// textures, the saved photo gets exactly the colours guests saw.
+
+// Built-in looks; events add their own (e.g. a sponsor LUT) under "filters" in event.json
+const FILTER_PRESETS = [
+    { id: 'none', name: 'Original' },
+    { id: 'bw', name: 'B&W', grayscale: 1, contrast: 0.15 },
+    { id: 'sepia', name: 'Sepia', sepia: 1 },
+    { id: 'warm-vintage', name: 'Warm Vintage', sepia: 0.35, saturation: -0.15, contrast: 0.1, brightness: 0.03 },
+    { id: 'vivid', name: 'Vivid', saturation: 0.35, contrast: 0.1 }
+];
+
+// Largest LUT we accept (the 3D table is stored as an N*N x N texture atlas)
+const FILTER_MAX_LUT_SIZE = 64;
+
+const FILTER_VERTEX_SHADER = `
+attribute vec2 aPosition;
+uniform vec2 uCropOffset;
+uniform vec2 uCropScale;
+uniform vec2 uBackgroundOffset;
+uniform vec2 uBackgroundScale;
+uniform float uMirror;
+varying vec2 vTexCoord;
+varying vec2 vBackgroundCoord;
+
+void main() {
+    // aPosition is 0-1 with y down, like canvas coordinates
+    vec2 source = vec2(mix(aPosition.x, 1.0 - aPosition.x, uMirror), aPosition.y);
+    vTexCoord = uCropOffset + source * uCropScale;
+    // The replacement background is never mirrored
+    vBackgroundCoord = uBackgroundOffset + aPosition * uBackgroundScale;
+    gl_Position = vec4(aPosition.x * 2.0 - 1.0, 1.0 - aPosition.y * 2.0, 0.0, 1.0);
+}
+`;
+
+const FILTER_FRAGMENT_SHADER = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+
+uniform sampler2D uSource;
+uniform sampler2D uLut;
+uniform sampler2D uBackground;
+uniform float uKeyEnabled;
+uniform vec3 uKeyColor;
+uniform float uKeyTolerance;
+uniform float uKeySoftness;
+uniform float uBrightness;
+uniform float uContrast;
+uniform float uSaturation;
+uniform float uGrayscale;
+uniform float uSepia;
+uniform float uLutSize;
+uniform float uLutStrength;
+uniform vec3 uLutMin;
+uniform vec3 uLutMax;
+varying vec2 vTexCoord;
+varying vec2 vBackgroundCoord;
+
+const vec3 LUMA = vec3(0.2126, 0.7152, 0.0722);
+
+// Trilinear lookup: hardware-interpolate red/green inside two blue slices, then mix them
+vec3 lookupLut(vec3 color) {
+    vec3 c = clamp((color - uLutMin) / (uLutMax - uLutMin), 0.0, 1.0) * (uLutSize - 1.0);
+    float slice0 = floor(c.b);
+    float slice1 = min(slice0 + 1.0, uLutSize - 1.0);
+    float x = (c.r + 0.5) / (uLutSize * uLutSize);
+    float y = (c.g + 0.5) / uLutSize;
+    vec3 a = texture2D(uLut, vec2(x + slice0 / uLutSize, y)).rgb;
+    vec3 b = texture2D(uLut, vec2(x + slice1 / uLutSize, y)).rgb;
+    return mix(a, b, c.b - slice0);
+}
+
+// Chroma (Cb, Cr) of a colour - keying on chroma ignores shadows/creases in the backdrop
+vec2 chroma(vec3 color) {
+    return vec2(
+        -0.168736 * color.r - 0.331264 * color.g + 0.5 * color.b,
+        0.5 * color.r - 0.418688 * color.g - 0.081312 * color.b);
+}
+
+void main() {
+    vec3 color = texture2D(uSource, vTexCoord).rgb;
+
+    if (uKeyEnabled > 0.5) {
+        // 0 = backdrop, 1 = guest, soft ramp in between
+        float alpha = smoothstep(uKeyTolerance, uKeyTolerance + uKeySoftness,
+            distance(chroma(color), chroma(uKeyColor)));
+        // Desaturate the soft edge so the backdrop colour doesn't fringe the guest
+        vec3 despilled = mix(vec3(dot(color, LUMA)), color, alpha);
+        color = mix(texture2D(uBackground, vBackgroundCoord).rgb, despilled, alpha);
+    }
+
+    color += uBrightness;
+    color = (color - 0.5) * (1.0 + uContrast) + 0.5;
+    color = mix(vec3(dot(color, LUMA)), color, 1.0 + uSaturation);
+    color = mix(color, vec3(dot(color, LUMA)), uGrayscale);
+    vec3 sepia = vec3(
+        dot(color, vec3(0.393, 0.769, 0.189)),
+        dot(color, vec3(0.349, 0.686, 0.168)),
+        dot(color, vec3(0.272, 0.534, 0.131)));
+    color = clamp(mix(color, sepia, uSepia), 0.0, 1.0);
+
+    if (uLutSize > 0.0) {
+        color = mix(color, lookupLut(color), uLutStrength);
+    }
+    gl_FragColor = vec4(color, 1.0);
+}
+`;
+
+// Normalize a filter definition; LUT paths resolve relative to the file that lists them
+function normalizeFilter(raw, baseUrl) {
+    if (!raw || typeof raw.id !== 'string') {
+        throw new Error('Filter needs an "id"');
+    }
+    const number = (value, fallback = 0) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+    return {
+        id: raw.id,
+        name: raw.name || raw.id,
+        brightness: number(raw.brightness),
+        contrast: number(raw.contrast),
+        saturation: number(raw.saturation),
+        grayscale: number(raw.grayscale),
+        sepia: number(raw.sepia),
+        lut: raw.lut ? new URL(raw.lut, baseUrl).href : null,
+        lutStrength: number(raw.lutStrength, 1)
+    };
+}
+
+// True if the filter changes any pixel (the preview can then show the plain video)
+function isFilterActive(filter) {
+    return Boolean(filter) && Boolean(filter.lut || filter.brightness || filter.contrast
+        || filter.saturation || filter.grayscale || filter.sepia);
+}
+
+// Parse an Adobe/Resolve .cube 3D LUT into an RGBA atlas (blue slices side by side)
+function parseCubeLut(text) {
+    let size = 0;
+    let domainMin = [0, 0, 0];
+    let domainMax = [1, 1, 1];
+    const values = [];
+
+    text.split(/\r?\n/).forEach(line => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+
+        const parts = trimmed.split(/\s+/);
+        const keyword = parts[0].toUpperCase();
+        if (keyword === 'LUT_3D_SIZE') {
+            size = parseInt(parts[1], 10);
+        } else if (keyword === 'DOMAIN_MIN') {
+            domainMin = parts.slice(1, 4).map(Number);
+        } else if (keyword === 'DOMAIN_MAX') {
+            domainMax = parts.slice(1, 4).map(Number);
+        } else if (keyword === 'LUT_1D_SIZE') {
+            throw new Error('1D LUTs are not supported');
+        } else if (/^[-+.\d]/.test(keyword)) {
+            values.push(Number(parts[0]), Number(parts[1]), Number(parts[2]));
+        }
+        // TITLE and other keywords are ignored
+    });
+
+    if (!size || size < 2 || size > FILTER_MAX_LUT_SIZE) {
+        throw new Error(`Unsupported LUT_3D_SIZE ${size}`);
+    }
+    if (values.length !== size * size * size * 3 || values.some(Number.isNaN)) {
+        throw new Error(`LUT has ${values.length / 3} entries, expected ${size * size * size}`);
+    }
+
+    // .cube order: red changes fastest, then green, then blue
+    const atlas = new Uint8Array(size * size * size * 4);
+    for (let b = 0; b < size; b++) {
+        for (let g = 0; g < size; g++) {
+            for (let r = 0; r < size; r++) {
+                const source = (r + g * size + b * size * size) * 3;
+                const target = (g * size * size + b * size + r) * 4;
+                for (let channel = 0; channel < 3; channel++) {
+                    atlas[target + channel] = Math.round(Math.min(1, Math.max(0, values[source + channel])) * 255);
+                }
+                atlas[target + 3] = 255;
+            }
+        }
+    }
+    return { size, atlas, domainMin, domainMax };
+}
+
+// Parsed LUTs, keyed by URL, shared by every renderer
+const filterLutCache = {};
+
+// Fetch and parse a filter's LUT once
+function loadFilterLut(filter) {
+    if (!filter || !filter.lut) {
+        return Promise.resolve(null);
+    }
+    if (!filterLutCache[filter.lut]) {
+        filterLutCache[filter.lut] = fetch(filter.lut)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load LUT ${filter.lut} (${response.status})`);
+                }
+                return response.text();
+            })
+            .then(parseCubeLut);
+        // Allow a retry after a failed download
+        filterLutCache[filter.lut].catch(() => {
+            delete filterLutCache[filter.lut];
+        });
+    }
+    return filterLutCache[filter.lut];
+}
+
+function compileFilterShader(gl, type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(`Filter shader failed to compile: ${gl.getShaderInfoLog(shader)}`);
+    }
+    return shader;
+}
+
+// WebGL filter renderer drawing into the given canvas, or null without WebGL
+// The preview and the export each get one so they never resize each other's canvas.
+function createFilterRenderer(canvas) {
+    const gl = canvas.getContext('webgl', {
+        alpha: false,
+        antialias: false,
+        premultipliedAlpha: false,
+        preserveDrawingBuffer: true // Export copies the result with drawImage
+    });
+    if (!gl) return null;
+
+    const program = gl.createProgram();
+    gl.attachShader(program, compileFilterShader(gl, gl.VERTEX_SHADER, FILTER_VERTEX_SHADER));
+    gl.attachShader(program, compileFilterShader(gl, gl.FRAGMENT_SHADER, FILTER_FRAGMENT_SHADER));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(`Filter shader failed to link: ${gl.getProgramInfoLog(program)}`);
+    }
+    gl.useProgram(program);
+
+    const uniforms = {};
+    ['uSource', 'uLut', 'uBackground', 'uCropOffset', 'uCropScale', 'uBackgroundOffset',
+        'uBackgroundScale', 'uMirror', 'uBrightness', 'uContrast', 'uSaturation', 'uGrayscale',
+        'uSepia', 'uLutSize', 'uLutStrength', 'uLutMin', 'uLutMax', 'uKeyEnabled', 'uKeyColor',
+        'uKeyTolerance', 'uKeySoftness']
+        .forEach(name => {
+            uniforms[name] = gl.getUniformLocation(program, name);
+        });
+
+    // Full-canvas quad as a triangle strip
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+    const position = gl.getAttribLocation(program, 'aPosition');
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+    const createTexture = (unit) => {
+        const texture = gl.createTexture();
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        // Non-power-of-two textures need clamping and no mipmaps in WebGL 1
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        return texture;
+    };
+    const sourceTexture = createTexture(0);
+    const lutTexture = createTexture(1);
+    const backgroundTexture = createTexture(2);
+    gl.uniform1i(uniforms.uSource, 0);
+    gl.uniform1i(uniforms.uLut, 1);
+    gl.uniform1i(uniforms.uBackground, 2);
+    const maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+    let loadedLut = null;
+    let loadedBackground = null;
+
+    // Upload a parsed LUT unless it's the one already on the GPU
+    const useLut = (lut) => {
+        if (lut === loadedLut) return;
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, lutTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, lut.size * lut.size, lut.size, 0,
+            gl.RGBA, gl.UNSIGNED_BYTE, lut.atlas);
+        loadedLut = lut;
+    };
+
+    // Upload the chroma key background image once
+    const useBackground = (image) => {
+        if (image === loadedBackground) return;
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, backgroundTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        loadedBackground = image;
+    };
+
+    const getSourceSize = (source) => ({
+        width: source.videoWidth || source.naturalWidth || source.width,
+        height: source.videoHeight || source.naturalHeight || source.height
+    });
+
+    return {
+        canvas,
+
+        // Draw source (video, image or canvas) cropped to `crop` into a width x height canvas
+        // options: { filter, lut, mirror, chromaKey: { color: [r, g, b], tolerance, softness,
+        // background, backgroundCrop } } - filter may be null when only keying
+        render(source, crop, width, height, options) {
+            const filter = options.filter || {};
+            const { lut, mirror, chromaKey } = options;
+            if (canvas.width !== width || canvas.height !== height) {
+                canvas.width = width;
+                canvas.height = height;
+            }
+            gl.viewport(0, 0, width, height);
+
+            const sourceSize = getSourceSize(source);
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, sourceTexture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+
+            gl.uniform2f(uniforms.uCropOffset, crop.x / sourceSize.width, crop.y / sourceSize.height);
+            gl.uniform2f(uniforms.uCropScale, crop.width / sourceSize.width, crop.height / sourceSize.height);
+            gl.uniform1f(uniforms.uMirror, mirror ? 1 : 0);
+
+            if (chromaKey) {
+                const backgroundSize = getSourceSize(chromaKey.background);
+                const backgroundCrop = chromaKey.backgroundCrop;
+                useBackground(chromaKey.background);
+                gl.uniform1f(uniforms.uKeyEnabled, 1);
+                gl.uniform3fv(uniforms.uKeyColor, chromaKey.color);
+                gl.uniform1f(uniforms.uKeyTolerance, chromaKey.tolerance);
+                gl.uniform1f(uniforms.uKeySoftness, Math.max(chromaKey.softness, 0.001));
+                gl.uniform2f(uniforms.uBackgroundOffset,
+                    backgroundCrop.x / backgroundSize.width, backgroundCrop.y / backgroundSize.height);
+                gl.uniform2f(uniforms.uBackgroundScale,
+                    backgroundCrop.width / backgroundSize.width, backgroundCrop.height / backgroundSize.height);
+            } else {
+                gl.uniform1f(uniforms.uKeyEnabled, 0);
+            }
+
+            gl.uniform1f(uniforms.uBrightness, filter.brightness || 0);
+            gl.uniform1f(uniforms.uContrast, filter.contrast || 0);
+            gl.uniform1f(uniforms.uSaturation, filter.saturation || 0);
+            gl.uniform1f(uniforms.uGrayscale, filter.grayscale || 0);
+            gl.uniform1f(uniforms.uSepia, filter.sepia || 0);
+
+            if (lut && lut.size * lut.size <= maxTextureSize) {
+                useLut(lut);
+                gl.uniform1f(uniforms.uLutSize, lut.size);
+                gl.uniform1f(uniforms.uLutStrength, filter.lutStrength !== undefined ? filter.lutStrength : 1);
+                gl.uniform3fv(uniforms.uLutMin, lut.domainMin);
+                gl.uniform3fv(uniforms.uLutMax, lut.domainMax);
+            } else {
+                gl.uniform1f(uniforms.uLutSize, 0);
+            }
+
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+            return canvas;
+        },
+
+        isLost() {
+            return gl.isContextLost();
+        }
+    };
+}
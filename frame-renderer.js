@@ -0,0 +1,515 @@
+// Frame template renderer - shared by the live preview canvas and the exported photo
+// Templates are JSON files that list overlay layers. Sizes and margins are written
+// in reference pixels, where the short side of the output is 1080px, so the same
+// template scales to the preview canvas and to every export size (1080x1920, 1080x1080...).
+
+const FRAME_REFERENCE_SIZE = 1080;
+
+// Output aspect ratios, keyed by the names templates use in "overrides". A template that
+// doesn't lay out an aspect separately uses the override of its orientation
+const FRAME_ASPECTS = {
+    portrait: { label: '9:16', width: 9, height: 16 },
+    landscape: { label: '16:9', width: 16, height: 9 },
+    square: { label: '1:1', width: 1, height: 1, orientation: 'portrait' },
+    feed: { label: '4:5', width: 4, height: 5, orientation: 'portrait' },
+    print: { label: '3:2', width: 3, height: 2, orientation: 'landscape' }
+};
+
+// Multi-shot layout used when a template doesn't define its own "multiShot" block
+const FRAME_MULTI_SHOT_DEFAULTS = {
+    margin: { top: 260, right: 60, bottom: 380, left: 60 },
+    gap: 24,
+    stripCount: 3,
+    background: '#000000',
+    overrides: {
+        landscape: { margin: { top: 140, right: 200, bottom: 180, left: 200 } },
+        square: { margin: { top: 120, right: 160, bottom: 200, left: 160 }, stripCount: 2 },
+        feed: { margin: { top: 180, right: 60, bottom: 260, left: 60 } },
+        print: { margin: { top: 120, right: 180, bottom: 160, left: 180 }, stripCount: 2 }
+    }
+};
+
+// Text layer styling used when a template doesn't set its own
+const FRAME_TEXT_DEFAULTS = {
+    fontFamily: 'sans-serif',
+    fontWeight: 'normal',
+    fontSize: 48,
+    color: '#ffffff',
+    lineHeight: 1.2
+};
+
+const FRAME_GENERIC_FONTS = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'];
+
+// Key of the chroma key background in the images returned by loadFrameAssets()
+const FRAME_BACKGROUND_KEY = '#background';
+
+const FRAME_ANCHORS = [
+    'fill',
+    'top-left', 'top-center', 'top-right',
+    'center-left', 'center', 'center-right',
+    'bottom-left', 'bottom-center', 'bottom-right'
+];
+
+// Normalize a margin value (number or { top, right, bottom, left }) to all four sides
+function normalizeFrameMargin(margin) {
+    if (typeof margin === 'number') {
+        return { top: margin, right: margin, bottom: margin, left: margin };
+    }
+    return {
+        top: Number(margin && margin.top) || 0,
+        right: Number(margin && margin.right) || 0,
+        bottom: Number(margin && margin.bottom) || 0,
+        left: Number(margin && margin.left) || 0
+    };
+}
+
+// Replacements a template or layer lists for a locale under "locales", e.g.
+// "locales": { "de": { "text": "Willkommen!" } } - "de-AT" uses "de" when it has no entry
+function getFrameLocaleOverrides(raw, locale) {
+    const locales = raw.locales || {};
+    if (!locale) return {};
+    return locales[locale] || locales[locale.split('-')[0]] || {};
+}
+
+// Validate a raw template and resolve asset paths relative to the template file,
+// with the names, texts and assets of the given locale
+function normalizeFrameTemplate(raw, baseUrl, locale) {
+    if (!raw || typeof raw.id !== 'string' || !Array.isArray(raw.layers)) {
+        throw new Error('Frame template needs an "id" and a "layers" array');
+    }
+
+    const resolveAsset = (path) => (path ? new URL(path, baseUrl).href : null);
+    const localized = Object.assign({}, raw, getFrameLocaleOverrides(raw, locale));
+
+    const layers = raw.layers.map((rawLayer, index) => {
+        const layer = Object.assign({}, rawLayer, getFrameLocaleOverrides(rawLayer, locale));
+        const anchor = layer.anchor || 'center';
+        if (!FRAME_ANCHORS.includes(anchor)) {
+            throw new Error(`Frame layer "${layer.id || index}" has unknown anchor "${anchor}"`);
+        }
+
+        const type = layer.type || 'image';
+        if (type !== 'image' && type !== 'text') {
+            throw new Error(`Frame layer "${layer.id || index}" has unknown type "${type}"`);
+        }
+        if (type === 'text' && typeof layer.text !== 'string') {
+            throw new Error(`Text layer "${layer.id || index}" needs a "text" string`);
+        }
+
+        const normalized = {
+            id: layer.id || `layer-${index}`,
+            type,
+            src: resolveAsset(layer.src),
+            fallbackSrc: resolveAsset(layer.fallbackSrc),
+            anchor,
+            width: layer.width,
+            height: layer.height,
+            margin: layer.margin,
+            opacity: layer.opacity,
+            overrides: layer.overrides || {}
+        };
+
+        if (type === 'text') {
+            Object.assign(normalized, {
+                text: layer.text,
+                fontFamily: layer.fontFamily || FRAME_TEXT_DEFAULTS.fontFamily,
+                fontSrc: resolveAsset(layer.fontSrc),
+                fontWeight: layer.fontWeight || FRAME_TEXT_DEFAULTS.fontWeight,
+                fontSize: layer.fontSize !== undefined ? layer.fontSize : FRAME_TEXT_DEFAULTS.fontSize,
+                color: layer.color || FRAME_TEXT_DEFAULTS.color,
+                align: layer.align,
+                maxWidth: layer.maxWidth,
+                shadowColor: layer.shadowColor || null
+            });
+        }
+        return normalized;
+    });
+
+    // Green-screen backdrop replacement: "background": "path" or { "src", "fallbackSrc" }
+    const background = typeof localized.background === 'string' ? { src: localized.background } : localized.background;
+
+    return {
+        id: raw.id,
+        name: localized.name || raw.id,
+        layers,
+        multiShot: raw.multiShot || {},
+        background: background && background.src ? {
+            src: resolveAsset(background.src),
+            fallbackSrc: resolveAsset(background.fallbackSrc)
+        } : null
+    };
+}
+
+// Fetch a frame template JSON file
+async function loadFrameTemplate(url, locale) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load frame template ${url} (${response.status})`);
+    }
+    const raw = await response.json();
+    return normalizeFrameTemplate(raw, new URL(url, location.href).href, locale);
+}
+
+// Load a single image, resolving to null instead of rejecting
+function loadFrameImage(src) {
+    return new Promise((resolve) => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload = () => resolve(img);
+        img.onerror = () => resolve(null);
+        img.src = src;
+    });
+}
+
+// Web fonts already requested, keyed by "family|weight|src" so each loads once
+const frameFontCache = {};
+
+// Layer images and fonts that failed to load: { frameId, layerId, src }, for diagnostics
+const frameAssetFailures = [];
+
+// Load a text layer's web font; system fonts (no fontSrc) need nothing
+function loadFrameFont(layer, frameId) {
+    if (!layer.fontSrc || typeof FontFace === 'undefined') {
+        return Promise.resolve();
+    }
+
+    const key = `${layer.fontFamily}|${layer.fontWeight}|${layer.fontSrc}`;
+    if (!frameFontCache[key]) {
+        const font = new FontFace(layer.fontFamily, `url("${layer.fontSrc}")`, { weight: String(layer.fontWeight) });
+        frameFontCache[key] = font.load()
+            .then(loaded => document.fonts.add(loaded))
+            .catch(() => {
+                console.warn(`Failed to load font for text layer ${layer.id}:`, layer.fontSrc);
+                frameAssetFailures.push({ frameId, layerId: layer.id, src: layer.fontSrc });
+            });
+    }
+    return frameFontCache[key];
+}
+
+// Load every layer image (and text layer font) of a template; images are keyed by layer id,
+// plus FRAME_BACKGROUND_KEY for the chroma key background
+// Missing assets are skipped so the app keeps working without them
+async function loadFrameAssets(template, preferFallback = false) {
+    const images = {};
+    const background = template.background
+        ? [Object.assign({ id: FRAME_BACKGROUND_KEY, type: 'image' }, template.background)]
+        : [];
+
+    await Promise.all(template.layers.concat(background).map(async (layer) => {
+        if (layer.type === 'text') {
+            await loadFrameFont(layer, template.id);
+            return;
+        }
+
+        const sources = preferFallback
+            ? [layer.fallbackSrc, layer.src]
+            : [layer.src, layer.fallbackSrc];
+
+        for (const src of sources.filter(Boolean)) {
+            const img = await loadFrameImage(src);
+            if (img) {
+                images[layer.id] = img;
+                return;
+            }
+        }
+        console.warn(`Failed to load frame layer ${layer.id}:`, layer.src);
+        frameAssetFailures.push({ frameId: template.id, layerId: layer.id, src: layer.src || layer.fallbackSrc });
+    }));
+
+    return images;
+}
+
+// Overrides that apply to an aspect, most specific last: its orientation's, then its own
+function getFrameAspectOverrides(overrides, aspect) {
+    const orientation = FRAME_ASPECTS[aspect] && FRAME_ASPECTS[aspect].orientation;
+    return [orientation && overrides[orientation], overrides[aspect]].filter(Boolean);
+}
+
+// Merge a layer's base layout with the overrides for the given aspect
+function resolveFrameLayout(layer, aspect) {
+    const overrides = getFrameAspectOverrides(layer.overrides, aspect);
+    const override = Object.assign({}, ...overrides);
+    return {
+        anchor: override.anchor || layer.anchor,
+        width: override.width !== undefined ? override.width : layer.width,
+        height: override.height !== undefined ? override.height : layer.height,
+        margin: normalizeFrameMargin(Object.assign({}, layer.margin, ...overrides.map(item => item.margin))),
+        opacity: override.opacity !== undefined ? override.opacity
+            : (layer.opacity !== undefined ? layer.opacity : 1),
+        // Text layers only
+        fontSize: override.fontSize !== undefined ? override.fontSize : layer.fontSize,
+        maxWidth: override.maxWidth !== undefined ? override.maxWidth : layer.maxWidth,
+        align: override.align || layer.align,
+        color: override.color || layer.color
+    };
+}
+
+// Compute the destination rectangle of a layer on a canvas of the given size
+function getFrameLayerRect(layout, image, canvasWidth, canvasHeight, scale) {
+    if (layout.anchor === 'fill') {
+        return { x: 0, y: 0, width: canvasWidth, height: canvasHeight };
+    }
+
+    // Keep the image aspect ratio unless both dimensions are given
+    const aspect = image.height / image.width;
+    let width, height;
+    if (layout.width !== undefined && layout.height !== undefined) {
+        width = layout.width * scale;
+        height = layout.height * scale;
+    } else if (layout.width !== undefined) {
+        width = layout.width * scale;
+        height = width * aspect;
+    } else if (layout.height !== undefined) {
+        height = layout.height * scale;
+        width = height / aspect;
+    } else {
+        width = image.width * scale;
+        height = image.height * scale;
+    }
+
+    const margin = layout.margin;
+    const [vertical, horizontal = 'center'] = layout.anchor === 'center'
+        ? ['center', 'center']
+        : layout.anchor.split('-');
+
+    let x;
+    if (horizontal === 'left') {
+        x = margin.left * scale;
+    } else if (horizontal === 'right') {
+        x = canvasWidth - width - margin.right * scale;
+    } else {
+        x = (canvasWidth - width) / 2 + (margin.left - margin.right) * scale;
+    }
+
+    let y;
+    if (vertical === 'top') {
+        y = margin.top * scale;
+    } else if (vertical === 'bottom') {
+        y = canvasHeight - height - margin.bottom * scale;
+    } else {
+        y = (canvasHeight - height) / 2 + (margin.top - margin.bottom) * scale;
+    }
+
+    return { x, y, width, height };
+}
+
+// Replace {placeholders} in a text layer; null when a placeholder it uses is empty
+// (e.g. no guest name typed), so the layer is left out instead of showing a gap.
+// Unknown placeholders stay as typed so template mistakes are visible.
+function fillFrameText(text, values) {
+    let hasEmptyValue = false;
+    const filled = text.replace(/\{(\w+)\}/g, (match, key) => {
+        if (!(key in values)) return match;
+        const value = values[key] === null || values[key] === undefined ? '' : String(values[key]);
+        if (!value.trim()) hasEmptyValue = true;
+        return value;
+    });
+    return hasEmptyValue || !filled.trim() ? null : filled;
+}
+
+// Placeholder names a template's text layers use
+function getFramePlaceholders(template) {
+    const names = new Set();
+    (template ? template.layers : []).forEach(layer => {
+        if (layer.type !== 'text') return;
+        (layer.text.match(/\{(\w+)\}/g) || []).forEach(match => names.add(match.slice(1, -1)));
+    });
+    return names;
+}
+
+// CSS font shorthand for a text layer at a given pixel size
+function getFrameFont(layer, size) {
+    const family = FRAME_GENERIC_FONTS.includes(layer.fontFamily)
+        ? layer.fontFamily
+        : `"${layer.fontFamily}", sans-serif`;
+    return `${layer.fontWeight} ${size}px ${family}`;
+}
+
+// Draw one text layer, shrinking the font until the text fits maxWidth
+function drawFrameText(ctx, layer, layout, text, width, height, scale) {
+    let fontSize = layout.fontSize * scale;
+    ctx.font = getFrameFont(layer, fontSize);
+    let textWidth = ctx.measureText(text).width;
+
+    const maxWidth = layout.maxWidth !== undefined ? layout.maxWidth * scale : null;
+    if (maxWidth && textWidth > maxWidth) {
+        fontSize *= maxWidth / textWidth;
+        ctx.font = getFrameFont(layer, fontSize);
+        textWidth = Math.min(ctx.measureText(text).width, maxWidth);
+    }
+
+    // Position the text box like an image of that size; maxWidth fixes the box width
+    const boxWidth = maxWidth || textWidth;
+    const boxHeight = fontSize * FRAME_TEXT_DEFAULTS.lineHeight;
+    const boxLayout = Object.assign({}, layout, { width: undefined, height: undefined });
+    const rect = getFrameLayerRect(boxLayout, { width: boxWidth / scale, height: boxHeight / scale },
+        width, height, scale);
+
+    // Align within the box; defaults to the anchor's horizontal side
+    const anchorSide = layout.anchor.split('-')[1] || 'center';
+    const align = layout.align || (anchorSide === 'left' || anchorSide === 'right' ? anchorSide : 'center');
+    const x = align === 'left' ? rect.x : (align === 'right' ? rect.x + rect.width : rect.x + rect.width / 2);
+
+    ctx.textAlign = align;
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = layout.color;
+    if (layer.shadowColor) {
+        ctx.shadowColor = layer.shadowColor;
+        ctx.shadowBlur = fontSize * 0.15;
+    }
+    ctx.fillText(text, x, rect.y + rect.height / 2, maxWidth || undefined);
+    ctx.shadowColor = 'transparent';
+}
+
+// Draw one layer (image or text) with its layout for the aspect
+function drawFrameLayer(ctx, layer, images, width, height, aspect, textValues, scale) {
+    const layout = resolveFrameLayout(layer, aspect);
+    ctx.save();
+    ctx.globalAlpha = layout.opacity;
+
+    if (layer.type === 'text') {
+        const text = fillFrameText(layer.text, textValues);
+        if (text) {
+            drawFrameText(ctx, layer, layout, text, width, height, scale);
+        }
+    } else if (images[layer.id]) {
+        const image = images[layer.id];
+        const rect = getFrameLayerRect(layout, image, width, height, scale);
+        ctx.drawImage(image, rect.x, rect.y, rect.width, rect.height);
+    }
+    ctx.restore();
+}
+
+// Draw all template layers onto a canvas context, in template order
+// textValues fills placeholders like {event}, {date} and {guestName} in text layers
+function drawFrameLayers(ctx, template, images, width, height, aspect, textValues = {}) {
+    if (!template) return;
+
+    const scale = Math.min(width, height) / FRAME_REFERENCE_SIZE;
+    template.layers.forEach(layer => {
+        drawFrameLayer(ctx, layer, images, width, height, aspect, textValues, scale);
+    });
+}
+
+// Pre-rasterised overlays by template, size and aspect (least recently used first)
+const FRAME_OVERLAY_CACHE_SIZE = 6;
+const frameOverlayCache = new Map();
+
+// A template's layers at one size and aspect, for drawFrameOverlay(). Each run of
+// image layers is rasterised once (SVGs are slow to rasterise, especially at export size);
+// text layers stay live so guest names and dates don't invalidate the cache
+function getFrameOverlay(template, images, width, height, aspect) {
+    if (!template) return { images, parts: [] };
+
+    const key = `${template.id}|${Math.round(width)}x${Math.round(height)}|${aspect}`;
+    const cached = frameOverlayCache.get(key);
+    if (cached && cached.images === images) {
+        frameOverlayCache.delete(key);
+        frameOverlayCache.set(key, cached);
+        return cached;
+    }
+
+    const overlay = { images, parts: [] };
+    let run = null;
+    template.layers.forEach(layer => {
+        if (layer.type === 'text') {
+            run = null;
+            overlay.parts.push({ layer });
+        } else if (images[layer.id]) {
+            if (!run) {
+                run = { layers: [] };
+                overlay.parts.push(run);
+            }
+            run.layers.push(layer);
+        }
+    });
+
+    const scale = Math.min(width, height) / FRAME_REFERENCE_SIZE;
+    overlay.parts.filter(part => part.layers).forEach(part => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width);
+        canvas.height = Math.round(height);
+        const ctx = canvas.getContext('2d');
+        part.layers.forEach(layer => {
+            drawFrameLayer(ctx, layer, images, width, height, aspect, {}, scale);
+        });
+        part.image = canvas;
+
+        // Swap in a GPU-friendly bitmap once it's ready; the canvas serves until then
+        if (typeof createImageBitmap === 'function') {
+            createImageBitmap(canvas)
+                .then(bitmap => { part.image = bitmap; })
+                .catch(() => {});
+        }
+    });
+
+    frameOverlayCache.set(key, overlay);
+    if (frameOverlayCache.size > FRAME_OVERLAY_CACHE_SIZE) {
+        // Dropped, not closed - a recording may still be drawing an evicted overlay
+        frameOverlayCache.delete(frameOverlayCache.keys().next().value);
+    }
+    return overlay;
+}
+
+// Draw an overlay from getFrameOverlay(), filling in its text layers
+function drawFrameOverlay(ctx, overlay, width, height, aspect, textValues = {}) {
+    const scale = Math.min(width, height) / FRAME_REFERENCE_SIZE;
+    overlay.parts.forEach(part => {
+        if (part.layer) {
+            drawFrameLayer(ctx, part.layer, overlay.images, width, height, aspect, textValues, scale);
+        } else {
+            ctx.drawImage(part.image, 0, 0, width, height);
+        }
+    });
+}
+
+// Merge a template's multi-shot settings with defaults and the aspect overrides
+function resolveFrameMultiShot(template, aspect) {
+    const multiShot = (template && template.multiShot) || {};
+    const sources = [
+        FRAME_MULTI_SHOT_DEFAULTS,
+        ...getFrameAspectOverrides(FRAME_MULTI_SHOT_DEFAULTS.overrides, aspect),
+        multiShot,
+        ...getFrameAspectOverrides(multiShot.overrides || {}, aspect)
+    ];
+    const merged = Object.assign({}, ...sources);
+    merged.margin = normalizeFrameMargin(Object.assign({}, ...sources.map(source => source.margin)));
+    delete merged.overrides;
+    return merged;
+}
+
+// Photo cells for a capture layout: 'single' fills the canvas, 'grid' is 2x2,
+// 'strip' stacks stripCount photos vertically inside the template's photo area
+function getFrameCells(template, layout, width, height, aspect) {
+    if (layout !== 'grid' && layout !== 'strip') {
+        return [{ x: 0, y: 0, width, height }];
+    }
+
+    const scale = Math.min(width, height) / FRAME_REFERENCE_SIZE;
+    const settings = resolveFrameMultiShot(template, aspect);
+    const margin = settings.margin;
+    const gap = settings.gap * scale;
+
+    const columns = layout === 'grid' ? 2 : 1;
+    const rows = layout === 'grid' ? 2 : settings.stripCount;
+
+    const areaX = margin.left * scale;
+    const areaY = margin.top * scale;
+    const areaWidth = width - (margin.left + margin.right) * scale;
+    const areaHeight = height - (margin.top + margin.bottom) * scale;
+    const cellWidth = (areaWidth - gap * (columns - 1)) / columns;
+    const cellHeight = (areaHeight - gap * (rows - 1)) / rows;
+
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            cells.push({
+                x: Math.round(areaX + column * (cellWidth + gap)),
+                y: Math.round(areaY + row * (cellHeight + gap)),
+                width: Math.round(cellWidth),
+                height: Math.round(cellHeight)
+            });
+        }
+    }
+    return cells;
+}
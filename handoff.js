@@ -0,0 +1,101 @@
+// QR hand-off - guests scan a code to get their photo on their own phone
+// After each capture the file is POSTed to "handoff.uploadUrl" from event.json; the
+// endpoint answers with { "url": ..., "expiresAt": ... } and the result screen shows
+// that link as a QR code (drawn locally by qr.js). See handoff_server.py for a
+// reference endpoint.
+
+const HANDOFF_DEFAULTS = {
+    uploadUrl: null, // Hand-off is off until an endpoint is configured
+    timeoutSeconds: 30
+};
+
+const HANDOFF_QR_SIZE = 240;
+
+const handoffPanel = document.getElementById('handoff-panel');
+const handoffQr = document.getElementById('handoff-qr');
+const handoffStatus = document.getElementById('handoff-status');
+const handoffRetryBtn = document.getElementById('handoff-retry-btn');
+
+let handoffConfig = Object.assign({}, HANDOFF_DEFAULTS);
+let handoffController = null; // Aborts the upload in flight when the guest retakes
+let handoffResult = null; // Result being handed off, for retries
+
+function initHandoff(eventConfig) {
+    handoffConfig = Object.assign({}, HANDOFF_DEFAULTS, eventConfig && eventConfig.handoff);
+    document.body.classList.toggle('handoff', Boolean(handoffConfig.uploadUrl));
+}
+
+function setHandoffState(state, message) {
+    handoffPanel.classList.remove('hidden');
+    handoffPanel.dataset.state = state;
+    handoffQr.classList.toggle('hidden', state !== 'ready');
+    handoffRetryBtn.classList.toggle('hidden', state !== 'failed');
+    handoffStatus.textContent = message;
+}
+
+function cancelHandoff() {
+    if (handoffController) {
+        handoffController.abort();
+        handoffController = null;
+    }
+    handoffResult = null;
+    handoffPanel.classList.add('hidden');
+}
+
+// Upload the photo/clip and show the returned link as a QR code
+async function startHandoff(result) {
+    if (!handoffConfig.uploadUrl) return;
+
+    // A reshoot replaces the result - drop the previous upload
+    cancelHandoff();
+    handoffResult = result;
+    const controller = new AbortController();
+    handoffController = controller;
+    const timeout = setTimeout(() => controller.abort(), handoffConfig.timeoutSeconds * 1000);
+
+    setHandoffState('uploading', t('handoff.preparing'));
+
+    try {
+        const response = await fetch(handoffConfig.uploadUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': result.blob.type || 'application/octet-stream',
+                'X-File-Name': encodeURIComponent(getPhotoFileName(result))
+            },
+            body: result.blob,
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`Upload failed (${response.status})`);
+        }
+
+        const { url } = await response.json();
+        if (!url) {
+            throw new Error('Upload response has no "url"');
+        }
+
+        drawQrCode(handoffQr, url, HANDOFF_QR_SIZE);
+        setHandoffState('ready', t('handoff.ready'));
+    } catch (error) {
+        // Aborted by a retake/reshoot - the panel has already moved on
+        if (controller !== handoffController) return;
+        console.error('Hand-off upload error:', error);
+        setHandoffState('failed', error.name === 'AbortError'
+            ? t('handoff.timeout')
+            : t('handoff.failed'));
+    } finally {
+        clearTimeout(timeout);
+        if (controller === handoffController) {
+            handoffController = null;
+        }
+    }
+}
+
+// Event listeners
+document.addEventListener('snapframe:configloaded', event => initHandoff(event.detail.eventConfig));
+document.addEventListener('snapframe:result', event => startHandoff(event.detail));
+document.addEventListener('snapframe:retake', cancelHandoff);
+
+handoffRetryBtn.addEventListener('click', () => {
+    if (handoffResult) startHandoff(handoffResult);
+});
@@ -0,0 +1,260 @@
+"""Reference hand-off server for the QR code flow.
+
+Stores uploaded photos/clips with expiring links so the flow can be tested end to
+end on a laptop. Point "handoff.uploadUrl" in event.json at http://<laptop-ip>:8001/upload.
+
+    POST /upload        raw file body (JPEG, PNG, WebP, MP4 or WebM) -> {"url", "expiresAt"}
+    GET  /p/<token>     page for the guest's phone showing the photo + download button
+    GET  /f/<token>     the file itself (?download=1 to save it)
+
+Links expire after --ttl-hours; expired files are deleted in the background.
+"""
+
+import argparse
+import json
+import mimetypes
+import os
+import re
+import secrets
+import socket
+import threading
+import time
+from html import escape
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+from urllib.parse import quote, unquote, urlparse, parse_qs
+
+MAX_UPLOAD_BYTES = 50 * 1024 * 1024
+CLEANUP_INTERVAL_SECONDS = 60
+# Outside the app folder, which server.py serves as static files - there the uploads
+# could be listed without their secret links
+DEFAULT_UPLOAD_DIR = os.path.join(os.path.expanduser("~"), ".snapframe", "handoff-uploads")
+TOKEN_PATTERN = re.compile(r"^[A-Za-z0-9_-]{16,64}$")
+# What the booth uploads; anything else (SVG, HTML...) could run script on this server's origin
+ALLOWED_CONTENT_TYPES = {"image/jpeg", "image/png", "image/webp", "video/mp4", "video/webm"}
+
+PAGE_TEMPLATE = """<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Your photo</title>
+<style>
+body {{ margin: 0; background: #000; color: #fff; font-family: -apple-system, sans-serif;
+       display: flex; flex-direction: column; align-items: center; gap: 16px; padding: 24px; }}
+img, video {{ max-width: 100%; max-height: 75vh; border-radius: 16px; }}
+a {{ background: #21a0fb; color: #fff; padding: 14px 32px; border-radius: 50px;
+     font-weight: 600; text-decoration: none; }}
+p {{ opacity: 0.7; font-size: 0.85rem; text-align: center; }}
+</style>
+</head>
+<body>
+{media}
+<a href="/f/{token}?download=1">Download</a>
+<p>Tip: press and hold the photo to save it to your gallery.<br>This link expires {expires}.</p>
+</body>
+</html>
+"""
+
+
+def get_lan_ip():
+    """Best guess at the address phones on the same Wi-Fi can reach."""
+    try:
+        with socket.socket(socket.AF_INET, socket.SOCK_DGRAM) as probe:
+            probe.connect(("10.255.255.255", 1))
+            return probe.getsockname()[0]
+    except OSError:
+        return "127.0.0.1"
+
+
+class HandoffStore:
+    """Files on disk, each with a JSON sidecar holding its name, type and expiry."""
+
+    def __init__(self, directory, ttl_seconds):
+        self.directory = directory
+        self.ttl_seconds = ttl_seconds
+        os.makedirs(directory, exist_ok=True)
+
+    def _paths(self, token):
+        base = os.path.join(self.directory, token)
+        return base + ".bin", base + ".json"
+
+    def save(self, data, content_type, file_name):
+        token = secrets.token_urlsafe(16)
+        data_path, meta_path = self._paths(token)
+        expires_at = time.time() + self.ttl_seconds
+        with open(data_path, "wb") as f:
+            f.write(data)
+        # Sidecar written aside and moved into place, so the cleanup thread never reads half of
+        # one (it deletes uploads whose sidecar it can't read)
+        with open(meta_path + ".tmp", "w", encoding="utf-8") as f:
+            json.dump({"contentType": content_type, "fileName": file_name, "expiresAt": expires_at}, f)
+        os.replace(meta_path + ".tmp", meta_path)
+        return token, expires_at
+
+    def load(self, token):
+        """Returns (meta, data path), or None if unknown; meta["expired"] marks stale links."""
+        if not TOKEN_PATTERN.match(token):
+            return None
+        data_path, meta_path = self._paths(token)
+        try:
+            with open(meta_path, encoding="utf-8") as f:
+                meta = json.load(f)
+        except (OSError, ValueError):
+            return None
+        meta["expired"] = meta["expiresAt"] < time.time()
+        return meta, data_path
+
+    def delete_expired(self):
+        now = time.time()
+        for name in os.listdir(self.directory):
+            if not name.endswith(".json"):
+                continue
+            token = name[:-5]
+            data_path, meta_path = self._paths(token)
+            try:
+                with open(meta_path, encoding="utf-8") as f:
+                    expired = json.load(f)["expiresAt"] < now
+            except (OSError, ValueError, KeyError):
+                expired = True
+            if expired:
+                for path in (data_path, meta_path):
+                    try:
+                        os.remove(path)
+                    except OSError:
+                        pass
+
+
+class HandoffHandler(BaseHTTPRequestHandler):
+    store = None
+    public_url = ""
+    allow_origin = "*"
+
+    def end_headers(self):
+        self.send_header("Access-Control-Allow-Origin", self.allow_origin)
+        self.send_header("Access-Control-Allow-Methods", "POST, GET, OPTIONS")
+        self.send_header("Access-Control-Allow-Headers", "Content-Type, X-File-Name")
+        self.send_header("X-Content-Type-Options", "nosniff")
+        super().end_headers()
+
+    def send_json(self, status, payload):
+        body = json.dumps(payload).encode("utf-8")
+        self.send_response(status)
+        self.send_header("Content-Type", "application/json")
+        self.send_header("Content-Length", str(len(body)))
+        self.end_headers()
+        self.wfile.write(body)
+
+    def send_text(self, status, text, content_type="text/plain; charset=utf-8"):
+        body = text.encode("utf-8")
+        self.send_response(status)
+        self.send_header("Content-Type", content_type)
+        self.send_header("Content-Length", str(len(body)))
+        self.send_header("Cache-Control", "no-store")
+        self.end_headers()
+        self.wfile.write(body)
+
+    def do_OPTIONS(self):
+        self.send_response(204)
+        self.send_header("Access-Control-Max-Age", "600")
+        self.end_headers()
+
+    def do_POST(self):
+        if urlparse(self.path).path != "/upload":
+            self.send_json(404, {"error": "Not found"})
+            return
+
+        content_type = self.headers.get("Content-Type", "").split(";")[0].strip()
+        if content_type not in ALLOWED_CONTENT_TYPES:
+            self.send_json(415, {"error": "Only JPEG, PNG and WebP photos and MP4 and WebM clips can be uploaded"})
+            return
+
+        try:
+            length = int(self.headers.get("Content-Length", "0"))
+        except ValueError:
+            length = 0
+        if length <= 0 or length > MAX_UPLOAD_BYTES:
+            self.send_json(413, {"error": "Upload is empty or too large"})
+            return
+
+        data = self.rfile.read(length)
+        file_name = os.path.basename(unquote(self.headers.get("X-File-Name", ""))) \
+            or "photo" + (mimetypes.guess_extension(content_type) or "")
+        token, expires_at = self.store.save(data, content_type, file_name)
+        self.send_json(201, {
+            "url": f"{self.public_url}/p/{token}",
+            "expiresAt": time.strftime("%Y-%m-%dT%H:%M:%SZ", time.gmtime(expires_at)),
+        })
+
+    def do_GET(self):
+        url = urlparse(self.path)
+        match = re.match(r"^/([pf])/([^/]+)$", url.path)
+        entry = self.store.load(match.group(2)) if match else None
+        if not entry:
+            self.send_text(404, "This photo link is not valid.")
+            return
+
+        meta, data_path = entry
+        if meta["expired"]:
+            self.send_text(410, "This photo link has expired.")
+            return
+
+        token = match.group(2)
+        if match.group(1) == "p":
+            src = f"/f/{token}"
+            media = (f'<video src="{src}" autoplay loop muted playsinline></video>'
+                     if meta["contentType"].startswith("video/")
+                     else f'<img src="{src}" alt="{escape(meta["fileName"])}">')
+            expires = time.strftime("%d %b %Y %H:%M", time.localtime(meta["expiresAt"]))
+            self.send_text(200, PAGE_TEMPLATE.format(media=media, token=token, expires=expires),
+                           "text/html; charset=utf-8")
+            return
+
+        download = parse_qs(url.query).get("download") == ["1"]
+        with open(data_path, "rb") as f:
+            data = f.read()
+        self.send_response(200)
+        self.send_header("Content-Type", meta["contentType"])
+        self.send_header("Content-Length", str(len(data)))
+        self.send_header("Cache-Control", "private, max-age=3600")
+        # Only the types uploads are limited to are shown in the browser; anything else downloads
+        inline = not download and meta["contentType"] in ALLOWED_CONTENT_TYPES
+        disposition = "inline" if inline else "attachment"
+        self.send_header("Content-Disposition",
+                         f"{disposition}; filename*=UTF-8''{quote(meta['fileName'])}")
+        self.end_headers()
+        self.wfile.write(data)
+
+
+def cleanup_loop(store):
+    while True:
+        store.delete_expired()
+        time.sleep(CLEANUP_INTERVAL_SECONDS)
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Snap & Frame QR hand-off server")
+    parser.add_argument("--port", type=int, default=8001)
+    parser.add_argument("--ttl-hours", type=float, default=24, help="how long links stay valid")
+    parser.add_argument("--dir", default=DEFAULT_UPLOAD_DIR,
+                        help=f"where uploads are stored (default {DEFAULT_UPLOAD_DIR})")
+    parser.add_argument("--public-url", help="base URL guests' phones use (default http://<LAN IP>:<port>)")
+    parser.add_argument("--allow-origin", default="*", help="origin allowed to upload (CORS)")
+    args = parser.parse_args()
+
+    HandoffHandler.store = HandoffStore(args.dir, args.ttl_hours * 3600)
+    HandoffHandler.public_url = (args.public_url or f"http://{get_lan_ip()}:{args.port}").rstrip("/")
+    HandoffHandler.allow_origin = args.allow_origin
+
+    threading.Thread(target=cleanup_loop, args=(HandoffHandler.store,), daemon=True).start()
+
+    with ThreadingHTTPServer(("", args.port), HandoffHandler) as httpd:
+        print(f"Hand-off server on port {args.port}")
+        print(f"Upload URL: {HandoffHandler.public_url}/upload")
+        try:
+            httpd.serve_forever()
+        except KeyboardInterrupt:
+            print("\nServer stopped.")
+
+
+if __name__ == "__main__":
+    main()
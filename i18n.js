@@ -0,0 +1,106 @@
+// Localisation - guest-facing text in the guest's language
+// Messages live in flat catalogues, locales/<code>.json. The locale is the first of ?lang=,
+// "locale" in event.json and the browser's languages (navigator.languages) that the event
+// offers ("locales" in event.json, else every shipped catalogue); "de-AT" matches "de".
+// English fills in any message a catalogue lacks. Messages take {name} placeholders, and
+// counted messages list a form per plural category (Intl.PluralRules):
+//   "upload.downloaded": { "one": "{count} framed photo downloaded!", "other": "{count} framed photos downloaded!" }
+// Markup is translated through data-i18n (text) and data-i18n-<attribute> attributes;
+// right-to-left languages switch the page to dir="rtl".
+
+const I18N_FALLBACK_LOCALE = 'en';
+const I18N_LOCALES = ['en', 'de', 'es', 'fr', 'ar']; // Catalogues shipped in locales/
+const I18N_RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+const I18N_PARAM = 'lang';
+const I18N_ATTRIBUTES = ['aria-label', 'placeholder', 'alt', 'title'];
+
+let i18nLocale = I18N_FALLBACK_LOCALE;
+let i18nMessages = {}; // Catalogue of the active locale
+let i18nFallbackMessages = {}; // English, for messages a catalogue doesn't have yet
+let i18nPluralRules = null;
+
+// First requested locale the event offers, matching "de-AT" to "de" when needed
+function pickLocale(requested, available) {
+    for (const locale of requested) {
+        if (!locale) continue;
+        const match = available.find(code => code.toLowerCase() === locale.toLowerCase())
+            || available.find(code => code.toLowerCase() === locale.split('-')[0].toLowerCase());
+        if (match) return match;
+    }
+    return available[0] || I18N_FALLBACK_LOCALE;
+}
+
+async function loadCatalogue(locale) {
+    try {
+        const response = await fetch(`locales/${locale}.json`);
+        if (!response.ok) {
+            throw new Error(`Failed to load locales/${locale}.json (${response.status})`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.warn('Failed to load message catalogue:', error.message);
+        return {};
+    }
+}
+
+// Choose the locale for this visit, load its messages and translate the page
+async function initI18n(eventConfig) {
+    const available = (eventConfig && Array.isArray(eventConfig.locales) && eventConfig.locales.length > 0)
+        ? eventConfig.locales
+        : I18N_LOCALES;
+    const requested = [
+        new URLSearchParams(location.search).get(I18N_PARAM),
+        eventConfig && eventConfig.locale,
+        ...(navigator.languages || [navigator.language])
+    ];
+    i18nLocale = pickLocale(requested, available);
+
+    const [fallback, messages] = await Promise.all([
+        loadCatalogue(I18N_FALLBACK_LOCALE),
+        i18nLocale === I18N_FALLBACK_LOCALE ? null : loadCatalogue(i18nLocale)
+    ]);
+    i18nFallbackMessages = fallback;
+    i18nMessages = messages || fallback;
+    i18nPluralRules = new Intl.PluralRules(i18nLocale);
+
+    document.documentElement.lang = i18nLocale;
+    document.documentElement.dir = isRtlLocale(i18nLocale) ? 'rtl' : 'ltr';
+    translateDocument();
+}
+
+function getLocale() {
+    return i18nLocale;
+}
+
+function isRtlLocale(locale) {
+    return I18N_RTL_LANGUAGES.includes(locale.split('-')[0].toLowerCase());
+}
+
+// Message for a key with {placeholders} filled in; params.count picks the plural form.
+// Unknown keys come back as the key itself so gaps in a catalogue are easy to spot.
+function t(key, params = {}) {
+    let message = key in i18nMessages ? i18nMessages[key] : i18nFallbackMessages[key];
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+        const category = i18nPluralRules ? i18nPluralRules.select(params.count) : 'other';
+        message = message[category] || message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === 'number' ? value.toLocaleString(i18nLocale) : String(value);
+    });
+}
+
+// Translate marked-up text: data-i18n="key" sets the text, data-i18n-aria-label="key" etc. attributes
+function translateDocument(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    I18N_ATTRIBUTES.forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
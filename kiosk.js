@@ -0,0 +1,344 @@
+// Kiosk mode - for tablets running the booth unattended
+// Enabled by "kiosk": { "enabled": true } in event.json or ?kiosk=1 (?kiosk=0 turns it off).
+// Returns to the camera after an idle timeout, shows an attract screen, blocks browser
+// gestures and keeps every shot in an IndexedDB gallery that the operator can view and
+// export as a ZIP from a PIN-protected menu (long-press the top-left corner).
+
+const KIOSK_DEFAULTS = {
+    enabled: false,
+    resultTimeoutSeconds: 60, // Result screen -> camera
+    attractTimeoutSeconds: 45, // Camera idle -> attract screen
+    attractFrameSeconds: 5, // Attract screen cycles through the event's frames
+    pin: '0000'
+};
+
+// Long-press duration on the hidden corner hotspot that opens the operator menu
+const OPERATOR_HOLD_MS = 3000;
+
+const attractScreen = document.getElementById('attract-screen');
+const operatorHotspot = document.getElementById('operator-hotspot');
+const pinDialog = document.getElementById('pin-dialog');
+const pinInput = document.getElementById('pin-input');
+const operatorMenu = document.getElementById('operator-menu');
+const galleryGrid = document.getElementById('gallery-grid');
+const galleryCount = document.getElementById('gallery-count');
+
+let kioskConfig = Object.assign({}, KIOSK_DEFAULTS);
+let isKioskMode = false;
+let idleTimer = null;
+let attractFrameTimer = null;
+let operatorHoldTimer = null;
+let galleryURLs = []; // Object URLs of the gallery thumbnails, revoked when the menu closes
+let wakeLock = null;
+
+// Kiosk mode from the URL (?kiosk=1 / ?kiosk=0) or event.json
+function isKioskRequested(config) {
+    const param = new URLSearchParams(window.location.search).get('kiosk');
+    if (param !== null) {
+        return param !== '0' && param !== 'false';
+    }
+    return Boolean(config.enabled);
+}
+
+// Set up kiosk mode once the event config has loaded
+function initKioskMode(eventConfig) {
+    kioskConfig = Object.assign({}, KIOSK_DEFAULTS, eventConfig && eventConfig.kiosk);
+    if (isKioskMode || !isKioskRequested(kioskConfig)) return;
+
+    isKioskMode = true;
+    document.body.classList.add('kiosk');
+    lockBrowserGestures();
+    requestWakeLock();
+
+    // Any interaction restarts the idle countdown
+    ['pointerdown', 'keydown'].forEach(type => {
+        document.addEventListener(type, resetIdleTimer, { capture: true, passive: true });
+    });
+
+    resetIdleTimer();
+}
+
+// ---- Idle handling ----
+
+// Restart the idle countdown for whatever screen is showing
+function resetIdleTimer() {
+    if (!isKioskMode) return;
+    clearTimeout(idleTimer);
+
+    // Operator is working - give them the longer timeout before locking the menu again
+    if (!operatorMenu.classList.contains('hidden') || !pinDialog.classList.contains('hidden')) {
+        idleTimer = setTimeout(closeOperatorMenu, kioskConfig.resultTimeoutSeconds * 1000);
+        return;
+    }
+
+    if (resultSection.classList.contains('show')) {
+        idleTimer = setTimeout(() => retakePhoto(), kioskConfig.resultTimeoutSeconds * 1000);
+    } else if (attractScreen.classList.contains('hidden')) {
+        idleTimer = setTimeout(showAttractScreen, kioskConfig.attractTimeoutSeconds * 1000);
+    }
+}
+
+// Attract screen over the live preview, cycling through the event's frames
+function showAttractScreen() {
+    // Never interrupt a countdown or capture in progress
+    if (isCapturing) {
+        resetIdleTimer();
+        return;
+    }
+
+    settingsPanel.classList.add('hidden');
+    clearGuestName();
+    attractScreen.classList.remove('hidden');
+
+    clearInterval(attractFrameTimer);
+    if (frameTemplates.length > 1) {
+        attractFrameTimer = setInterval(() => {
+            selectFrame((selectedFrameIndex + 1) % frameTemplates.length);
+        }, kioskConfig.attractFrameSeconds * 1000);
+    }
+}
+
+function hideAttractScreen() {
+    clearInterval(attractFrameTimer);
+    attractScreen.classList.add('hidden');
+    resetIdleTimer();
+}
+
+// ---- Browser lock-down ----
+
+// Block zoom, long-press menus, back navigation and pull-to-refresh on the kiosk
+function lockBrowserGestures() {
+    document.addEventListener('contextmenu', event => event.preventDefault());
+    // iOS pinch-zoom
+    document.addEventListener('gesturestart', event => event.preventDefault());
+    // Multi-finger gestures outside the camera preview
+    document.addEventListener('touchmove', (event) => {
+        if (event.touches.length > 1 && !previewWrapper.contains(event.target)) {
+            event.preventDefault();
+        }
+    }, { passive: false });
+    document.addEventListener('dblclick', event => event.preventDefault());
+
+    // Keep the back button/gesture inside the app
+    history.pushState(null, '', window.location.href);
+    window.addEventListener('popstate', () => {
+        history.pushState(null, '', window.location.href);
+    });
+
+    // Fullscreen needs a user gesture - use the first tap (not supported on iOS)
+    document.addEventListener('pointerdown', () => {
+        const root = document.documentElement;
+        if (!document.fullscreenElement && root.requestFullscreen) {
+            root.requestFullscreen({ navigationUI: 'hide' }).catch(() => {});
+        }
+    }, { once: true });
+}
+
+// Keep the tablet screen on (re-acquired when the page becomes visible again)
+async function requestWakeLock() {
+    if (!('wakeLock' in navigator) || document.hidden) return;
+    try {
+        wakeLock = await navigator.wakeLock.request('screen');
+    } catch (error) {
+        console.warn('Wake lock unavailable:', error.name);
+    }
+}
+
+// ---- Session gallery ----
+
+// Store each photo/clip; reshoots replace the entry with the same sequence number
+async function saveToGallery(result) {
+    try {
+        await dbPut('gallery', {
+            sequence: result.sequence,
+            blob: result.blob,
+            fileName: getPhotoFileName(result),
+            frameId: result.frameId,
+            capturedAt: result.capturedAt.toISOString()
+        });
+    } catch (error) {
+        console.warn('Failed to save to gallery:', error.name || error.message);
+    }
+}
+
+// Show thumbnails of every stored shot in the operator menu
+async function renderGallery() {
+    releaseGalleryURLs();
+    galleryGrid.innerHTML = '';
+
+    let items = [];
+    try {
+        items = await dbGetAll('gallery');
+    } catch (error) {
+        console.warn('Failed to read gallery:', error.name || error.message);
+    }
+
+    galleryCount.textContent = String(items.length);
+    items.reverse().forEach(item => {
+        const url = URL.createObjectURL(item.blob);
+        galleryURLs.push(url);
+
+        const thumb = document.createElement(item.blob.type.startsWith('video/') ? 'video' : 'img');
+        thumb.className = 'gallery-thumb';
+        thumb.src = url;
+        thumb.title = item.fileName;
+        if (thumb.tagName === 'VIDEO') {
+            thumb.muted = true;
+            thumb.loop = true;
+            thumb.playsInline = true;
+            thumb.autoplay = true;
+        } else {
+            thumb.alt = item.fileName;
+        }
+        galleryGrid.appendChild(thumb);
+    });
+}
+
+function releaseGalleryURLs() {
+    galleryURLs.forEach(url => URL.revokeObjectURL(url));
+    galleryURLs = [];
+}
+
+// Download every stored shot as one ZIP
+async function exportGallery() {
+    try {
+        const items = await dbGetAll('gallery');
+        if (items.length === 0) {
+            showToast('The gallery is empty.', 'info', 2000);
+            return;
+        }
+
+        // Make file names unique in case the pattern doesn't include {seq}
+        const usedNames = new Set();
+        const files = items.map(item => {
+            let name = item.fileName;
+            if (usedNames.has(name)) {
+                name = name.replace(/(\.\w+)$/, `-${item.sequence}$1`);
+            }
+            usedNames.add(name);
+            return { name, blob: item.blob, date: new Date(item.capturedAt) };
+        });
+
+        const zip = await createZipBlob(files);
+        const link = document.createElement('a');
+        link.download = `${slugify(getEventName()) || 'snapframe'}-gallery.zip`;
+        link.href = URL.createObjectURL(zip);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        showToast(`Exported ${files.length} file(s).`, 'success', 2000);
+    } catch (error) {
+        console.error('Gallery export error:', error);
+        showToast('Failed to export the gallery.', 'error');
+    }
+}
+
+async function clearGallery() {
+    if (!window.confirm('Delete every photo in the gallery?')) return;
+    try {
+        await dbClear('gallery');
+        await renderGallery();
+    } catch (error) {
+        showToast('Failed to clear the gallery.', 'error');
+    }
+}
+
+// ---- Operator menu ----
+
+function startOperatorHold() {
+    clearTimeout(operatorHoldTimer);
+    operatorHoldTimer = setTimeout(openPinDialog, OPERATOR_HOLD_MS);
+}
+
+function cancelOperatorHold() {
+    clearTimeout(operatorHoldTimer);
+}
+
+function openPinDialog() {
+    pinInput.value = '';
+    pinDialog.classList.remove('hidden');
+    pinInput.focus();
+    resetIdleTimer();
+}
+
+function closePinDialog() {
+    pinDialog.classList.add('hidden');
+    resetIdleTimer();
+}
+
+function submitPin() {
+    if (pinInput.value === String(kioskConfig.pin)) {
+        closePinDialog();
+        openOperatorMenu();
+    } else {
+        pinInput.value = '';
+        showToast('Incorrect PIN.', 'error', 2000);
+    }
+}
+
+function openOperatorMenu() {
+    operatorMenu.classList.remove('hidden');
+    renderGallery();
+    resetIdleTimer();
+}
+
+function closeOperatorMenu() {
+    operatorMenu.classList.add('hidden');
+    pinDialog.classList.add('hidden');
+    releaseGalleryURLs();
+    galleryGrid.innerHTML = '';
+    resetIdleTimer();
+}
+
+// Leave kiosk mode by reloading without it
+function exitKioskMode() {
+    const url = new URL(window.location.href);
+    url.searchParams.set('kiosk', '0');
+    window.location.href = url.href;
+}
+
+// Event listeners
+document.addEventListener('snapframe:configloaded', event => initKioskMode(event.detail.eventConfig));
+document.addEventListener('snapframe:result', (event) => {
+    if (!isKioskMode) return;
+    saveToGallery(event.detail);
+    resetIdleTimer();
+});
+document.addEventListener('snapframe:retake', resetIdleTimer);
+// A clicker or controller phone counts as a guest at the booth
+document.addEventListener('snapframe:remote', () => {
+    if (isKioskMode) hideAttractScreen();
+});
+
+// Tap anywhere on the attract screen to start (without triggering what's underneath)
+attractScreen.addEventListener('pointerdown', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    hideAttractScreen();
+});
+
+operatorHotspot.addEventListener('pointerdown', startOperatorHold);
+['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+    operatorHotspot.addEventListener(type, cancelOperatorHold);
+});
+
+document.getElementById('pin-submit-btn').addEventListener('click', submitPin);
+document.getElementById('pin-cancel-btn').addEventListener('click', closePinDialog);
+pinInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') submitPin();
+});
+
+document.getElementById('operator-settings-btn').addEventListener('click', () => {
+    closeOperatorMenu();
+    openSettings();
+});
+document.getElementById('gallery-export-btn').addEventListener('click', exportGallery);
+document.getElementById('gallery-clear-btn').addEventListener('click', clearGallery);
+document.getElementById('kiosk-exit-btn').addEventListener('click', exitKioskMode);
+document.getElementById('operator-close-btn').addEventListener('click', closeOperatorMenu);
+
+// The wake lock is released whenever the page is hidden
+document.addEventListener('visibilitychange', () => {
+    if (isKioskMode && !document.hidden && (!wakeLock || wakeLock.released)) {
+        requestWakeLock();
+    }
+});
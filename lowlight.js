@@ -0,0 +1,162 @@
+// Low-light capture - stacks a burst of camera frames into one cleaner, brighter photo
+// In dim rooms a single video frame is dark and grainy. script.js grabs several
+// consecutive frames; each is aligned to the first (hand shake moves the whole picture, so
+// one shift per frame is searched on a downscaled copy) and averaged, which cuts sensor
+// noise by about √n. A tone curve then lifts the shadows, before the frame overlay is
+// composited on top.
+
+const LOW_LIGHT_ANALYSIS_SCALE = 4; // Alignment runs on a 1/4-size brightness copy
+const LOW_LIGHT_MAX_SHIFT = 6; // Largest shift searched, in analysis pixels (±24 px full size)
+const LOW_LIGHT_TARGET_BRIGHTNESS = 0.4; // Average brightness the tone curve aims for
+const LOW_LIGHT_MAX_GAIN = 4; // Steepest shadow lift, so the remaining noise isn't blown up
+
+// Rec. 709 luma of 8-bit RGB, 0-255
+function getPixelLuma(data, offset) {
+    return 0.2126 * data[offset] + 0.7152 * data[offset + 1] + 0.0722 * data[offset + 2];
+}
+
+// Average brightness (0-1) of RGBA pixels, reading every `step`th pixel
+function getImageBrightness(data, step = 1) {
+    let total = 0;
+    let count = 0;
+    for (let offset = 0; offset < data.length; offset += 4 * step) {
+        total += getPixelLuma(data, offset);
+        count++;
+    }
+    return count ? total / count / 255 : 0;
+}
+
+// Downscaled brightness of a frame (ImageData), for alignment
+function getAlignmentLuma(imageData) {
+    const scale = LOW_LIGHT_ANALYSIS_SCALE;
+    const width = Math.floor(imageData.width / scale);
+    const height = Math.floor(imageData.height / scale);
+    const luma = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            luma[y * width + x] = getPixelLuma(imageData.data, ((y * scale) * imageData.width + x * scale) * 4);
+        }
+    }
+    return { luma, width, height };
+}
+
+// Whole-pixel shift (full size) that best lines a frame up with the reference, by the sum
+// of absolute brightness differences over the inner area of the analysis copies
+function findFrameShift(reference, frame) {
+    const { width, height } = reference;
+    const margin = LOW_LIGHT_MAX_SHIFT;
+    let best = { dx: 0, dy: 0, cost: Infinity };
+
+    for (let dy = -margin; dy <= margin; dy++) {
+        for (let dx = -margin; dx <= margin; dx++) {
+            let cost = 0;
+            // Every second row and column is plenty for a global shift
+            for (let y = margin; y < height - margin; y += 2) {
+                const referenceRow = y * width;
+                const frameRow = (y + dy) * width + dx;
+                for (let x = margin; x < width - margin; x += 2) {
+                    cost += Math.abs(reference.luma[referenceRow + x] - frame.luma[frameRow + x]);
+                }
+            }
+            // Prefer no movement when shifts score the same (flat, dark scenes)
+            if (cost < best.cost || (cost === best.cost && Math.abs(dx) + Math.abs(dy) < Math.abs(best.dx) + Math.abs(best.dy))) {
+                best = { dx, dy, cost };
+            }
+        }
+    }
+    return { dx: best.dx * LOW_LIGHT_ANALYSIS_SCALE, dy: best.dy * LOW_LIGHT_ANALYSIS_SCALE };
+}
+
+// Running sum of aligned frames; the first frame added is the reference
+function createFrameStack(width, height) {
+    return {
+        width,
+        height,
+        sum: new Uint16Array(width * height * 3), // 255 × up to 257 frames fits
+        count: 0,
+        reference: null
+    };
+}
+
+function addFrameToStack(stack, imageData) {
+    const { width, height, sum } = stack;
+    const data = imageData.data;
+    let dx = 0;
+    let dy = 0;
+    if (stack.reference) {
+        ({ dx, dy } = findFrameShift(stack.reference, getAlignmentLuma(imageData)));
+    } else {
+        stack.reference = getAlignmentLuma(imageData);
+    }
+
+    // Read each pixel from where it moved to; edges repeat the nearest pixel
+    for (let y = 0; y < height; y++) {
+        const sourceY = Math.min(height - 1, Math.max(0, y + dy));
+        for (let x = 0; x < width; x++) {
+            const sourceX = Math.min(width - 1, Math.max(0, x + dx));
+            const source = (sourceY * width + sourceX) * 4;
+            const target = (y * width + x) * 3;
+            sum[target] += data[source];
+            sum[target + 1] += data[source + 1];
+            sum[target + 2] += data[source + 2];
+        }
+    }
+    stack.count++;
+}
+
+// Tone curve (256 entries) that lifts the shadows of an image with the given average
+// brightness towards LOW_LIGHT_TARGET_BRIGHTNESS: y = g·x / (1 + (g - 1)·x) keeps black
+// and white in place and brightens dark tones most
+function getShadowLiftCurve(brightness) {
+    const mean = Math.min(Math.max(brightness, 0.01), 0.99);
+    const target = LOW_LIGHT_TARGET_BRIGHTNESS;
+    const gain = Math.min(LOW_LIGHT_MAX_GAIN, Math.max(1, (target * (1 - mean)) / (mean * (1 - target))));
+    const curve = new Uint8ClampedArray(256);
+    for (let value = 0; value < 256; value++) {
+        const x = value / 255;
+        curve[value] = Math.round((gain * x / (1 + (gain - 1) * x)) * 255);
+    }
+    return curve;
+}
+
+// Average of the stacked frames with the shadows lifted: { image: ImageData, curve } -
+// the curve is needed again to key the photo (getLiftedChromaKey)
+function finishFrameStack(stack) {
+    const { width, height, sum, count } = stack;
+    const output = new ImageData(width, height);
+    const data = output.data;
+    for (let pixel = 0; pixel < width * height; pixel++) {
+        data[pixel * 4] = sum[pixel * 3] / count;
+        data[pixel * 4 + 1] = sum[pixel * 3 + 1] / count;
+        data[pixel * 4 + 2] = sum[pixel * 3 + 2] / count;
+        data[pixel * 4 + 3] = 255;
+    }
+
+    const curve = getShadowLiftCurve(getImageBrightness(data, 16));
+    for (let offset = 0; offset < data.length; offset += 4) {
+        data[offset] = curve[data[offset]];
+        data[offset + 1] = curve[data[offset + 1]];
+        data[offset + 2] = curve[data[offset + 2]];
+    }
+    return { image: output, curve };
+}
+
+// Length of a colour's chroma (Cb, Cr), as the chroma key shader measures it (filters.js)
+function getChromaLength([red, green, blue]) {
+    const cb = -0.168736 * red - 0.331264 * green + 0.5 * blue;
+    const cr = 0.5 * red - 0.418688 * green - 0.081312 * blue;
+    return Math.hypot(cb, cr);
+}
+
+// Chroma key for a lifted photo. The key colour is sampled from the plain video, so it goes
+// through the same tone curve, and the tolerance and softness stretch as far as its chroma
+// did - the lift moves the backdrop's colours up to about twice as far apart
+function getLiftedChromaKey(chromaKey, curve) {
+    const color = chromaKey.color.map(value => curve[Math.round(value * 255)] / 255);
+    const stretch = Math.max(1, getChromaLength(color) / Math.max(getChromaLength(chromaKey.color), 0.001));
+    return Object.assign({}, chromaKey, {
+        color,
+        tolerance: chromaKey.tolerance * stretch,
+        softness: chromaKey.softness * stretch
+    });
+}
@@ -0,0 +1,310 @@
+// Image metadata writer - embeds event details into exported photos
+// PNG gets tEXt chunks (iTXt for non-Latin-1 text), JPEG gets EXIF + XMP APP1
+// segments and WebP gets EXIF + XMP chunks. Works on the encoded bytes from
+// canvas.toBlob(), so no re-encoding (and no quality loss) is involved.
+
+const METADATA_SOFTWARE = 'Snap & Frame';
+const XMP_NAMESPACE = 'http://ns.snapframe.app/1.0/';
+
+const textEncoder = new TextEncoder();
+
+// CRC-32 (IEEE) lookup table, shared with anything else that writes PNG/ZIP data
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// CRC-32 of a byte array (optionally continuing a previous crc)
+function crc32(bytes, crc = 0) {
+    let c = crc ^ 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        c = CRC32_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Concatenate byte arrays
+function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+// Latin-1 bytes, or null if the text has characters outside Latin-1
+function encodeLatin1(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        if (code > 0xFF) return null;
+        bytes[i] = code;
+    }
+    return bytes;
+}
+
+// Zero-terminated ASCII bytes (EXIF ASCII fields can't carry other characters)
+function encodeExifAscii(text) {
+    const bytes = new Uint8Array(text.length + 1);
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        bytes[i] = code < 0x80 ? code : 0x3F; // '?'
+    }
+    return bytes;
+}
+
+// EXIF date format: "YYYY:MM:DD HH:MM:SS" in local time
+function formatExifDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Metadata fields written to every format
+function getMetadataFields(metadata) {
+    return {
+        event: metadata.event || '',
+        frameId: metadata.frameId || '',
+        captureTime: metadata.captureTime || new Date()
+    };
+}
+
+// ---- PNG ----
+
+// Build a PNG chunk: length, type, data, CRC of type + data
+function buildPngChunk(type, data) {
+    const typeBytes = textEncoder.encode(type);
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(typeBytes, 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(concatBytes([typeBytes, data])));
+    return chunk;
+}
+
+// tEXt chunk, or iTXt (UTF-8) when the value doesn't fit in Latin-1
+function buildPngTextChunk(keyword, value) {
+    const keywordBytes = encodeLatin1(keyword);
+    const latin1Value = encodeLatin1(value);
+    if (latin1Value) {
+        return buildPngChunk('tEXt', concatBytes([keywordBytes, new Uint8Array([0]), latin1Value]));
+    }
+    // keyword \0, compression flag 0, method 0, empty language \0, empty translated keyword \0
+    return buildPngChunk('iTXt', concatBytes([
+        keywordBytes, new Uint8Array([0, 0, 0, 0, 0]), textEncoder.encode(value)
+    ]));
+}
+
+// Insert text chunks right after IHDR (signature 8 bytes + IHDR chunk 25 bytes)
+function addPngMetadata(bytes, metadata) {
+    const fields = getMetadataFields(metadata);
+    const chunks = [
+        buildPngTextChunk('Title', fields.event),
+        buildPngTextChunk('Creation Time', fields.captureTime.toISOString()),
+        buildPngTextChunk('Software', METADATA_SOFTWARE),
+        buildPngTextChunk('Frame', fields.frameId)
+    ];
+    const insertAt = 33;
+    return concatBytes([bytes.subarray(0, insertAt), ...chunks, bytes.subarray(insertAt)]);
+}
+
+// ---- EXIF / XMP ----
+
+// Size of an IFD table plus the out-of-line data of its entries
+function getIfdSize(entries) {
+    const dataSize = entries.reduce((sum, entry) => {
+        const length = entry.data ? entry.data.length : 0;
+        return sum + (length > 4 ? length + (length % 2) : 0);
+    }, 0);
+    return 2 + entries.length * 12 + 4 + dataSize;
+}
+
+// Write an IFD at offset (big-endian); values over 4 bytes go right after the table
+function writeIfd(view, bytes, offset, entries) {
+    let dataOffset = offset + 2 + entries.length * 12 + 4;
+    view.setUint16(offset, entries.length);
+
+    entries.forEach((entry, index) => {
+        const entryOffset = offset + 2 + index * 12;
+        view.setUint16(entryOffset, entry.tag);
+        if (entry.data) {
+            view.setUint16(entryOffset + 2, 2); // ASCII
+            view.setUint32(entryOffset + 4, entry.data.length);
+            if (entry.data.length <= 4) {
+                bytes.set(entry.data, entryOffset + 8);
+            } else {
+                view.setUint32(entryOffset + 8, dataOffset);
+                bytes.set(entry.data, dataOffset);
+                dataOffset += entry.data.length + (entry.data.length % 2);
+            }
+        } else {
+            view.setUint16(entryOffset + 2, 4); // LONG
+            view.setUint32(entryOffset + 4, 1);
+            view.setUint32(entryOffset + 8, entry.value);
+        }
+    });
+
+    view.setUint32(offset + 2 + entries.length * 12, 0); // No next IFD
+}
+
+// TIFF structure holding IFD0 and an Exif sub-IFD with the capture time
+function buildExifTiff(metadata) {
+    const fields = getMetadataFields(metadata);
+    const dateTime = encodeExifAscii(formatExifDate(fields.captureTime));
+    const description = fields.frameId ? `${fields.event} (${fields.frameId})` : fields.event;
+
+    // Entries must be sorted by tag
+    const ifd0 = [
+        { tag: 0x010E, data: encodeExifAscii(description) }, // ImageDescription
+        { tag: 0x0131, data: encodeExifAscii(METADATA_SOFTWARE) }, // Software
+        { tag: 0x0132, data: dateTime }, // DateTime
+        { tag: 0x8769, value: 0 } // ExifIFD pointer, set below
+    ];
+    const exifIfd = [
+        { tag: 0x9003, data: dateTime } // DateTimeOriginal
+    ];
+
+    const ifd0Offset = 8;
+    const exifIfdOffset = ifd0Offset + getIfdSize(ifd0);
+    ifd0[3].value = exifIfdOffset;
+
+    const bytes = new Uint8Array(exifIfdOffset + getIfdSize(exifIfd));
+    const view = new DataView(bytes.buffer);
+    bytes.set([0x4D, 0x4D, 0x00, 0x2A]); // "MM", 42
+    view.setUint32(4, ifd0Offset);
+    writeIfd(view, bytes, ifd0Offset, ifd0);
+    writeIfd(view, bytes, exifIfdOffset, exifIfd);
+    return bytes;
+}
+
+// XMP packet with the event name, frame id and capture time
+function buildXmpPacket(metadata) {
+    const fields = getMetadataFields(metadata);
+    const xml = `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+    xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:snapframe="${XMP_NAMESPACE}"
+    xmp:CreateDate="${fields.captureTime.toISOString()}"
+    xmp:CreatorTool="${escapeXml(METADATA_SOFTWARE)}"
+    snapframe:Event="${escapeXml(fields.event)}"
+    snapframe:FrameId="${escapeXml(fields.frameId)}">
+   <dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(fields.event)}</rdf:li></rdf:Alt></dc:title>
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+    return textEncoder.encode(xml);
+}
+
+// ---- JPEG ----
+
+// APP1 segment: marker, length (includes itself), payload
+function buildJpegApp1(payload) {
+    const segment = new Uint8Array(4 + payload.length);
+    segment[0] = 0xFF;
+    segment[1] = 0xE1;
+    new DataView(segment.buffer).setUint16(2, payload.length + 2);
+    segment.set(payload, 4);
+    return segment;
+}
+
+// Insert EXIF and XMP APP1 segments after SOI (and after the JFIF APP0 if present)
+function addJpegMetadata(bytes, metadata) {
+    let insertAt = 2;
+    if (bytes[2] === 0xFF && bytes[3] === 0xE0) {
+        insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
+    }
+
+    const exif = buildJpegApp1(concatBytes([
+        textEncoder.encode('Exif\0\0'), buildExifTiff(metadata)
+    ]));
+    const xmp = buildJpegApp1(concatBytes([
+        textEncoder.encode('http://ns.adobe.com/xap/1.0/\0'), buildXmpPacket(metadata)
+    ]));
+
+    return concatBytes([bytes.subarray(0, insertAt), exif, xmp, bytes.subarray(insertAt)]);
+}
+
+// ---- WebP ----
+
+// RIFF chunk: fourcc, little-endian size, data, pad byte for odd sizes
+function buildRiffChunk(fourcc, data) {
+    const chunk = new Uint8Array(8 + data.length + (data.length % 2));
+    chunk.set(textEncoder.encode(fourcc));
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+    return chunk;
+}
+
+// Convert to the extended (VP8X) format if needed and append EXIF + XMP chunks
+function addWebpMetadata(bytes, metadata, width, height) {
+    const fourcc = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    const EXIF_FLAG = 0x08;
+    const XMP_FLAG = 0x04;
+    const ALPHA_FLAG = 0x10;
+
+    let body = bytes.subarray(12);
+    if (fourcc(12) === 'VP8X') {
+        body = body.slice();
+        body[8] |= EXIF_FLAG | XMP_FLAG;
+    } else {
+        // Simple lossless images may carry alpha - flag it to be safe
+        const vp8x = new Uint8Array(10);
+        vp8x[0] = EXIF_FLAG | XMP_FLAG | (fourcc(12) === 'VP8L' ? ALPHA_FLAG : 0);
+        const view = new DataView(vp8x.buffer);
+        view.setUint16(4, (width - 1) & 0xFFFF, true);
+        vp8x[6] = ((width - 1) >> 16) & 0xFF;
+        view.setUint16(7, (height - 1) & 0xFFFF, true);
+        vp8x[9] = ((height - 1) >> 16) & 0xFF;
+        body = concatBytes([buildRiffChunk('VP8X', vp8x), body]);
+    }
+
+    const result = concatBytes([
+        bytes.subarray(0, 12),
+        body,
+        buildRiffChunk('EXIF', buildExifTiff(metadata)),
+        buildRiffChunk('XMP ', buildXmpPacket(metadata))
+    ]);
+    new DataView(result.buffer).setUint32(4, result.length - 8, true);
+    return result;
+}
+
+// Embed metadata into an encoded image blob; unknown formats pass through untouched
+async function embedImageMetadata(blob, metadata, width, height) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+
+    let result;
+    if (blob.type === 'image/png') {
+        result = addPngMetadata(bytes, metadata);
+    } else if (blob.type === 'image/jpeg') {
+        result = addJpegMetadata(bytes, metadata);
+    } else if (blob.type === 'image/webp') {
+        result = addWebpMetadata(bytes, metadata, width, height);
+    } else {
+        return blob;
+    }
+
+    return new Blob([result], { type: blob.type });
+}
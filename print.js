@@ -0,0 +1,504 @@
+// Print mode - booth printers (e.g. a dye-sub printer on the kiosk laptop)
+// With "print": { "enabled": true } in event.json the result screen gets a Print button.
+// The photo is laid out on a 4×6″, 2×6″ strip or A6 sheet with bleed (and optional crop
+// marks) and added to a print queue, where the operator can change copy counts and
+// reprint. Jobs are kept on this device and printed through the browser's print dialog,
+// or - with "print.queueUrl" - sent to a print station running `server.py --print-queue`,
+// so several capture tablets can feed one printer.
+
+const PRINT_DEFAULTS = {
+    enabled: false,
+    paper: '4x6',
+    copies: 1,
+    bleedMm: 2, // Photo beyond the trim edge, so borderless prints and trimming leave no white line
+    cropMarks: false,
+    dpi: 300,
+    queueUrl: null // Print station, e.g. "/print" - jobs stay on this device when unset
+};
+
+// Trim sizes in mm, portrait. 2×6″ strips are printed in pairs on a 4×6″ sheet and cut apart
+const PRINT_PAPERS = {
+    '4x6': { label: '4×6″', width: 101.6, height: 152.4, panels: 1 },
+    '2x6': { label: '2×6″ strips', width: 50.8, height: 152.4, panels: 2 },
+    a6: { label: 'A6', width: 105, height: 148, panels: 1 }
+};
+
+// Crop marks sit in a margin outside the bleed (mm)
+const PRINT_MARK_SPACE_MM = 6;
+const PRINT_MARK_GAP_MM = 1;
+const PRINT_MARK_WIDTH_MM = 0.25;
+
+const PRINT_MAX_COPIES = 10;
+const PRINT_QUEUE_REFRESH_SECONDS = 5; // Station queues change as tablets send jobs
+const PRINT_SETTINGS_STORAGE_KEY = 'snapframe.printSettings';
+
+const printBtn = document.getElementById('print-btn');
+const printSettings = document.getElementById('print-settings');
+const printPaperSelect = document.getElementById('print-paper-select');
+const printCropMarksInput = document.getElementById('print-crop-marks-input');
+const printQueuePanel = document.getElementById('print-queue-panel');
+const printQueueSummary = document.getElementById('print-queue-summary');
+const printQueueList = document.getElementById('print-queue-list');
+const printSheet = document.getElementById('print-sheet');
+
+let printConfig = Object.assign({}, PRINT_DEFAULTS);
+let printQueueTimer = null;
+let printThumbURLs = new Map(); // Job id -> object URL of its thumbnail, revoked when the queue closes
+let printSheetURL = null;
+let printPageRuleIndex = -1; // @page rule inserted for the sheet being printed
+let printStationPrinter = null; // Printer the print station prints to by itself (server.py --printer)
+
+function initPrint(eventConfig) {
+    printConfig = Object.assign({}, PRINT_DEFAULTS, eventConfig && eventConfig.print);
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(PRINT_SETTINGS_STORAGE_KEY)) || {};
+    } catch (error) {
+        // Ignore unreadable settings
+    }
+    Object.assign(printConfig, saved);
+
+    printSettings.classList.toggle('hidden', !printConfig.enabled);
+    document.getElementById('operator-print-btn').classList.toggle('hidden', !printConfig.enabled);
+    printPaperSelect.value = getPrintPaperId();
+    printCropMarksInput.checked = Boolean(printConfig.cropMarks);
+}
+
+// The operator's paper and crop mark choices override event.json on this device
+function savePrintSettings() {
+    printConfig.paper = printPaperSelect.value;
+    printConfig.cropMarks = printCropMarksInput.checked;
+    try {
+        localStorage.setItem(PRINT_SETTINGS_STORAGE_KEY, JSON.stringify({
+            paper: printConfig.paper,
+            cropMarks: printConfig.cropMarks
+        }));
+    } catch (error) {
+        // Storage unavailable - settings last until reload
+    }
+}
+
+function getPrintPaperId() {
+    return PRINT_PAPERS[printConfig.paper] ? printConfig.paper : PRINT_DEFAULTS.paper;
+}
+
+// Photos only - clips can't be printed
+function updatePrintButton(result) {
+    const canPrint = printConfig.enabled && Boolean(result) && !result.blob.type.startsWith('video/');
+    printBtn.classList.toggle('hidden', !canPrint);
+    printBtn.disabled = false;
+    printBtn.textContent = t('print.button');
+}
+
+// ---- Sheet layout ----
+
+// Draw the photo over a box (mm), turned a quarter when it's landscape and the box is not
+function drawPrintPhoto(ctx, image, x, y, width, height) {
+    const isTurned = (image.width > image.height) !== (width > height);
+    const boxWidth = isTurned ? height : width;
+    const boxHeight = isTurned ? width : height;
+    const crop = getCoverCrop(image.width, image.height, boxWidth / boxHeight);
+
+    ctx.save();
+    ctx.translate(x + width / 2, y + height / 2);
+    if (isTurned) ctx.rotate(-Math.PI / 2);
+    ctx.drawImage(image, crop.x, crop.y, crop.width, crop.height,
+        -boxWidth / 2, -boxHeight / 2, boxWidth, boxHeight);
+    ctx.restore();
+}
+
+// Short lines in the margin, in line with every trim edge (and the cut between strips)
+function drawCropMarks(ctx, paper, sheetWidth, sheetHeight, trimX, trimY) {
+    const length = PRINT_MARK_SPACE_MM - PRINT_MARK_GAP_MM;
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = PRINT_MARK_WIDTH_MM;
+    ctx.beginPath();
+    for (let panel = 0; panel <= paper.panels; panel++) {
+        const x = trimX + panel * paper.width;
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, length);
+        ctx.moveTo(x, sheetHeight - length);
+        ctx.lineTo(x, sheetHeight);
+    }
+    [trimY, trimY + paper.height].forEach(y => {
+        ctx.moveTo(0, y);
+        ctx.lineTo(length, y);
+        ctx.moveTo(sheetWidth - length, y);
+        ctx.lineTo(sheetWidth, y);
+    });
+    ctx.stroke();
+}
+
+// Lay a photo out on the selected paper; returns the sheet as a JPEG with its size in mm
+async function renderPrintSheet(image, paper) {
+    const bleed = printConfig.bleedMm;
+    const markSpace = printConfig.cropMarks ? PRINT_MARK_SPACE_MM : 0;
+    const trimX = markSpace + bleed;
+    const trimY = markSpace + bleed;
+    const widthMm = paper.width * paper.panels + 2 * trimX;
+    const heightMm = paper.height + 2 * trimY;
+
+    const pixelsPerMm = printConfig.dpi / 25.4;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(widthMm * pixelsPerMm);
+    canvas.height = Math.round(heightMm * pixelsPerMm);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.scale(pixelsPerMm, pixelsPerMm); // Millimetres from here on
+
+    for (let panel = 0; panel < paper.panels; panel++) {
+        // Every panel bleeds on all sides, but strips are clipped at the cut between them
+        const x = trimX + panel * paper.width;
+        const clipLeft = panel === 0 ? x - bleed : x;
+        const clipRight = panel === paper.panels - 1 ? x + paper.width + bleed : x + paper.width;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(clipLeft, markSpace, clipRight - clipLeft, paper.height + 2 * bleed);
+        ctx.clip();
+        drawPrintPhoto(ctx, image, x - bleed, markSpace, paper.width + 2 * bleed, paper.height + 2 * bleed);
+        ctx.restore();
+    }
+
+    if (printConfig.cropMarks) {
+        drawCropMarks(ctx, paper, widthMm, heightMm, trimX, trimY);
+    }
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.95));
+    if (!blob) {
+        throw new Error('Print sheet encoding failed');
+    }
+    return { blob, widthMm: Number(widthMm.toFixed(1)), heightMm: Number(heightMm.toFixed(1)) };
+}
+
+async function loadPrintImage(blob) {
+    const url = URL.createObjectURL(blob);
+    try {
+        const image = await loadFrameImage(url);
+        if (!image) {
+            throw new Error('The photo could not be read');
+        }
+        return image;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// ---- Queue ----
+
+// Jobs kept on this device
+const localPrintQueue = {
+    list: () => dbGetAll('print'),
+    add: job => dbAdd('print', job),
+    async update(id, changes) {
+        const job = await dbGet('print', id);
+        if (job) await dbPut('print', Object.assign(job, changes));
+    },
+    remove: id => dbDelete('print', id),
+    async getSheet(id) {
+        const job = await dbGet('print', id);
+        if (!job) throw new Error('Print job not found');
+        return job.blob;
+    }
+};
+
+async function requestPrintStation(path, options = {}) {
+    const response = await fetch(`${printConfig.queueUrl.replace(/\/$/, '')}${path}`,
+        Object.assign({ cache: 'no-store' }, options));
+    if (!response.ok) {
+        throw new Error(`Print station error (${response.status})`);
+    }
+    return response;
+}
+
+// Jobs on the print station (see server.py)
+const remotePrintQueue = {
+    async list() {
+        const { jobs, printer } = await (await requestPrintStation('/jobs')).json();
+        printStationPrinter = printer || null;
+        return jobs;
+    },
+    add: job => requestPrintStation('/jobs', {
+        method: 'POST',
+        headers: {
+            'Content-Type': job.blob.type,
+            'X-File-Name': encodeURIComponent(job.fileName),
+            'X-Paper': job.paper,
+            'X-Copies': String(job.copies),
+            'X-Sheet-Size': `${job.widthMm}x${job.heightMm}`
+        },
+        body: job.blob
+    }),
+    update: (id, changes) => requestPrintStation(`/jobs/${id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    }),
+    remove: id => requestPrintStation(`/jobs/${id}`, { method: 'DELETE' }),
+    getSheet: async id => (await requestPrintStation(`/jobs/${id}/sheet`)).blob()
+};
+
+function getPrintQueue() {
+    return printConfig.queueUrl ? remotePrintQueue : localPrintQueue;
+}
+
+// Print button on the result screen: queue the photo, then print it here unless a
+// print station takes care of it
+async function printResult() {
+    const result = currentResult;
+    if (!result) return;
+
+    printBtn.disabled = true;
+    printBtn.textContent = t('print.preparing');
+    try {
+        const paperId = getPrintPaperId();
+        const image = await loadPrintImage(result.blob);
+        const sheet = await renderPrintSheet(image, PRINT_PAPERS[paperId]);
+        const job = Object.assign(sheet, {
+            fileName: getPhotoFileName(result).replace(/\.\w+$/, '-print.jpg'),
+            paper: paperId,
+            copies: Math.min(Math.max(Math.round(printConfig.copies) || 1, 1), PRINT_MAX_COPIES),
+            printed: 0,
+            status: 'queued',
+            createdAt: new Date().toISOString()
+        });
+
+        if (printConfig.queueUrl) {
+            await remotePrintQueue.add(job);
+            showToast(t('print.sent'), 'success', 2500);
+        } else {
+            job.id = await localPrintQueue.add(job);
+            await printJob(job);
+        }
+        trackEvent('print', { paper: paperId, copies: job.copies });
+        printBtn.textContent = t('print.printing');
+    } catch (error) {
+        console.error('Print error:', error);
+        showToast(t(printConfig.queueUrl ? 'print.unreachable' : 'print.failed'), 'error');
+        printBtn.disabled = false;
+        printBtn.textContent = t('print.button');
+    }
+}
+
+// ---- Browser print dialog ----
+
+// Put the sheet on the print-only page (one page per copy) and open the print dialog
+async function printJob(job) {
+    const blob = job.blob || await getPrintQueue().getSheet(job.id);
+    releasePrintSheet();
+    printSheetURL = URL.createObjectURL(blob);
+
+    const images = [];
+    for (let copy = 0; copy < job.copies; copy++) {
+        const page = document.createElement('img');
+        page.className = 'print-page';
+        page.src = printSheetURL;
+        page.alt = '';
+        page.style.width = `${job.widthMm}mm`;
+        page.style.height = `${job.heightMm}mm`;
+        printSheet.appendChild(page);
+        images.push(page);
+    }
+    await Promise.all(images.map(page => page.decode().catch(() => {})));
+
+    // Paper size for the dialog; the stylesheet can't know it in advance
+    const styleSheet = document.styleSheets[0];
+    if (styleSheet) {
+        printPageRuleIndex = styleSheet.insertRule(
+            `@page { size: ${job.widthMm}mm ${job.heightMm}mm; margin: 0; }`, styleSheet.cssRules.length);
+    }
+
+    // The dialog doesn't say whether it was cancelled - count it as printed
+    window.addEventListener('afterprint', releasePrintSheet, { once: true });
+    window.print();
+    await getPrintQueue().update(job.id, { printed: (job.printed || 0) + job.copies, status: 'printed' });
+}
+
+function releasePrintSheet() {
+    printSheet.innerHTML = '';
+    if (printSheetURL) {
+        URL.revokeObjectURL(printSheetURL);
+        printSheetURL = null;
+    }
+    const styleSheet = document.styleSheets[0];
+    if (styleSheet && printPageRuleIndex >= 0) {
+        styleSheet.deleteRule(printPageRuleIndex);
+        printPageRuleIndex = -1;
+    }
+}
+
+// ---- Operator queue ----
+
+function openPrintQueue() {
+    printQueuePanel.classList.remove('hidden');
+    renderPrintQueue();
+    if (printConfig.queueUrl) {
+        clearInterval(printQueueTimer);
+        printQueueTimer = setInterval(renderPrintQueue, PRINT_QUEUE_REFRESH_SECONDS * 1000);
+    }
+}
+
+function closePrintQueue() {
+    printQueuePanel.classList.add('hidden');
+    clearInterval(printQueueTimer);
+    printQueueTimer = null;
+    printThumbURLs.forEach(url => URL.revokeObjectURL(url));
+    printThumbURLs = new Map();
+    printQueueList.innerHTML = '';
+}
+
+function describePrintJob(job) {
+    const paper = PRINT_PAPERS[job.paper];
+    const time = new Date(job.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `#${job.id} · ${time} · ${paper ? paper.label : job.paper}`;
+}
+
+function describePrintStatus(job) {
+    if (job.status === 'failed') return `Failed${job.error ? `: ${job.error}` : ''}`;
+    if (job.status === 'printing') return 'Printing…';
+    if (job.status === 'printed') return `Printed ${job.printed}×`;
+    return 'Waiting';
+}
+
+// List the jobs, newest first, each with a copy count and print/reprint and remove buttons
+async function renderPrintQueue() {
+    let jobs;
+    try {
+        jobs = await getPrintQueue().list();
+    } catch (error) {
+        console.warn('Failed to read the print queue:', error.message);
+        printQueueSummary.textContent = printConfig.queueUrl
+            ? 'The print station is not reachable.'
+            : 'The print queue is not available on this device.';
+        return;
+    }
+
+    const waiting = jobs.filter(job => job.status === 'queued').length;
+    printQueueSummary.textContent = `${jobs.length} jobs · ${waiting} waiting`
+        + (printStationPrinter ? ` · printing to ${printStationPrinter}` : '');
+
+    const rows = await Promise.all(jobs.reverse().map(renderPrintJob));
+    printQueueList.replaceChildren(...rows);
+}
+
+async function renderPrintJob(job) {
+    const row = document.createElement('div');
+    row.className = 'print-job';
+    row.dataset.state = job.status;
+
+    if (!printThumbURLs.has(job.id)) {
+        try {
+            printThumbURLs.set(job.id, URL.createObjectURL(job.blob || await getPrintQueue().getSheet(job.id)));
+        } catch (error) {
+            printThumbURLs.set(job.id, '');
+        }
+    }
+    const thumb = document.createElement('img');
+    thumb.className = 'print-job-thumb';
+    thumb.alt = '';
+    if (printThumbURLs.get(job.id)) thumb.src = printThumbURLs.get(job.id);
+
+    const info = document.createElement('div');
+    info.className = 'print-job-info';
+    const title = document.createElement('strong');
+    title.textContent = describePrintJob(job);
+    const status = document.createElement('span');
+    status.textContent = describePrintStatus(job);
+    info.append(title, status);
+
+    const copies = document.createElement('div');
+    copies.className = 'print-job-copies';
+    const fewer = createPrintJobButton('−', `Fewer copies of job ${job.id}`,
+        () => changePrintCopies(job, -1));
+    const count = document.createElement('span');
+    count.textContent = `${job.copies}×`;
+    const more = createPrintJobButton('+', `More copies of job ${job.id}`,
+        () => changePrintCopies(job, 1));
+    fewer.disabled = job.copies <= 1;
+    more.disabled = job.copies >= PRINT_MAX_COPIES;
+    copies.append(fewer, count, more);
+
+    const print = createPrintJobButton(job.status === 'queued' ? 'Print' : 'Reprint', '',
+        () => reprintJob(job));
+    print.disabled = job.status === 'printing';
+    const remove = createPrintJobButton('✕', `Remove job ${job.id}`, () => removePrintJob(job));
+
+    row.append(thumb, info, copies, print, remove);
+    return row;
+}
+
+function createPrintJobButton(label, ariaLabel, onClick) {
+    const button = document.createElement('button');
+    button.className = 'print-job-btn';
+    button.textContent = label;
+    if (ariaLabel) button.setAttribute('aria-label', ariaLabel);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+async function runPrintQueueAction(action, failureMessage) {
+    try {
+        await action();
+    } catch (error) {
+        console.error('Print queue error:', error);
+        showToast(failureMessage, 'error');
+    }
+    await renderPrintQueue();
+}
+
+function changePrintCopies(job, step) {
+    const copies = Math.min(Math.max(job.copies + step, 1), PRINT_MAX_COPIES);
+    return runPrintQueueAction(() => getPrintQueue().update(job.id, { copies }),
+        'Failed to change the copies.');
+}
+
+// Print a job here, or put it back in the print station's queue when the station prints
+// by itself; a station without its own printer shows the print dialog like a tablet
+function reprintJob(job) {
+    return runPrintQueueAction(async () => {
+        if (printConfig.queueUrl && printStationPrinter) {
+            await remotePrintQueue.update(job.id, { status: 'queued' });
+        } else {
+            await printJob(job);
+        }
+        trackEvent('reprint', { paper: job.paper, copies: job.copies });
+    }, 'Failed to print the job.');
+}
+
+function removePrintJob(job) {
+    return runPrintQueueAction(async () => {
+        await getPrintQueue().remove(job.id);
+        if (printThumbURLs.has(job.id)) {
+            URL.revokeObjectURL(printThumbURLs.get(job.id));
+            printThumbURLs.delete(job.id);
+        }
+    }, 'Failed to remove the job.');
+}
+
+function removePrintedJobs() {
+    return runPrintQueueAction(async () => {
+        const jobs = await getPrintQueue().list();
+        await Promise.all(jobs
+            .filter(job => job.status === 'printed')
+            .map(job => getPrintQueue().remove(job.id)));
+    }, 'Failed to remove printed jobs.');
+}
+
+// Event listeners
+document.addEventListener('snapframe:configloaded', event => initPrint(event.detail.eventConfig));
+document.addEventListener('snapframe:result', event => updatePrintButton(event.detail));
+
+printBtn.addEventListener('click', printResult);
+[printPaperSelect, printCropMarksInput].forEach(control => {
+    control.addEventListener('input', savePrintSettings);
+});
+document.getElementById('print-queue-btn').addEventListener('click', () => {
+    closeSettings();
+    openPrintQueue();
+});
+document.getElementById('operator-print-btn').addEventListener('click', () => {
+    closeOperatorMenu();
+    openPrintQueue();
+});
+document.getElementById('print-queue-clear-btn').addEventListener('click', removePrintedJobs);
+document.getElementById('print-queue-close-btn').addEventListener('click', closePrintQueue);
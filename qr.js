@@ -0,0 +1,361 @@
+// QR code generator - draws hand-off links locally, no third-party service
+// Byte mode, error correction level M, versions 1-10 (up to 213 bytes), which is plenty
+// for a photo URL. Follows ISO/IEC 18004: Reed-Solomon blocks, interleaving, zigzag
+// placement and the mask with the lowest penalty score.
+
+// Error correction per version (level M): [EC codewords per block, [blocks, data codewords], ...]
+const QR_EC_BLOCKS_M = [
+    null,
+    [10, [1, 16]],
+    [16, [1, 28]],
+    [26, [1, 44]],
+    [18, [2, 32]],
+    [24, [2, 43]],
+    [16, [4, 27]],
+    [18, [4, 31]],
+    [22, [2, 38], [2, 39]],
+    [22, [3, 36], [2, 37]],
+    [26, [4, 43], [1, 44]]
+];
+
+const QR_ALIGNMENT_POSITIONS = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+const QR_MAX_VERSION = 10;
+const QR_EC_LEVEL_M_BITS = 0b00;
+
+const QR_MASKS = [
+    (row, col) => (row + col) % 2 === 0,
+    (row) => row % 2 === 0,
+    (row, col) => col % 3 === 0,
+    (row, col) => (row + col) % 3 === 0,
+    (row, col) => (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0,
+    (row, col) => (row * col) % 2 + (row * col) % 3 === 0,
+    (row, col) => ((row * col) % 2 + (row * col) % 3) % 2 === 0,
+    (row, col) => ((row + col) % 2 + (row * col) % 3) % 2 === 0
+];
+
+// GF(256) log/antilog tables for Reed-Solomon (primitive polynomial 0x11D)
+const QR_GF_EXP = new Uint8Array(512);
+const QR_GF_LOG = new Uint8Array(256);
+(() => {
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        QR_GF_EXP[i] = value;
+        QR_GF_LOG[value] = i;
+        value <<= 1;
+        if (value & 0x100) value ^= 0x11D;
+    }
+    for (let i = 255; i < 512; i++) {
+        QR_GF_EXP[i] = QR_GF_EXP[i - 255];
+    }
+})();
+
+function qrGfMultiply(a, b) {
+    return a === 0 || b === 0 ? 0 : QR_GF_EXP[QR_GF_LOG[a] + QR_GF_LOG[b]];
+}
+
+// Reed-Solomon error correction codewords for one data block
+function qrReedSolomon(data, ecLength) {
+    // Generator polynomial (x - a^0)(x - a^1)...(x - a^(ecLength-1)), highest degree first
+    let generator = [1];
+    for (let i = 0; i < ecLength; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coefficient, j) => {
+            next[j] ^= coefficient;
+            next[j + 1] ^= qrGfMultiply(coefficient, QR_GF_EXP[i]);
+        });
+        generator = next;
+    }
+
+    const remainder = new Array(ecLength).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        for (let i = 0; i < ecLength; i++) {
+            remainder[i] ^= qrGfMultiply(generator[i + 1], factor);
+        }
+    });
+    return remainder;
+}
+
+// BCH code for the format (15,5) and version (18,6) information
+function qrBchCode(value, generator, generatorBits) {
+    let remainder = value << (generatorBits - 1);
+    for (let bit = 31 - Math.clz32(remainder); bit >= generatorBits - 1; bit--) {
+        if (remainder & (1 << bit)) {
+            remainder ^= generator << (bit - generatorBits + 1);
+        }
+    }
+    return (value << (generatorBits - 1)) | remainder;
+}
+
+// Smallest version that fits the data, with its block layout
+function qrChooseVersion(byteLength) {
+    for (let version = 1; version <= QR_MAX_VERSION; version++) {
+        const [, ...groups] = QR_EC_BLOCKS_M[version];
+        const dataCodewords = groups.reduce((sum, [blocks, size]) => sum + blocks * size, 0);
+        const countBits = version < 10 ? 8 : 16;
+        if (4 + countBits + byteLength * 8 <= dataCodewords * 8) {
+            return version;
+        }
+    }
+    throw new Error(`QR code data too long (${byteLength} bytes)`);
+}
+
+// Data bit stream -> interleaved data + error correction codewords
+function qrEncodeCodewords(bytes, version) {
+    const [ecLength, ...groups] = QR_EC_BLOCKS_M[version];
+    const dataCodewords = groups.reduce((sum, [blocks, size]) => sum + blocks * size, 0);
+
+    const bits = [];
+    const pushBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    pushBits(0b0100, 4); // Byte mode
+    pushBits(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => pushBits(byte, 8));
+    pushBits(0, Math.min(4, dataCodewords * 8 - bits.length)); // Terminator
+    pushBits(0, (8 - bits.length % 8) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0; data.length < dataCodewords; pad++) {
+        data.push(pad % 2 === 0 ? 0xEC : 0x11);
+    }
+
+    // Split into blocks, then interleave data and EC codewords column by column
+    const blocks = [];
+    let offset = 0;
+    groups.forEach(([count, size]) => {
+        for (let i = 0; i < count; i++) {
+            const block = data.slice(offset, offset + size);
+            blocks.push({ data: block, ec: qrReedSolomon(block, ecLength) });
+            offset += size;
+        }
+    });
+
+    const codewords = [];
+    const maxDataLength = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < maxDataLength; i++) {
+        blocks.forEach(block => {
+            if (i < block.data.length) codewords.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < ecLength; i++) {
+        blocks.forEach(block => codewords.push(block.ec[i]));
+    }
+    return codewords;
+}
+
+// Empty matrix with finder, timing and alignment patterns; `reserved` marks function modules
+function qrCreateBaseMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+
+    const setModule = (row, col, dark) => {
+        modules[row][col] = dark;
+        reserved[row][col] = true;
+    };
+
+    // Finder patterns with their separators
+    [[0, 0], [0, size - 7], [size - 7, 0]].forEach(([top, left]) => {
+        for (let r = -1; r <= 7; r++) {
+            for (let c = -1; c <= 7; c++) {
+                const row = top + r;
+                const col = left + c;
+                if (row < 0 || col < 0 || row >= size || col >= size) continue;
+                const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+                setModule(row, col, ring !== 2 && ring !== 4);
+            }
+        }
+    });
+
+    // Timing patterns
+    for (let i = 8; i < size - 8; i++) {
+        setModule(6, i, i % 2 === 0);
+        setModule(i, 6, i % 2 === 0);
+    }
+
+    // Alignment patterns (skipping the three that would overlap finders)
+    const positions = QR_ALIGNMENT_POSITIONS[version];
+    const last = positions.length - 1;
+    positions.forEach((row, i) => {
+        positions.forEach((col, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let r = -2; r <= 2; r++) {
+                for (let c = -2; c <= 2; c++) {
+                    setModule(row + r, col + c, Math.max(Math.abs(r), Math.abs(c)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Dark module and reserved format areas (filled in per mask)
+    setModule(size - 8, 8, true);
+    for (let i = 0; i < 9; i++) {
+        reserved[8][i] = true;
+        reserved[i][8] = true;
+    }
+    for (let i = 0; i < 8; i++) {
+        reserved[8][size - 1 - i] = true;
+        reserved[size - 1 - i][8] = true;
+    }
+
+    // Version information (version 7+)
+    if (version >= 7) {
+        const versionBits = qrBchCode(version, 0x1F25, 13);
+        for (let i = 0; i < 18; i++) {
+            const dark = ((versionBits >> i) & 1) === 1;
+            const a = Math.floor(i / 3);
+            const b = size - 11 + (i % 3);
+            setModule(a, b, dark);
+            setModule(b, a, dark);
+        }
+    }
+
+    return { size, modules, reserved };
+}
+
+// Write the codewords in the two-column zigzag, skipping function modules
+function qrPlaceCodewords(matrix, codewords) {
+    const { size, modules, reserved } = matrix;
+    let bitIndex = 0;
+    const totalBits = codewords.length * 8;
+
+    let upward = true;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5; // Skip the vertical timing column
+        for (let step = 0; step < size; step++) {
+            const row = upward ? size - 1 - step : step;
+            for (let c = 0; c < 2; c++) {
+                const col = right - c;
+                if (reserved[row][col]) continue;
+                if (bitIndex < totalBits) {
+                    modules[row][col] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                }
+                bitIndex++;
+            }
+        }
+        upward = !upward;
+    }
+}
+
+// Copy of the matrix with a data mask and matching format information applied
+function qrApplyMask(matrix, maskIndex) {
+    const { size, reserved } = matrix;
+    const mask = QR_MASKS[maskIndex];
+    const modules = matrix.modules.map((row, r) => row.map((dark, c) => (
+        reserved[r][c] ? dark : dark !== mask(r, c)
+    )));
+
+    const formatBits = qrBchCode((QR_EC_LEVEL_M_BITS << 3) | maskIndex, 0x537, 11) ^ 0x5412;
+    for (let i = 0; i < 15; i++) {
+        const dark = ((formatBits >> i) & 1) === 1;
+        // Around the top-left finder
+        if (i < 6) modules[i][8] = dark;
+        else if (i < 8) modules[i + 1][8] = dark;
+        else modules[8][i === 8 ? 7 : 14 - i] = dark;
+        // Split between the other two finders
+        if (i < 8) modules[8][size - 1 - i] = dark;
+        else modules[size - 15 + i][8] = dark;
+    }
+    return modules;
+}
+
+// Penalty score used to pick the most readable mask
+function qrPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+
+    // Runs of five or more same-colour modules, and finder-like 1:1:3:1:1 patterns
+    const scanLine = (get) => {
+        let runColor = null;
+        let runLength = 0;
+        let bits = 0;
+        for (let i = 0; i < size; i++) {
+            const dark = get(i);
+            if (dark === runColor) {
+                runLength++;
+                if (runLength === 5) penalty += 3;
+                else if (runLength > 5) penalty++;
+            } else {
+                runColor = dark;
+                runLength = 1;
+            }
+            bits = ((bits << 1) | (dark ? 1 : 0)) & 0x7FF;
+            if (i >= 10 && (bits === 0b10111010000 || bits === 0b00001011101)) {
+                penalty += 40;
+            }
+        }
+    };
+    for (let i = 0; i < size; i++) {
+        scanLine(j => modules[i][j]);
+        scanLine(j => modules[j][i]);
+    }
+
+    // 2x2 blocks of the same colour
+    let darkCount = 0;
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            if (modules[row][col]) darkCount++;
+            if (row < size - 1 && col < size - 1) {
+                const dark = modules[row][col];
+                if (modules[row][col + 1] === dark && modules[row + 1][col] === dark
+                    && modules[row + 1][col + 1] === dark) {
+                    penalty += 3;
+                }
+            }
+        }
+    }
+
+    // Deviation from 50% dark modules
+    penalty += Math.floor(Math.abs(darkCount * 20 - size * size * 10) / (size * size)) * 10;
+    return penalty;
+}
+
+// Encode text (UTF-8) as a square matrix of booleans, true = dark module
+function createQrMatrix(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    const version = qrChooseVersion(bytes.length);
+    const matrix = qrCreateBaseMatrix(version);
+    qrPlaceCodewords(matrix, qrEncodeCodewords(bytes, version));
+
+    let best = null;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < QR_MASKS.length; mask++) {
+        const modules = qrApplyMask(matrix, mask);
+        const penalty = qrPenalty(modules);
+        if (penalty < bestPenalty) {
+            best = modules;
+            bestPenalty = penalty;
+        }
+    }
+    return best;
+}
+
+// Draw a QR code onto a canvas, with the 4-module quiet zone the spec requires
+function drawQrCode(canvas, text, pixelSize) {
+    const modules = createQrMatrix(text);
+    const quietZone = 4;
+    const count = modules.length + quietZone * 2;
+    const moduleSize = Math.max(1, Math.floor(pixelSize / count));
+
+    canvas.width = canvas.height = moduleSize * count;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#000000';
+    modules.forEach((row, r) => {
+        row.forEach((dark, c) => {
+            if (dark) {
+                ctx.fillRect((c + quietZone) * moduleSize, (r + quietZone) * moduleSize, moduleSize, moduleSize);
+            }
+        });
+    });
+}
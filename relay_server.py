@@ -0,0 +1,207 @@
+"""Reference WebSocket relay for the remote shutter.
+
+Pairs a booth with controller phones. Every client joins a room - the booth's pairing
+code - and each text message is passed on to the other clients in that room. Point
+"remote.relayUrl" in event.json at ws://<laptop-ip>:8002 (wss:// with --cert/--key when
+the app is served over HTTPS).
+
+    ws://<host>:8002/?room=<code>&role=booth|controller
+
+On every join and leave the room is told who is there: {"type": "peers", "booths": n,
+"controllers": n}. Standard library only, so it runs wherever Python 3.8+ does.
+"""
+
+import argparse
+import asyncio
+import base64
+import hashlib
+import json
+import re
+import ssl
+import struct
+from urllib.parse import parse_qs, urlparse
+
+WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11"
+MAX_MESSAGE_BYTES = 2 * 1024 * 1024  # Result thumbnails are sent as data URLs
+MAX_HEADER_BYTES = 8 * 1024
+ROOM_PATTERN = re.compile(r"^[A-Z0-9]{4,12}$")
+ROLES = ("booth", "controller")
+
+OPCODE_CONTINUATION = 0x0
+OPCODE_TEXT = 0x1
+OPCODE_CLOSE = 0x8
+OPCODE_PING = 0x9
+OPCODE_PONG = 0xA
+
+rooms = {}  # Room code -> set of Clients
+
+
+class Client:
+    def __init__(self, writer, room, role):
+        self.writer = writer
+        self.room = room
+        self.role = role
+
+    async def send(self, opcode, payload):
+        """Server frames are never masked or fragmented."""
+        header = bytes([0x80 | opcode])
+        length = len(payload)
+        if length < 126:
+            header += bytes([length])
+        elif length < 1 << 16:
+            header += bytes([126]) + struct.pack("!H", length)
+        else:
+            header += bytes([127]) + struct.pack("!Q", length)
+        self.writer.write(header + payload)
+        await self.writer.drain()
+
+    async def send_text(self, text):
+        await self.send(OPCODE_TEXT, text.encode("utf-8"))
+
+
+async def read_frame(reader):
+    """Returns (fin, opcode, payload) of one client frame (clients always mask)."""
+    first, second = await reader.readexactly(2)
+    length = second & 0x7F
+    if length == 126:
+        length = struct.unpack("!H", await reader.readexactly(2))[0]
+    elif length == 127:
+        length = struct.unpack("!Q", await reader.readexactly(8))[0]
+    if not second & 0x80 or length > MAX_MESSAGE_BYTES:
+        raise ValueError("unmasked or oversized frame")
+    mask = await reader.readexactly(4)
+    payload = bytearray(await reader.readexactly(length))
+    for index in range(length):
+        payload[index] ^= mask[index % 4]
+    return bool(first & 0x80), first & 0x0F, bytes(payload)
+
+
+async def handshake(reader, writer, allow_origin):
+    """Upgrade the HTTP request; returns (room, role), or None after answering with an error."""
+    request = await reader.readuntil(b"\r\n\r\n")
+    if len(request) > MAX_HEADER_BYTES:
+        raise ValueError("request headers too large")
+    lines = request.decode("latin-1").split("\r\n")
+    headers = {}
+    for line in lines[1:]:
+        name, _, value = line.partition(":")
+        headers[name.strip().lower()] = value.strip()
+
+    parts = lines[0].split(" ")
+    query = parse_qs(urlparse(parts[1] if len(parts) > 1 else "/").query)
+    room = query.get("room", [""])[0].upper()
+    role = query.get("role", [""])[0]
+    origin = headers.get("origin", "")
+
+    error = None
+    if headers.get("upgrade", "").lower() != "websocket" or "sec-websocket-key" not in headers:
+        error = "426 Upgrade Required"
+    elif not ROOM_PATTERN.match(room) or role not in ROLES:
+        error = "400 Bad Request"
+    elif allow_origin != "*" and origin != allow_origin:
+        error = "403 Forbidden"
+    if error:
+        writer.write(f"HTTP/1.1 {error}\r\nContent-Length: 0\r\nConnection: close\r\n\r\n".encode())
+        await writer.drain()
+        return None
+
+    accept = base64.b64encode(
+        hashlib.sha1((headers["sec-websocket-key"] + WEBSOCKET_GUID).encode()).digest()).decode()
+    writer.write((
+        "HTTP/1.1 101 Switching Protocols\r\n"
+        "Upgrade: websocket\r\n"
+        "Connection: Upgrade\r\n"
+        f"Sec-WebSocket-Accept: {accept}\r\n\r\n"
+    ).encode())
+    await writer.drain()
+    return room, role
+
+
+async def announce_peers(room):
+    clients = list(rooms.get(room, ()))
+    message = json.dumps({
+        "type": "peers",
+        "booths": sum(client.role == "booth" for client in clients),
+        "controllers": sum(client.role == "controller" for client in clients),
+    })
+    await asyncio.gather(*(client.send_text(message) for client in clients), return_exceptions=True)
+
+
+async def relay(client, reader):
+    """Pass each text message on to the rest of the room until the client leaves."""
+    fragments = []
+    while True:
+        fin, opcode, payload = await read_frame(reader)
+        if opcode == OPCODE_CLOSE:
+            await client.send(OPCODE_CLOSE, payload[:2])
+            return
+        if opcode == OPCODE_PING:
+            await client.send(OPCODE_PONG, payload)
+            continue
+        if opcode not in (OPCODE_TEXT, OPCODE_CONTINUATION):
+            continue
+
+        fragments.append(payload)
+        if sum(len(fragment) for fragment in fragments) > MAX_MESSAGE_BYTES:
+            raise ValueError("message too large")
+        if not fin:
+            continue
+        text = b"".join(fragments).decode("utf-8")
+        fragments = []
+        others = [other for other in rooms.get(client.room, ()) if other is not client]
+        await asyncio.gather(*(other.send_text(text) for other in others), return_exceptions=True)
+
+
+def make_handler(allow_origin):
+    async def handle(reader, writer):
+        client = None
+        try:
+            joined = await handshake(reader, writer, allow_origin)
+            if not joined:
+                return
+            client = Client(writer, *joined)
+            rooms.setdefault(client.room, set()).add(client)
+            print(f"{client.role} joined room {client.room}")
+            await announce_peers(client.room)
+            await relay(client, reader)
+        except (asyncio.IncompleteReadError, asyncio.LimitOverrunError, ConnectionError,
+                ValueError, UnicodeDecodeError):
+            pass
+        finally:
+            if client:
+                members = rooms.get(client.room, set())
+                members.discard(client)
+                if not members:
+                    rooms.pop(client.room, None)
+                print(f"{client.role} left room {client.room}")
+                await announce_peers(client.room)
+            writer.close()
+    return handle
+
+
+async def serve(args):
+    context = None
+    if args.cert:
+        context = ssl.SSLContext(ssl.PROTOCOL_TLS_SERVER)
+        context.load_cert_chain(args.cert, args.key)
+    server = await asyncio.start_server(make_handler(args.allow_origin), port=args.port, ssl=context)
+    print(f"Remote shutter relay on {'wss' if context else 'ws'}://0.0.0.0:{args.port}")
+    async with server:
+        await server.serve_forever()
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Snap & Frame remote shutter relay")
+    parser.add_argument("--port", type=int, default=8002)
+    parser.add_argument("--allow-origin", default="*", help="origin of the app allowed to connect")
+    parser.add_argument("--cert", help="TLS certificate (PEM) to serve wss://")
+    parser.add_argument("--key", help="TLS private key (PEM)")
+    args = parser.parse_args()
+    try:
+        asyncio.run(serve(args))
+    except KeyboardInterrupt:
+        print("\nRelay stopped.")
+
+
+if __name__ == "__main__":
+    main()
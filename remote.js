@@ -0,0 +1,299 @@
+// Remote shutter - for booths on a tripod, where the snap button is out of reach
+// Bluetooth camera clickers and keyboards work straight away: volume-up, Enter or Space
+// snaps (or starts a new photo from the result screen), volume-down/Escape retakes and
+// "O" cycles the output aspect. With "remote": { "relayUrl": "ws://..." } in event.json
+// the booth also joins a WebSocket relay (see relay_server.py) under a pairing code, and
+// a second phone running controller.html can snap, retake and see each result.
+
+const REMOTE_DEFAULTS = {
+    relayUrl: null, // Controller pairing is off until a relay is configured
+    controllerUrl: 'controller.html'
+};
+
+// Clicker buttons arrive as ordinary key presses
+const REMOTE_KEYS = {
+    AudioVolumeUp: 'shutter',
+    VolumeUp: 'shutter',
+    Enter: 'shutter',
+    ' ': 'shutter',
+    AudioVolumeDown: 'retake',
+    VolumeDown: 'retake',
+    Escape: 'retake',
+    o: 'aspect',
+    O: 'aspect'
+};
+
+// Keys are left alone while the operator or guest is typing or working in a dialog
+const REMOTE_BLOCKING_SELECTOR = '.settings-panel:not(.hidden), .upload-editor:not(.hidden), '
+    + '.result-section.editing';
+
+const REMOTE_ROOM_STORAGE_KEY = 'snapframe.remoteRoom';
+const REMOTE_ROOM_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I mix-ups
+const REMOTE_ROOM_LENGTH = 6;
+const REMOTE_RECONNECT_MAX_SECONDS = 30;
+const REMOTE_THUMBNAIL_SIZE = 320;
+const REMOTE_QR_SIZE = 200;
+
+const remoteSettings = document.getElementById('remote-settings');
+const remoteStatus = document.getElementById('remote-status');
+const remoteQr = document.getElementById('remote-qr');
+const remoteCode = document.getElementById('remote-code');
+
+let remoteConfig = Object.assign({}, REMOTE_DEFAULTS);
+let remoteRoom = null;
+let remoteSocket = null;
+let remoteReconnectTimer = null;
+let remoteReconnectDelay = 1;
+let remoteControllers = 0;
+let remoteLastResult = null; // Last result message, sent again to controllers that join later
+
+function initRemote(eventConfig) {
+    remoteConfig = Object.assign({}, REMOTE_DEFAULTS, eventConfig && eventConfig.remote);
+    remoteSettings.classList.toggle('hidden', !remoteConfig.relayUrl);
+    if (!remoteConfig.relayUrl) return;
+
+    try {
+        remoteRoom = localStorage.getItem(REMOTE_ROOM_STORAGE_KEY);
+    } catch (error) {
+        // Storage unavailable - a new code is made below
+    }
+    if (!remoteRoom) {
+        setRemoteRoom(createRemoteRoom());
+    } else {
+        connectRemote();
+    }
+}
+
+// ---- Actions ----
+
+// source: 'key' for clickers/keyboards, 'controller' for a paired phone
+function runRemoteAction(action, source) {
+    // A press on the attract screen only wakes the booth (kiosk.js), like a tap does
+    const isWaking = Boolean(document.querySelector('.attract-screen:not(.hidden)'));
+    trackEvent('remote', { action, source });
+    emitAppEvent('remote', { action, source });
+    if (isWaking) return;
+
+    const isResultShown = resultSection.classList.contains('show');
+    if (action === 'shutter' && !isResultShown) {
+        if (!snapBtn.disabled && !isCapturing) {
+            snapPhoto();
+        }
+    } else if (action === 'shutter' || action === 'retake') {
+        if (isResultShown) {
+            retakePhoto();
+        }
+    } else if (action === 'aspect' && !isResultShown && !isCapturing) {
+        cycleOutputAspect();
+    }
+    sendRemoteState();
+}
+
+function handleRemoteKey(event) {
+    const action = REMOTE_KEYS[event.key];
+    if (!action || event.repeat || event.ctrlKey || event.metaKey || event.altKey) return;
+
+    const target = event.target;
+    if (target.closest && target.closest('input, textarea, select, [contenteditable]')) return;
+    // Enter/Space already press the focused button
+    if ((event.key === 'Enter' || event.key === ' ') && target.closest && target.closest('button')) return;
+    if (document.querySelector(REMOTE_BLOCKING_SELECTOR)) return;
+
+    // Volume keys would otherwise also change the volume
+    event.preventDefault();
+    runRemoteAction(action, 'key');
+}
+
+// ---- Pairing ----
+
+function createRemoteRoom() {
+    const values = crypto.getRandomValues(new Uint8Array(REMOTE_ROOM_LENGTH));
+    return Array.from(values, value => REMOTE_ROOM_ALPHABET[value % REMOTE_ROOM_ALPHABET.length]).join('');
+}
+
+// A new code unpairs every controller - they have to scan the new QR code
+function setRemoteRoom(room) {
+    remoteRoom = room;
+    try {
+        localStorage.setItem(REMOTE_ROOM_STORAGE_KEY, room);
+    } catch (error) {
+        // Storage unavailable - the code lasts until reload
+    }
+    remoteLastResult = null;
+    disconnectRemote();
+    connectRemote();
+}
+
+function getControllerUrl() {
+    const url = new URL(remoteConfig.controllerUrl, window.location.href);
+    url.searchParams.set('relay', remoteConfig.relayUrl);
+    url.searchParams.set('room', remoteRoom);
+    return url.href;
+}
+
+function updateRemoteSettings() {
+    if (!remoteConfig.relayUrl || !remoteRoom) return;
+    remoteCode.textContent = remoteRoom;
+    drawQrCode(remoteQr, getControllerUrl(), REMOTE_QR_SIZE);
+    updateRemoteStatus();
+}
+
+function updateRemoteStatus() {
+    if (!remoteSocket || remoteSocket.readyState !== WebSocket.OPEN) {
+        remoteStatus.textContent = 'Relay not reachable - retrying…';
+    } else if (remoteControllers === 0) {
+        remoteStatus.textContent = 'Scan with a second phone to pair a controller.';
+    } else {
+        remoteStatus.textContent = remoteControllers === 1
+            ? '1 controller connected.'
+            : `${remoteControllers} controllers connected.`;
+    }
+}
+
+// ---- Relay connection ----
+
+function connectRemote() {
+    clearTimeout(remoteReconnectTimer);
+    let socket;
+    try {
+        const url = new URL(remoteConfig.relayUrl);
+        url.searchParams.set('room', remoteRoom);
+        url.searchParams.set('role', 'booth');
+        socket = new WebSocket(url.href);
+    } catch (error) {
+        console.error('Remote relay URL is invalid:', error);
+        return;
+    }
+    remoteSocket = socket;
+
+    socket.addEventListener('open', () => {
+        remoteReconnectDelay = 1;
+        updateRemoteStatus();
+    });
+    socket.addEventListener('message', event => handleRemoteMessage(event.data));
+    socket.addEventListener('close', () => {
+        if (socket !== remoteSocket) return;
+        remoteSocket = null;
+        remoteControllers = 0;
+        updateRemoteStatus();
+        // Back off while the relay is down
+        remoteReconnectTimer = setTimeout(connectRemote, remoteReconnectDelay * 1000);
+        remoteReconnectDelay = Math.min(remoteReconnectDelay * 2, REMOTE_RECONNECT_MAX_SECONDS);
+    });
+}
+
+function disconnectRemote() {
+    clearTimeout(remoteReconnectTimer);
+    const socket = remoteSocket;
+    remoteSocket = null;
+    remoteControllers = 0;
+    if (socket) socket.close();
+}
+
+function handleRemoteMessage(data) {
+    let message;
+    try {
+        message = JSON.parse(data);
+    } catch (error) {
+        return;
+    }
+
+    if (message.type === 'command' && Object.values(REMOTE_KEYS).includes(message.command)) {
+        runRemoteAction(message.command, 'controller');
+    } else if (message.type === 'peers') {
+        const isNewController = message.controllers > remoteControllers;
+        remoteControllers = message.controllers;
+        updateRemoteStatus();
+        if (isNewController) {
+            sendRemoteState();
+            if (remoteLastResult) sendRemoteMessage(remoteLastResult);
+        }
+    }
+}
+
+function sendRemoteMessage(message) {
+    if (remoteSocket && remoteSocket.readyState === WebSocket.OPEN && remoteControllers > 0) {
+        remoteSocket.send(JSON.stringify(message));
+    }
+}
+
+function getRemoteScreen() {
+    if (resultSection.classList.contains('show')) return 'result';
+    return isCapturing ? 'busy' : 'camera';
+}
+
+function sendRemoteState() {
+    sendRemoteMessage({ type: 'state', screen: getRemoteScreen(), aspect: getOutputAspectLabel() });
+}
+
+// ---- Result thumbnails ----
+
+// Small JPEG data URL of a photo, or of a clip's first frame
+async function getRemoteThumbnail(blob) {
+    let source;
+    let sourceWidth;
+    let sourceHeight;
+    let url = null;
+    if (blob.type.startsWith('video/')) {
+        url = URL.createObjectURL(blob);
+        source = document.createElement('video');
+        source.muted = true;
+        source.playsInline = true;
+        source.src = url;
+        await new Promise((resolve, reject) => {
+            source.addEventListener('loadeddata', resolve, { once: true });
+            source.addEventListener('error', reject, { once: true });
+        });
+        sourceWidth = source.videoWidth;
+        sourceHeight = source.videoHeight;
+    } else {
+        source = await createImageBitmap(blob);
+        sourceWidth = source.width;
+        sourceHeight = source.height;
+    }
+
+    try {
+        const scale = Math.min(1, REMOTE_THUMBNAIL_SIZE / Math.max(sourceWidth, sourceHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(sourceWidth * scale);
+        canvas.height = Math.round(sourceHeight * scale);
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.7);
+    } finally {
+        if (url) URL.revokeObjectURL(url);
+        if (source.close) source.close();
+    }
+}
+
+async function sendRemoteResult(result) {
+    if (!remoteConfig.relayUrl) return;
+    sendRemoteState();
+    try {
+        const thumbnail = await getRemoteThumbnail(result.blob);
+        // Retaken while the thumbnail was drawn
+        if (currentResult !== result) return;
+        remoteLastResult = {
+            type: 'result',
+            kind: result.blob.type.startsWith('video/') ? 'video' : 'photo',
+            thumbnail
+        };
+        sendRemoteMessage(remoteLastResult);
+    } catch (error) {
+        console.error('Remote thumbnail error:', error);
+    }
+}
+
+// Event listeners
+document.addEventListener('snapframe:configloaded', event => initRemote(event.detail.eventConfig));
+document.addEventListener('snapframe:result', event => sendRemoteResult(event.detail));
+document.addEventListener('snapframe:retake', sendRemoteState);
+document.addEventListener('snapframe:settingsopen', updateRemoteSettings);
+document.addEventListener('keydown', handleRemoteKey);
+// Local taps change the screen too - controllers follow along
+snapBtn.addEventListener('click', sendRemoteState);
+orientationBtn.addEventListener('click', sendRemoteState);
+
+document.getElementById('remote-new-code-btn').addEventListener('click', () => {
+    setRemoteRoom(createRemoteRoom());
+    updateRemoteSettings();
+});
@@ -0,0 +1,33 @@
+// Render worker - composites a capture and encodes it off the main thread
+// script.js (renderCaptureInWorker) sends bitmaps that are ready to draw: one per shot
+// and one for the frame overlay with its text and stickers, plus where each one goes.
+// Replies with the encoded blob and how long compositing and encoding took.
+
+self.addEventListener('message', async (event) => {
+    const { id, width, height, background, draws, mimeType, quality } = event.data;
+
+    try {
+        let startTime = performance.now();
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, width, height);
+        }
+        draws.forEach(draw => {
+            ctx.drawImage(draw.bitmap, draw.x, draw.y, draw.width, draw.height);
+            draw.bitmap.close();
+        });
+        const compose = performance.now() - startTime;
+
+        // Like toBlob, falls back to PNG when the format has no encoder
+        startTime = performance.now();
+        const blob = await canvas.convertToBlob({ type: mimeType, quality });
+        const encode = performance.now() - startTime;
+
+        self.postMessage({ id, blob, compose, encode });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+});
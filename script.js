@@ -1,18 +1,117 @@
 // Configuration
-const USE_SVG = true; // Set to false to use PNG overlays instead
-
-// Asset paths
-const ASSETS = {
-    logo_rrc: 'assets/Asset 2.svg',
-    logo_rrc_png: 'assets/Asset 2.png',
-    text_event: 'assets/annual gathering final.svg',
-    text_event_png: 'assets/Asset 3.png',
-    box_3d: 'assets/Asset 4.svg',
-    box_3d_png: 'assets/Asset 4 (1).png',
-    gradient: 'assets/Asset 5.svg',
-    gradient_png: 'assets/Asset 5.png' // PNG fallback for gradient
+const USE_SVG = true; // Set to false to prefer the PNG fallbacks in frame templates
+
+// Event configuration listing the frame templates guests can pick from (see frames/*.json)
+const EVENT_CONFIG_URL = 'event.json';
+// IndexedDB key of the event package imported in Output Settings (event-package.js)
+const EVENT_PACKAGE_STORE_KEY = 'imported';
+
+// Countdown timer choices in seconds (0 = capture immediately)
+const COUNTDOWN_OPTIONS = [0, 3, 5, 10];
+
+// Video clips need canvas.captureStream() and MediaRecorder
+const VIDEO_SUPPORTED = typeof MediaRecorder !== 'undefined' &&
+    typeof HTMLCanvasElement.prototype.captureStream === 'function';
+
+// Capture modes: one photo, a burst laid out inside the frame template, or a short clip
+const CAPTURE_MODES = [
+    { id: 'single', label: '1' },
+    { id: 'grid', label: '2×2' },
+    { id: 'strip', label: '▤' },
+    { id: 'video', label: '🎬', video: true },
+    { id: 'boomerang', label: '∞', video: true }
+].filter(mode => !mode.video || VIDEO_SUPPORTED);
+
+// Video clip settings - clips are recorded below photo resolution to keep phones smooth
+const VIDEO_CLIP_SECONDS = 3;
+const BOOMERANG_SECONDS = 2; // Played forward then in reverse
+const VIDEO_FRAME_RATE = 30;
+const BOOMERANG_FRAME_RATE = 15; // Boomerang frames are buffered in memory
+const BOOMERANG_BUFFER_SCALE = 0.5; // Buffered at 360x640, about 28 MB for the 30 frames
+const VIDEO_OUTPUT_SCALE = 2 / 3; // 720x1280 / 1280x720
+const VIDEO_BITS_PER_SECOND = 4000000;
+const VIDEO_MIME_TYPES = [
+    'video/mp4;codecs=avc1',
+    'video/webm;codecs=vp9',
+    'video/webm;codecs=vp8',
+    'video/webm',
+    'video/mp4'
+];
+
+// Countdown between burst shots when the timer is off
+const BURST_INTERVAL_SECONDS = 3;
+
+// Photo output formats offered in the settings panel
+const OUTPUT_FORMATS = {
+    jpeg: { mimeType: 'image/jpeg' },
+    webp: { mimeType: 'image/webp' },
+    png: { mimeType: 'image/png' }
 };
 
+// Resolution presets, as a scale of the full size (short side 1080px)
+const RESOLUTION_PRESETS = {
+    full: 1,
+    hd: 2 / 3,
+    small: 0.5
+};
+
+// Defaults, overridden by the "output" block in event.json and then by the operator's choices
+const DEFAULT_OUTPUT_SETTINGS = {
+    format: 'jpeg',
+    quality: 0.9,
+    resolution: 'full',
+    aspect: 'portrait', // A FRAME_ASPECTS key, or 'auto' to follow the screen
+    fileNamePattern: '{event}-{frame}-{date}-{seq}'
+};
+
+// Aspects the ⟳ button steps through
+const OUTPUT_ASPECT_MODES = Object.keys(FRAME_ASPECTS).concat('auto');
+
+// localStorage keys for the operator's output settings and the capture counter
+const OUTPUT_SETTINGS_STORAGE_KEY = 'snapframe.outputSettings';
+const SEQUENCE_STORAGE_KEY = 'snapframe.sequence';
+
+// localStorage key for the last-used camera (remembered per browser)
+const CAMERA_DEVICE_STORAGE_KEY = 'snapframe.cameraDeviceId';
+
+// Minimum horizontal travel (px) for a swipe on the preview to change frame
+const FRAME_SWIPE_THRESHOLD = 50;
+
+// Green-screen keying defaults (tolerance/softness are chroma distances, 0-~0.7)
+const DEFAULT_CHROMA_KEY_SETTINGS = {
+    enabled: false,
+    color: '#00b140',
+    tolerance: 0.12,
+    softness: 0.08
+};
+const CHROMA_KEY_STORAGE_KEY = 'snapframe.chromaKey';
+
+// Half-size (video px) of the square averaged when the operator samples the backdrop
+const CHROMA_SAMPLE_RADIUS = 4;
+
+// Low-light stacking (lowlight.js): "auto" switches it on below the brightness threshold
+const DEFAULT_LOW_LIGHT_SETTINGS = {
+    mode: 'auto', // auto, on or off - guests can override it with the 🌙 button
+    frames: 6, // Consecutive video frames stacked per photo
+    threshold: 0.2 // Average scene brightness (0-1) below which "auto" stacks
+};
+const LOW_LIGHT_MODES = ['auto', 'on', 'off'];
+const LOW_LIGHT_STORAGE_KEY = 'snapframe.lowLightMode';
+const LOW_LIGHT_CHECK_MS = 1000; // How often "auto" measures the scene
+const LOW_LIGHT_HYSTERESIS = 0.03; // Scene must get this much brighter to switch back off
+const LOW_LIGHT_SAMPLE_SIZE = 32; // Side of the downscaled frame the brightness is measured on
+const LOW_LIGHT_FRAME_TIMEOUT_MS = 200; // Longest wait for the next camera frame
+
+// Aspect changes wait this long before the camera restarts, so cycling through aspects
+// with ⟳ restarts it once
+const CAMERA_RESTART_DELAY_MS = 600;
+
+// Digital zoom limit for cameras without hardware zoom (crop of the cover-fitted frame)
+const DIGITAL_ZOOM_MAX = 4;
+
+// Composites and encodes captures off the main thread where OffscreenCanvas is available
+const RENDER_WORKER_URL = 'render-worker.js';
+
 // DOM elements
 const video = document.getElementById('video');
 const snapBtn = document.getElementById('snap-btn');
@@ -27,16 +126,92 @@ const overlayPreview = document.getElementById('overlay-preview');
 const previewWrapper = document.querySelector('.preview-wrapper');
 const previewContainer = document.getElementById('preview-container');
 const toastContainer = document.getElementById('toast-container');
+const updateBanner = document.getElementById('update-banner');
 const orientationBtn = document.getElementById('orientation-btn');
+const frameCarousel = document.getElementById('frame-carousel');
+const flipBtn = document.getElementById('flip-btn');
+const cameraSelect = document.getElementById('camera-select');
+const timerBtn = document.getElementById('timer-btn');
+const modeBtn = document.getElementById('mode-btn');
+const settingsBtn = document.getElementById('settings-btn');
+const settingsPanel = document.getElementById('settings-panel');
+const formatSelect = document.getElementById('format-select');
+const qualityInput = document.getElementById('quality-input');
+const qualityValue = document.getElementById('quality-value');
+const resolutionSelect = document.getElementById('resolution-select');
+const fileNameInput = document.getElementById('filename-input');
+const resultVideo = document.getElementById('result-video');
+const recIndicator = document.getElementById('rec-indicator');
+const reshootHint = document.getElementById('reshoot-hint');
+const guestNameBar = document.getElementById('guest-name-bar');
+const guestNameInput = document.getElementById('guest-name-input');
+const filterPreview = document.getElementById('filter-preview');
+const filterCarousel = document.getElementById('filter-carousel');
+const chromaEnabledInput = document.getElementById('chroma-enabled-input');
+const chromaColorInput = document.getElementById('chroma-color-input');
+const chromaToleranceInput = document.getElementById('chroma-tolerance-input');
+const chromaToleranceValue = document.getElementById('chroma-tolerance-value');
+const chromaSoftnessInput = document.getElementById('chroma-softness-input');
+const chromaSoftnessValue = document.getElementById('chroma-softness-value');
+const chromaCalibrationHint = document.getElementById('chroma-calibration-hint');
+const packageStatus = document.getElementById('package-status');
+const packageInput = document.getElementById('package-input');
+const packageRemoveBtn = document.getElementById('package-remove-btn');
+const torchBtn = document.getElementById('torch-btn');
+const lowLightBtn = document.getElementById('low-light-btn');
+const zoomIndicator = document.getElementById('zoom-indicator');
+const focusRing = document.getElementById('focus-ring');
 
 let stream = null;
-let overlayImages = {};
+let eventConfig = null; // Loaded event configuration
+let eventFramesPromise = null; // Pending/finished load of the event config and frames
+let eventPackage = null; // Package whose frames replaced event.json's: { name, source, event, frames }
+let frameTemplates = []; // Frame templates of the event, in carousel order
+let selectedFrameIndex = 0; // Frame chosen in the carousel
+let activeFrame = null; // Frame currently drawn on the preview (assets loaded)
+let frameImages = {}; // Layer images of the active frame, keyed by layer id
+const frameAssetCache = {}; // Frame id -> promise of its layer images (loaded lazily)
+let filters = []; // Colour filters offered in the filter picker (presets + event filters)
+let selectedFilterIndex = 0; // Filter chosen in the picker
+let activeFilter = null; // Filter applied to the preview and captures (LUT loaded)
+let activeFilterLut = null; // Parsed LUT of the active filter, if it has one
+let previewFilterRenderer = null; // WebGL renderer drawing the filtered preview
+let exportFilterRenderer = null; // Separate WebGL renderer for captured frames
+let isFilterPreviewRunning = false; // Filtered preview render loop is scheduled
+let chromaKeySettings = Object.assign({}, DEFAULT_CHROMA_KEY_SETTINGS);
+let chromaKeyBackground = null; // Event-wide backdrop for frames without their own background
+let isCalibratingKey = false; // Next tap on the preview samples the key colour
+let zoomCapability = null; // Hardware zoom range { min, max, step } of the track, if any
+let hardwareZoom = 1; // Requested hardware zoom value
+let digitalZoom = 1; // Digital zoom factor when the camera has no hardware zoom
+let isApplyingZoom = false; // A hardware zoom constraint is being applied
+let focusCapabilities = null; // { focusModes, exposureModes } when tap-to-focus is supported
+let isTorchOn = false;
+let lowLightSettings = Object.assign({}, DEFAULT_LOW_LIGHT_SETTINGS);
+let isSceneDark = false; // Last brightness check was below the low-light threshold
+let brightnessCanvas = null; // Small canvas the scene brightness is measured on
+let renderWorker = null; // Created on the first capture
+let isRenderWorkerBroken = false; // Worker failed once - render on the main thread from then on
+let renderJobId = 0;
+const renderJobs = new Map(); // Job id -> { resolve, reject } of captures being rendered by the worker
+let countdownSeconds = 0; // Selected countdown before each capture
+let captureModeIndex = 0; // Index into CAPTURE_MODES
+let captureSession = null; // Shots, layout and stickers of the photo on the result screen (for reshoots/edits)
+let isCapturing = false; // True while a countdown/capture is running
 let currentPhotoURL = null; // Store current photo URL for cleanup
+let currentResult = null; // Photo or clip on the result screen: { blob, frameId, capturedAt, sequence }
+let outputSettings = Object.assign({}, DEFAULT_OUTPUT_SETTINGS);
 let shouldMirrorCamera = true; // Track if current camera should be mirrored (true for front camera)
 let currentFacingMode = 'user'; // Default to front camera
+let currentDeviceId = loadSavedCameraDevice(); // Active camera, or the one remembered from last visit
 let isLoadingCamera = false; // Prevent concurrent camera initializations
 let orientationMQ = null; // Store MediaQueryList reference for proper cleanup
-let isLandscapeMode = false; // Default to portrait mode
+let streamAspect = null; // Aspect the camera stream was requested for (restarted when the output aspect changes)
+let cameraRestartTimeout = null; // Pending restart for a new output aspect
+let hasCameraStarted = false; // camera_ready is logged for the first start only
+let cameraRequest = null; // Video constraints of the last camera start, for diagnostics
+let cameraError = null; // { name, message } of the last failed camera start, for diagnostics
+let cameraMirrorReason = null; // What decided the mirroring, for diagnostics
 
 // Show toast notification (mobile-friendly alternative to alert)
 function showToast(message, type = 'error', duration = 4000) {
@@ -52,6 +227,75 @@ function showToast(message, type = 'error', duration = 4000) {
     }, duration);
 }
 
+// Read the remembered camera device id (storage can throw in private browsing)
+function loadSavedCameraDevice() {
+    try {
+        return localStorage.getItem(CAMERA_DEVICE_STORAGE_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Remember the active camera so the next visit opens the same lens
+function saveActiveCamera() {
+    const videoTrack = stream && stream.getVideoTracks()[0];
+    if (!videoTrack) return;
+
+    const settings = videoTrack.getSettings();
+    if (settings.facingMode) {
+        currentFacingMode = settings.facingMode;
+    }
+    if (settings.deviceId) {
+        currentDeviceId = settings.deviceId;
+        try {
+            localStorage.setItem(CAMERA_DEVICE_STORAGE_KEY, settings.deviceId);
+        } catch (error) {
+            // Storage unavailable - camera just won't be remembered
+        }
+    }
+}
+
+// Register the service worker for offline use and watch for new versions
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js').then((registration) => {
+        // A new version finished installing in an earlier visit
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdatePrompt(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // No controller means first install - nothing to update from
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdatePrompt(worker);
+                }
+            });
+        });
+    }).catch((error) => {
+        console.warn('Service worker registration failed:', error.name);
+    });
+
+    // Reload once the new version takes over
+    let isReloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (isReloading) return;
+        isReloading = true;
+        window.location.reload();
+    });
+}
+
+// Offer to switch to a waiting service worker (never reload mid-session on our own)
+function showUpdatePrompt(worker) {
+    updateBanner.classList.remove('hidden');
+    document.getElementById('update-btn').onclick = () => {
+        updateBanner.classList.add('hidden');
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    };
+}
+
 // Stop any existing streams
 function stopExistingStreams() {
     if (stream) {
@@ -72,11 +316,15 @@ function updateCameraMirrorState() {
     if (!videoTrack) return;
 
     const settings = videoTrack.getSettings();
-    const facingMode = settings.facingMode;
+    // Fall back to the requested facing mode when the browser doesn't report one
+    const facingMode = settings.facingMode || currentFacingMode;
     const trackLabel = (videoTrack.label || '').toLowerCase();
 
     // Default to mirrored (front camera experience)
     shouldMirrorCamera = true;
+    cameraMirrorReason = settings.facingMode
+        ? `facing mode "${facingMode}" reported by the camera`
+        : `requested facing mode "${facingMode}" (not reported by the camera)`;
 
     // Explicit environment/back cameras should not mirror
     if (facingMode === 'environment' ||
@@ -84,6 +332,9 @@ function updateCameraMirrorState() {
         trackLabel.includes('rear') ||
         trackLabel.includes('environment')) {
         shouldMirrorCamera = false;
+        if (facingMode !== 'environment') {
+            cameraMirrorReason = `camera label "${videoTrack.label}"`;
+        }
     }
 
     // Toggle CSS class for video mirroring
@@ -96,8 +347,8 @@ function updateCameraMirrorState() {
     console.log('Camera facing mode:', facingMode, 'Label:', trackLabel, '- Mirror:', shouldMirrorCamera);
 }
 
-// Initialize camera
-async function initCamera(facingMode = currentFacingMode) {
+// Initialize camera (a specific deviceId takes precedence over the facing mode)
+async function initCamera(facingMode = currentFacingMode, deviceId = currentDeviceId) {
     try {
         // Prevent concurrent initializations
         if (isLoadingCamera) return;
@@ -117,17 +368,33 @@ async function initCamera(facingMode = currentFacingMode) {
         // Small delay to ensure camera is released
         await new Promise(resolve => setTimeout(resolve, 100));
 
-        // Simple constraints - let the browser handle orientation naturally
-        // Request portrait dimensions for mobile-first approach
-        const constraints = {
-            video: {
-                facingMode: facingMode,
-                width: { ideal: 1080 },
-                height: { ideal: 1920 }
-            }
+        // Ask for the output's dimensions (portrait 1080x1920 by default) so the
+        // browser picks a matching camera mode and little is cropped away
+        const idealSize = getOutputSize(1);
+        const videoConstraints = {
+            width: { ideal: idealSize.width },
+            height: { ideal: idealSize.height }
         };
-
-        stream = await navigator.mediaDevices.getUserMedia(constraints);
+        streamAspect = getFrameAspect();
+        if (deviceId) {
+            videoConstraints.deviceId = { exact: deviceId };
+        } else {
+            videoConstraints.facingMode = facingMode;
+        }
+        cameraRequest = videoConstraints;
+
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ video: videoConstraints });
+        } catch (error) {
+            // A remembered camera may have been unplugged - fall back to the facing mode
+            if (!deviceId || (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError')) {
+                throw error;
+            }
+            delete videoConstraints.deviceId;
+            videoConstraints.facingMode = facingMode;
+            stream = await navigator.mediaDevices.getUserMedia({ video: videoConstraints });
+        }
+        cameraError = null;
 
         video.srcObject = stream;
 
@@ -148,17 +415,17 @@ async function initCamera(facingMode = currentFacingMode) {
         }
 
         // Detect camera facing mode and update mirror state
+        saveActiveCamera();
         updateCameraMirrorState();
-
-        // Load overlay assets only if ALL are already cached
-        const overlayKeys = USE_SVG
-            ? ['logo_rrc', 'text_event', 'box_3d', 'gradient']
-            : ['logo_rrc_png', 'text_event_png', 'box_3d_png', 'gradient_png'];
-        const allOverlaysLoaded = overlayKeys.every(key => overlayImages[key]);
-
-        if (!allOverlaysLoaded) {
-            await loadOverlayAssets();
+        updateCameraControls();
+        if (!hasCameraStarted) {
+            hasCameraStarted = true;
+            trackEvent('camera_ready', { facingMode: currentFacingMode });
         }
+        await refreshCameraList();
+
+        // Wait for the event's frame templates (loading starts at page load)
+        await ensureEventFrames();
 
         // Enable buttons only after everything is ready
         snapBtn.disabled = false;
@@ -169,49 +436,778 @@ async function initCamera(facingMode = currentFacingMode) {
     } catch (error) {
         // Log error for debugging (doesn't expose sensitive info)
         if (error.name) console.error('Camera access error:', error.name);
+        trackEvent('camera_error', { error: error.name || 'Error' });
+        cameraError = { name: error.name || 'Error', message: error.message };
 
-        // Mobile-friendly error messages
-        let errorMsg = 'Camera access issue. ';
+        // Mobile-friendly error messages, in the guest's language (loaded with the event config)
+        await ensureEventFrames();
+        let errorMsg;
         if (error.name === 'NotReadableError') {
-            errorMsg += 'Your camera is being used by another app. Please close other camera apps and try again.';
+            errorMsg = t('camera.errorBusy');
         } else if (error.name === 'NotAllowedError') {
-            errorMsg += 'Camera permission was denied. Go to your phone\'s Settings to enable camera access.';
+            errorMsg = t('camera.errorDenied');
         } else if (error.name === 'NotFoundError') {
-            errorMsg += 'No camera was found on your device.';
+            errorMsg = t('camera.errorNotFound');
         } else {
-            errorMsg += error.message;
+            errorMsg = t('camera.errorOther', { message: error.message });
         }
 
         showError(errorMsg);
     } finally {
         isLoadingCamera = false;
     }
+    // The aspect may have changed while the camera was starting
+    scheduleCameraRestart();
 }
 
-// Load overlay assets
-async function loadOverlayAssets() {
-    const imagesToLoad = USE_SVG
-        ? ['logo_rrc', 'text_event', 'box_3d', 'gradient']
-        : ['logo_rrc_png', 'text_event_png', 'box_3d_png', 'gradient_png'];
+// Restart the camera (after CAMERA_RESTART_DELAY_MS) if the stream was requested for
+// another aspect; waits for a running capture or camera start, which call it again
+function scheduleCameraRestart() {
+    clearTimeout(cameraRestartTimeout);
+    if (!stream || streamAspect === getFrameAspect()) return;
 
-    const promises = imagesToLoad.map(key => {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.crossOrigin = 'anonymous';
-            img.onload = () => {
-                overlayImages[key] = img;
-                resolve();
-            };
-            img.onerror = (error) => {
-                console.warn(`Failed to load ${key}:`, ASSETS[key]);
-                // Don't reject - allow app to work with missing assets
-                resolve();
-            };
-            img.src = ASSETS[key];
+    cameraRestartTimeout = setTimeout(() => {
+        const isCameraShown = !cameraView.classList.contains('hidden');
+        if (stream && streamAspect !== getFrameAspect() && isCameraShown && !isCapturing && !isLoadingCamera) {
+            initCamera();
+        }
+    }, CAMERA_RESTART_DELAY_MS);
+}
+
+// ---- Low light ----
+
+// Mode from event.json, unless a guest/operator picked one on this device
+function loadLowLightSettings() {
+    lowLightSettings = Object.assign({}, DEFAULT_LOW_LIGHT_SETTINGS, eventConfig && eventConfig.lowLight);
+    try {
+        const savedMode = localStorage.getItem(LOW_LIGHT_STORAGE_KEY);
+        if (LOW_LIGHT_MODES.includes(savedMode)) lowLightSettings.mode = savedMode;
+    } catch (error) {
+        // Ignore unreadable settings
+    }
+    updateLowLightButton();
+}
+
+function isLowLightActive() {
+    if (lowLightSettings.mode === 'auto') return isSceneDark;
+    return lowLightSettings.mode === 'on';
+}
+
+// Auto → on → off
+function cycleLowLightMode() {
+    const index = LOW_LIGHT_MODES.indexOf(lowLightSettings.mode);
+    lowLightSettings.mode = LOW_LIGHT_MODES[(index + 1) % LOW_LIGHT_MODES.length];
+    try {
+        localStorage.setItem(LOW_LIGHT_STORAGE_KEY, lowLightSettings.mode);
+    } catch (error) {
+        // Storage unavailable - the mode lasts until reload
+    }
+    trackEvent('lowlight', { mode: lowLightSettings.mode });
+    updateLowLightButton();
+}
+
+// The 🌙 button shows the mode and lights up whenever the next photo will be stacked
+function updateLowLightButton() {
+    const label = t(`lowLight.${lowLightSettings.mode}`);
+    const isActive = isLowLightActive();
+    lowLightBtn.querySelector('.btn-label').textContent = label;
+    lowLightBtn.classList.toggle('active', isActive);
+    lowLightBtn.setAttribute('aria-label', t(isActive ? 'lowLight.labelActive' : 'lowLight.label', { mode: label }));
+}
+
+// Average brightness (0-1) of the camera picture, measured on a tiny copy
+function measureSceneBrightness() {
+    if (!brightnessCanvas) {
+        brightnessCanvas = document.createElement('canvas');
+        brightnessCanvas.width = LOW_LIGHT_SAMPLE_SIZE;
+        brightnessCanvas.height = LOW_LIGHT_SAMPLE_SIZE;
+    }
+    const ctx = brightnessCanvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(video, 0, 0, LOW_LIGHT_SAMPLE_SIZE, LOW_LIGHT_SAMPLE_SIZE);
+    return getImageBrightness(ctx.getImageData(0, 0, LOW_LIGHT_SAMPLE_SIZE, LOW_LIGHT_SAMPLE_SIZE).data);
+}
+
+// "Auto" follows the room: on below the threshold, off again once clearly brighter
+function checkSceneBrightness() {
+    const isCameraShown = !cameraView.classList.contains('hidden');
+    if (lowLightSettings.mode !== 'auto' || !stream || isCapturing || !isCameraShown
+        || document.hidden || video.videoWidth === 0) return;
+
+    const brightness = measureSceneBrightness();
+    const threshold = lowLightSettings.threshold + (isSceneDark ? LOW_LIGHT_HYSTERESIS : 0);
+    const isDark = brightness < threshold;
+    if (isDark !== isSceneDark) {
+        isSceneDark = isDark;
+        updateLowLightButton();
+    }
+}
+
+// Read zoom/focus/torch support from the active track and reset those controls
+function updateCameraControls() {
+    const videoTrack = stream && stream.getVideoTracks()[0];
+    const capabilities = (videoTrack && videoTrack.getCapabilities) ? videoTrack.getCapabilities() : {};
+    const supported = navigator.mediaDevices.getSupportedConstraints
+        ? navigator.mediaDevices.getSupportedConstraints()
+        : {};
+
+    // Hardware zoom when the camera reports a usable range, digital crop otherwise
+    const zoom = capabilities.zoom;
+    zoomCapability = zoom && zoom.max > zoom.min ? zoom : null;
+    hardwareZoom = zoomCapability ? (videoTrack.getSettings().zoom || zoomCapability.min) : 1;
+    setDigitalZoom(1);
+
+    focusCapabilities = supported.pointsOfInterest && (capabilities.focusMode || capabilities.exposureMode)
+        ? { focusModes: capabilities.focusMode || [], exposureModes: capabilities.exposureMode || [] }
+        : null;
+
+    // Torch is usually only on back cameras - hide the button when the track has none
+    isTorchOn = false;
+    torchBtn.classList.toggle('hidden', capabilities.torch !== true);
+    torchBtn.classList.remove('active');
+    torchBtn.setAttribute('aria-pressed', 'false');
+}
+
+function getZoom() {
+    return zoomCapability ? hardwareZoom : digitalZoom;
+}
+
+// Zoom the camera (pinch/wheel); hardware zoom where available, otherwise a centre crop
+function setZoom(value) {
+    if (zoomCapability) {
+        const step = zoomCapability.step || 0.1;
+        const clamped = Math.min(Math.max(value, zoomCapability.min), zoomCapability.max);
+        hardwareZoom = zoomCapability.min + Math.round((clamped - zoomCapability.min) / step) * step;
+        applyHardwareZoom();
+    } else {
+        setDigitalZoom(Math.min(Math.max(value, 1), DIGITAL_ZOOM_MAX));
+    }
+    showZoomIndicator();
+}
+
+// The preview video scales with CSS; captures use the same crop via getVideoCrop()
+function setDigitalZoom(value) {
+    digitalZoom = value;
+    video.style.setProperty('--digital-zoom', String(value));
+}
+
+// Apply the latest requested zoom, one constraint at a time (pinch fires faster than cameras)
+async function applyHardwareZoom() {
+    const videoTrack = stream && stream.getVideoTracks()[0];
+    if (isApplyingZoom || !videoTrack) return;
+
+    isApplyingZoom = true;
+    try {
+        let applied;
+        do {
+            applied = hardwareZoom;
+            await videoTrack.applyConstraints({ advanced: [{ zoom: applied }] });
+        } while (applied !== hardwareZoom);
+    } catch (error) {
+        console.warn('Zoom failed:', error.name);
+    } finally {
+        isApplyingZoom = false;
+    }
+}
+
+let zoomIndicatorTimeout;
+function showZoomIndicator() {
+    const base = zoomCapability ? zoomCapability.min || 1 : 1;
+    zoomIndicator.textContent = `${(getZoom() / base).toFixed(1)}×`;
+    zoomIndicator.classList.remove('hidden');
+    clearTimeout(zoomIndicatorTimeout);
+    zoomIndicatorTimeout = setTimeout(() => zoomIndicator.classList.add('hidden'), 1200);
+}
+
+// Focus and meter exposure on a tapped point of the preview
+async function focusAtPoint(clientX, clientY) {
+    const videoTrack = stream && stream.getVideoTracks()[0];
+    if (!focusCapabilities || !videoTrack || video.videoWidth === 0) return;
+
+    const point = getVideoPointAt(clientX, clientY);
+    const constraints = {
+        pointsOfInterest: [{ x: point.x / video.videoWidth, y: point.y / video.videoHeight }]
+    };
+    const { focusModes, exposureModes } = focusCapabilities;
+    if (focusModes.includes('single-shot')) {
+        constraints.focusMode = 'single-shot';
+    } else if (focusModes.includes('continuous')) {
+        constraints.focusMode = 'continuous';
+    }
+    if (exposureModes.includes('continuous')) {
+        constraints.exposureMode = 'continuous';
+    }
+
+    const rect = previewWrapper.getBoundingClientRect();
+    focusRing.style.left = `${clientX - rect.left}px`;
+    focusRing.style.top = `${clientY - rect.top}px`;
+    focusRing.classList.remove('hidden', 'focusing');
+    // Force reflow so the animation restarts on repeated taps
+    void focusRing.offsetWidth;
+    focusRing.classList.add('focusing');
+
+    try {
+        await videoTrack.applyConstraints({ advanced: [constraints] });
+    } catch (error) {
+        console.warn('Tap to focus failed:', error.name);
+    }
+}
+
+async function toggleTorch() {
+    const videoTrack = stream && stream.getVideoTracks()[0];
+    if (!videoTrack) return;
+
+    const next = !isTorchOn;
+    try {
+        await videoTrack.applyConstraints({ advanced: [{ torch: next }] });
+        isTorchOn = next;
+        torchBtn.classList.toggle('active', isTorchOn);
+        torchBtn.setAttribute('aria-pressed', String(isTorchOn));
+    } catch (error) {
+        console.warn('Torch failed:', error.name);
+        showToast(t('camera.torchFailed'), 'info', 2000);
+    }
+}
+
+// Switch between front and back cameras
+// Tries applyConstraints on the live track first (instant), then restarts getUserMedia
+async function flipCamera() {
+    if (isLoadingCamera || !stream) return;
+
+    const nextFacingMode = currentFacingMode === 'user' ? 'environment' : 'user';
+
+    // Block double-taps and show the shimmer during the hardware delay
+    flipBtn.disabled = true;
+    flipBtn.classList.add('flipping');
+    previewWrapper.classList.add('loading');
+
+    try {
+        const switched = await applyFacingMode(nextFacingMode);
+        if (!switched) {
+            await initCamera(nextFacingMode, null);
+        }
+    } finally {
+        flipBtn.disabled = false;
+        flipBtn.classList.remove('flipping');
+        previewWrapper.classList.remove('loading');
+    }
+}
+
+// Switch the facing mode on the running track; resolves false if the browser can't
+async function applyFacingMode(facingMode) {
+    const videoTrack = stream && stream.getVideoTracks()[0];
+    if (!videoTrack || !videoTrack.applyConstraints) return false;
+
+    // Same size as initCamera() asks for, so the current output aspect is kept
+    const idealSize = getOutputSize(1);
+    try {
+        await videoTrack.applyConstraints({
+            facingMode: { exact: facingMode },
+            width: { ideal: idealSize.width },
+            height: { ideal: idealSize.height }
         });
+    } catch (error) {
+        return false;
+    }
+
+    // Some browsers resolve without actually changing lens
+    if (videoTrack.getSettings().facingMode !== facingMode) return false;
+
+    currentFacingMode = facingMode;
+    streamAspect = getFrameAspect();
+    saveActiveCamera();
+    updateCameraMirrorState();
+    updateCameraControls();
+    cameraSelect.value = currentDeviceId || '';
+    return true;
+}
+
+// Open a specific camera chosen from the device list
+async function selectCameraDevice(deviceId) {
+    if (!deviceId || deviceId === currentDeviceId) return;
+
+    cameraSelect.disabled = true;
+    previewWrapper.classList.add('loading');
+    try {
+        await initCamera(currentFacingMode, deviceId);
+    } finally {
+        cameraSelect.disabled = false;
+        previewWrapper.classList.remove('loading');
+    }
+}
+
+// List the video inputs (labels are only available after permission is granted)
+async function refreshCameraList() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+
+    let cameras = [];
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        cameras = devices.filter(device => device.kind === 'videoinput');
+    } catch (error) {
+        console.warn('Failed to list cameras:', error.name);
+    }
+
+    cameraSelect.innerHTML = '';
+    cameras.forEach((camera, index) => {
+        const option = document.createElement('option');
+        option.value = camera.deviceId;
+        option.textContent = camera.label || t('camera.option', { number: index + 1 });
+        cameraSelect.appendChild(option);
+    });
+    cameraSelect.value = currentDeviceId || '';
+
+    // Nothing to switch between on single-camera devices
+    const hasMultipleCameras = cameras.length > 1;
+    cameraSelect.classList.toggle('hidden', !hasMultipleCameras);
+    flipBtn.classList.toggle('hidden', !hasMultipleCameras);
+}
+
+// Notify optional modules (kiosk mode etc.) about app events via document events
+function emitAppEvent(name, detail) {
+    document.dispatchEvent(new CustomEvent(`snapframe:${name}`, { detail }));
+}
+
+// Record a usage event in the organiser's event log (analytics.js) - never personal data
+function trackEvent(type, detail = {}) {
+    emitAppEvent('track', { type, detail });
+}
+
+// Load the event config once, sharing the pending request; retried later if it failed
+function ensureEventFrames() {
+    if (!eventFramesPromise) {
+        eventFramesPromise = loadEventFrames().then(() => {
+            if (!eventConfig) {
+                eventFramesPromise = null;
+            }
+        });
+    }
+    return eventFramesPromise;
+}
+
+// Load the event config and its frame templates (layer assets load lazily per frame)
+async function loadEventFrames() {
+    try {
+        const response = await fetch(EVENT_CONFIG_URL);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${EVENT_CONFIG_URL} (${response.status})`);
+        }
+        eventConfig = await response.json();
+
+        // Frame templates can bring per-locale texts and assets, so the locale is chosen first
+        await initI18n(eventConfig);
+        eventPackage = await loadEventPackage();
+        if (eventPackage) {
+            eventConfig = Object.assign({}, eventConfig, eventPackage.event, { frames: eventPackage.frames });
+            frameTemplates.push(...eventPackage.frames);
+        } else {
+            const results = await Promise.allSettled(
+                (eventConfig.frames || []).map(url => loadFrameTemplate(url, getLocale()))
+            );
+            results.forEach(result => {
+                if (result.status === 'fulfilled') {
+                    frameTemplates.push(result.value);
+                } else {
+                    console.warn('Failed to load frame template:', result.reason.message);
+                }
+            });
+        }
+    } catch (error) {
+        // Don't fail camera init - allow app to work without overlays
+        console.warn('Failed to load event frames:', error.message);
+        if (!eventConfig) {
+            await initI18n(null);
+        }
+    }
+
+    loadOutputSettings();
+    loadChromaKeySettings();
+    loadLowLightSettings();
+    renderFrameCarousel();
+    loadFilters();
+    emitAppEvent('configloaded', { eventConfig });
+    if (frameTemplates.length > 0) {
+        await selectFrame(0);
+    }
+}
+
+// Event package for this visit: ?package=<url> first, then one imported in Output Settings
+async function loadEventPackage() {
+    const packageUrl = new URLSearchParams(location.search).get(EVENT_PACKAGE_PARAM);
+    if (packageUrl) {
+        try {
+            return Object.assign(await loadEventPackageUrl(packageUrl, getLocale()), { source: packageUrl });
+        } catch (error) {
+            console.warn('Failed to load event package:', error.message);
+            showToast(t('package.loadFailed'));
+            return null;
+        }
+    }
+
+    let record = null;
+    try {
+        record = await dbGet('packages', EVENT_PACKAGE_STORE_KEY);
+    } catch (error) {
+        // IndexedDB unavailable - nothing can have been imported
+    }
+    if (!record) return null;
+    try {
+        return Object.assign(normalizeEventPackage(record.data, location.href, getLocale()), { source: record.fileName });
+    } catch (error) {
+        console.warn('Imported event package is invalid:', error.message);
+        return null;
+    }
+}
+
+// Load a frame's layer images once, sharing the pending request between callers
+function getFrameAssets(template) {
+    if (!frameAssetCache[template.id]) {
+        frameAssetCache[template.id] = loadFrameAssets(template, !USE_SVG);
+    }
+    return frameAssetCache[template.id];
+}
+
+// Frame picked by the guest (carousel tap or swipe)
+function chooseFrame(index) {
+    const template = frameTemplates[index];
+    if (!template) return Promise.resolve();
+    trackEvent('frame', { frameId: template.id });
+    return selectFrame(index);
+}
+
+// Select a frame: highlight it, load its assets and redraw the preview
+async function selectFrame(index) {
+    if (index < 0 || index >= frameTemplates.length) return;
+
+    selectedFrameIndex = index;
+    const template = frameTemplates[index];
+    updateFrameCarousel();
+
+    const images = await getFrameAssets(template);
+
+    // Guest may have swiped on to another frame while assets were loading
+    if (frameTemplates[selectedFrameIndex] !== template) return;
+
+    activeFrame = template;
+    frameImages = images;
+    // Only ask for a name when the frame has somewhere to show it
+    guestNameBar.classList.toggle('hidden', !getFramePlaceholders(template).has('guestName'));
+    // Frames may bring their own chroma key background
+    updateFilterPreview();
+    drawPreviewOverlay();
+}
+
+// Frame for the next capture - waits for the selected frame's assets if still loading
+async function getCaptureFrame() {
+    const template = frameTemplates[selectedFrameIndex];
+    if (!template) {
+        return { template: null, images: {} };
+    }
+    return { template, images: await getFrameAssets(template) };
+}
+
+// Build one chip per frame in the carousel (hidden when there's nothing to choose)
+function renderFrameCarousel() {
+    frameCarousel.innerHTML = '';
+    frameTemplates.forEach((template, index) => {
+        const chip = document.createElement('button');
+        chip.className = 'frame-chip';
+        chip.textContent = template.name;
+        chip.addEventListener('click', () => chooseFrame(index));
+        frameCarousel.appendChild(chip);
+    });
+    frameCarousel.classList.toggle('hidden', frameTemplates.length < 2);
+    updateFrameCarousel();
+}
+
+// Highlight the selected chip and scroll it into view
+function updateFrameCarousel() {
+    Array.from(frameCarousel.children).forEach((chip, index) => {
+        const isSelected = index === selectedFrameIndex;
+        chip.classList.toggle('active', isSelected);
+        chip.setAttribute('aria-pressed', String(isSelected));
+        if (isSelected) {
+            chip.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'center' });
+        }
+    });
+}
+
+// Built-in filters plus the event's own (LUT paths are relative to event.json)
+function loadFilters() {
+    const baseUrl = new URL(EVENT_CONFIG_URL, location.href).href;
+    const eventFilters = (eventConfig && Array.isArray(eventConfig.filters)) ? eventConfig.filters : [];
+
+    // Built-in looks are named in the guest's language
+    const presets = FILTER_PRESETS.map(preset => Object.assign({}, preset, { name: t(`filter.${preset.id}`) }));
+    filters = [];
+    presets.concat(eventFilters).forEach(raw => {
+        try {
+            filters.push(normalizeFilter(raw, baseUrl));
+        } catch (error) {
+            console.warn('Skipping invalid filter:', error.message);
+        }
+    });
+
+    try {
+        previewFilterRenderer = createFilterRenderer(filterPreview);
+    } catch (error) {
+        console.warn('Filters unavailable:', error.message);
+        previewFilterRenderer = null;
+    }
+
+    renderFilterCarousel();
+
+    const defaultIndex = filters.findIndex(filter => filter.id === (eventConfig && eventConfig.defaultFilter));
+    selectFilter(Math.max(0, defaultIndex));
+}
+
+// One chip per filter (hidden when WebGL isn't available)
+function renderFilterCarousel() {
+    filterCarousel.innerHTML = '';
+    filters.forEach((filter, index) => {
+        const chip = document.createElement('button');
+        chip.className = 'frame-chip';
+        chip.textContent = filter.name;
+        chip.addEventListener('click', () => selectFilter(index));
+        filterCarousel.appendChild(chip);
+    });
+    filterCarousel.classList.toggle('hidden', !previewFilterRenderer || filters.length < 2);
+    updateFilterCarousel();
+}
+
+function updateFilterCarousel() {
+    Array.from(filterCarousel.children).forEach((chip, index) => {
+        const isSelected = index === selectedFilterIndex;
+        chip.classList.toggle('active', isSelected);
+        chip.setAttribute('aria-pressed', String(isSelected));
+        if (isSelected) {
+            chip.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'center' });
+        }
     });
+}
+
+// Select a filter: load its LUT, then switch the preview (and next captures) to it
+async function selectFilter(index) {
+    if (index < 0 || index >= filters.length || !previewFilterRenderer) return;
+
+    selectedFilterIndex = index;
+    const filter = filters[index];
+    updateFilterCarousel();
+
+    let lut = null;
+    try {
+        lut = await loadFilterLut(filter);
+    } catch (error) {
+        console.warn('Failed to load LUT:', error.message);
+        showToast(t('filter.loadFailed', { name: filter.name }));
+        selectFilter(0);
+        return;
+    }
+
+    // Guest may have picked another filter while the LUT was loading
+    if (filters[selectedFilterIndex] !== filter) return;
+
+    activeFilter = filter;
+    activeFilterLut = lut;
+    updateFilterPreview();
+}
+
+// Shader settings for a width x height output, or null when the plain video can be used
+function getColorPipelineOptions(width, height) {
+    if (!previewFilterRenderer) return null;
+
+    const chromaKey = getChromaKey(width, height);
+    if (!isFilterActive(activeFilter) && !chromaKey) return null;
+
+    return {
+        filter: isFilterActive(activeFilter) ? activeFilter : null,
+        lut: activeFilterLut,
+        mirror: shouldMirrorCamera,
+        chromaKey
+    };
+}
+
+// Swap the plain video for the filtered canvas while a filter or chroma key is active
+function updateFilterPreview() {
+    const filtered = Boolean(getColorPipelineOptions(1, 1));
+    filterPreview.classList.toggle('hidden', !filtered);
+    // Keep the video rendering underneath (hidden video elements may stop decoding)
+    video.classList.toggle('filtered', filtered);
+
+    if (filtered && !isFilterPreviewRunning) {
+        isFilterPreviewRunning = true;
+        scheduleFilterPreview();
+    }
+}
+
+// Render on every new camera frame where supported, otherwise every animation frame
+function scheduleFilterPreview() {
+    if (video.requestVideoFrameCallback) {
+        video.requestVideoFrameCallback(renderFilterPreview);
+    } else {
+        requestAnimationFrame(renderFilterPreview);
+    }
+}
+
+function renderFilterPreview() {
+    if (!getColorPipelineOptions(1, 1)) {
+        isFilterPreviewRunning = false;
+        return;
+    }
+
+    // Skip work behind the result screen or before the camera has frames
+    const rect = filterPreview.getBoundingClientRect();
+    if (!cameraView.classList.contains('hidden') && video.videoWidth > 0 && rect.width > 0) {
+        // Cap the pixel ratio so mid-range phones keep a smooth frame rate
+        const pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
+        const width = Math.round(rect.width * pixelRatio);
+        const height = Math.round(rect.height * pixelRatio);
+        const crop = getVideoCrop(width / height);
+        previewFilterRenderer.render(video, crop, width, height, getColorPipelineOptions(width, height));
+    }
+    scheduleFilterPreview();
+}
+
+// Renderer for captured frames, created on first use and recreated if the GPU context was lost
+function getExportFilterRenderer() {
+    if (!exportFilterRenderer || exportFilterRenderer.isLost()) {
+        try {
+            exportFilterRenderer = createFilterRenderer(document.createElement('canvas'));
+        } catch (error) {
+            console.warn('Filter renderer failed:', error.message);
+            exportFilterRenderer = null;
+        }
+    }
+    return exportFilterRenderer;
+}
+
+// Chroma key settings: defaults, then event.json, then the operator's calibration
+function loadChromaKeySettings() {
+    const eventSettings = (eventConfig && eventConfig.chromaKey) || {};
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(CHROMA_KEY_STORAGE_KEY)) || {};
+    } catch (error) {
+        // Ignore unreadable settings
+    }
+    chromaKeySettings = Object.assign({}, DEFAULT_CHROMA_KEY_SETTINGS, eventSettings, saved);
+    delete chromaKeySettings.background;
+    updateChromaKeyPanel();
+
+    // Optional event-wide backdrop (relative to event.json)
+    if (eventSettings.background) {
+        loadFrameImage(new URL(eventSettings.background, new URL(EVENT_CONFIG_URL, location.href)).href)
+            .then(image => {
+                chromaKeyBackground = image;
+                updateFilterPreview();
+            });
+    }
+}
 
-    await Promise.all(promises);
+// Save the chroma key controls from the settings panel
+function saveChromaKeySettings() {
+    chromaKeySettings = {
+        enabled: chromaEnabledInput.checked,
+        color: chromaColorInput.value,
+        tolerance: parseFloat(chromaToleranceInput.value),
+        softness: parseFloat(chromaSoftnessInput.value)
+    };
+    try {
+        localStorage.setItem(CHROMA_KEY_STORAGE_KEY, JSON.stringify(chromaKeySettings));
+    } catch (error) {
+        // Storage unavailable - settings last until reload
+    }
+    updateChromaKeyPanel();
+    updateFilterPreview();
+}
+
+function updateChromaKeyPanel() {
+    chromaEnabledInput.checked = chromaKeySettings.enabled;
+    chromaColorInput.value = chromaKeySettings.color;
+    chromaToleranceInput.value = chromaKeySettings.tolerance;
+    chromaToleranceValue.textContent = chromaKeySettings.tolerance.toFixed(2);
+    chromaSoftnessInput.value = chromaKeySettings.softness;
+    chromaSoftnessValue.textContent = chromaKeySettings.softness.toFixed(2);
+}
+
+// Shader chroma key for a width x height output, or null when keying is off or has no backdrop
+function getChromaKey(width, height) {
+    if (!chromaKeySettings.enabled) return null;
+
+    const background = frameImages[FRAME_BACKGROUND_KEY] || chromaKeyBackground;
+    if (!background) return null;
+
+    const hex = chromaKeySettings.color.replace('#', '');
+    return {
+        color: [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16) / 255),
+        tolerance: chromaKeySettings.tolerance,
+        softness: chromaKeySettings.softness,
+        background,
+        backgroundCrop: getCoverCrop(background.naturalWidth, background.naturalHeight, width / height)
+    };
+}
+
+// Calibration: the operator taps the backdrop on the preview to pick the key colour
+function startKeyCalibration() {
+    closeSettings();
+    isCalibratingKey = true;
+    chromaCalibrationHint.classList.remove('hidden');
+}
+
+function finishKeyCalibration(clientX, clientY) {
+    isCalibratingKey = false;
+    chromaCalibrationHint.classList.add('hidden');
+
+    const color = sampleVideoColor(clientX, clientY);
+    if (color) {
+        chromaColorInput.value = color;
+        chromaEnabledInput.checked = true;
+        saveChromaKeySettings();
+        showToast('Key colour set.', 'success', 2000);
+    }
+    openSettings();
+}
+
+// Average colour of the raw camera image under a point on the preview, as #rrggbb
+function sampleVideoColor(clientX, clientY) {
+    if (video.videoWidth === 0) return null;
+
+    const point = getVideoPointAt(clientX, clientY);
+    const size = CHROMA_SAMPLE_RADIUS * 2 + 1;
+    const sx = Math.min(Math.max(point.x - CHROMA_SAMPLE_RADIUS, 0), video.videoWidth - size);
+    const sy = Math.min(Math.max(point.y - CHROMA_SAMPLE_RADIUS, 0), video.videoHeight - size);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = size;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(video, sx, sy, size, size, 0, 0, size, size);
+    const pixels = ctx.getImageData(0, 0, size, size).data;
+
+    const sum = [0, 0, 0];
+    for (let i = 0; i < pixels.length; i += 4) {
+        sum[0] += pixels[i];
+        sum[1] += pixels[i + 1];
+        sum[2] += pixels[i + 2];
+    }
+    const count = pixels.length / 4;
+    return `#${sum.map(total => Math.round(total / count).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Which way the screen is held; "auto" picks portrait or landscape from this
+function getScreenOrientation() {
+    if (window.screen && screen.orientation && screen.orientation.type) {
+        return screen.orientation.type.startsWith('landscape') ? 'landscape' : 'portrait';
+    }
+    if (typeof window.orientation === 'number') {
+        return Math.abs(window.orientation) === 90 ? 'landscape' : 'portrait';
+    }
+    return window.matchMedia && window.matchMedia('(orientation: landscape)').matches ? 'landscape' : 'portrait';
+}
+
+// Current FRAME_ASPECTS key, used for the output size and template layout overrides
+function getFrameAspect() {
+    const aspect = outputSettings.aspect;
+    if (aspect === 'auto') return getScreenOrientation();
+    return FRAME_ASPECTS[aspect] ? aspect : DEFAULT_OUTPUT_SETTINGS.aspect;
 }
 
 // Draw preview overlay on canvas
@@ -226,206 +1222,686 @@ function drawPreviewOverlay() {
 
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-    // Calculate scaling - use smaller dimension for reference
-    // Portrait: scale by width (1080 base), Landscape: scale by height (1080 base)
-    const baseRef = isLandscapeMode ? 1080 : 1080;
-    const scale = isLandscapeMode
-        ? canvas.height / baseRef
-        : canvas.width / baseRef;
-
-    // 1. Draw gradient overlay (full background)
-    if (overlayImages.gradient || overlayImages.gradient_png) {
-        const gradImg = overlayImages.gradient || overlayImages.gradient_png;
-        ctx.globalAlpha = 0.8;
-        ctx.drawImage(gradImg, 0, 0, canvas.width, canvas.height);
-        ctx.globalAlpha = 1.0;
-    }
-
-    // 2. Draw logos at top (Asset 2 - contains both RRC and BEYOND logos)
-    if (overlayImages.logo_rrc || overlayImages.logo_rrc_png) {
-        const logoImg = overlayImages.logo_rrc || overlayImages.logo_rrc_png;
-        const logoWidth = (isLandscapeMode ? 250 : 350) * scale;
-        const logoHeight = (logoImg.height / logoImg.width) * logoWidth;
-        const logoX = (canvas.width - logoWidth) / 2;
-        const logoY = (isLandscapeMode ? 40 : 100) * scale;
-        ctx.drawImage(logoImg, logoX, logoY, logoWidth, logoHeight);
-    }
-
-    // 3. Draw event text (bottom left - Asset 3)
-    if (overlayImages.text_event || overlayImages.text_event_png) {
-        const textImg = overlayImages.text_event || overlayImages.text_event_png;
-        const textWidth = (isLandscapeMode ? 350 : 550) * scale;
-        const textHeight = (textImg.height / textImg.width) * textWidth;
-        const textX = (isLandscapeMode ? 40 : 80) * scale;
-        const textY = canvas.height - textHeight - ((isLandscapeMode ? 40 : 120) * scale);
-        ctx.drawImage(textImg, textX, textY, textWidth, textHeight);
-    }
-
-    // 4. Draw 3D box (bottom right - Asset 4)
-    if (overlayImages.box_3d || overlayImages.box_3d_png) {
-        const boxImg = overlayImages.box_3d || overlayImages.box_3d_png;
-        const boxWidth = (isLandscapeMode ? 200 : 320) * scale;
-        const boxHeight = (boxImg.height / boxImg.width) * boxWidth;
-        const boxX = canvas.width - boxWidth - ((isLandscapeMode ? 40 : 80) * scale);
-        const boxY = canvas.height - boxHeight - ((isLandscapeMode ? 40 : 120) * scale);
-        ctx.drawImage(boxImg, boxX, boxY, boxWidth, boxHeight);
-    }
-}
-
-// Snap photo
-async function snapPhoto() {
-    // Disable button during processing
-    snapBtn.disabled = true;
-    snapText.classList.add('hidden');
-    snapLoading.classList.remove('hidden');
+    // Same renderer as the export, so the preview can't drift from the saved photo
+    // Image layers are rasterised once per frame, size and aspect, then reused
+    const startTime = performance.now();
+    const aspect = getFrameAspect();
+    const overlay = getFrameOverlay(activeFrame, frameImages, canvas.width, canvas.height, aspect);
+    drawFrameOverlay(ctx, overlay, canvas.width, canvas.height, aspect, getFrameTextValues());
+    emitAppEvent('timing', { name: 'overlay', duration: performance.now() - startTime });
+}
 
-    try {
-        // Ensure video has valid dimensions
-        if (video.videoWidth === 0 || video.videoHeight === 0) {
-            // Wait for loadeddata event if dimensions not ready yet
-            await new Promise((resolve) => {
-                video.addEventListener('loadeddata', resolve, { once: true });
-            });
-        }
+// Output canvas size for the current aspect (short side 1080px), scaled by the resolution preset
+function getOutputSize(scale = RESOLUTION_PRESETS[outputSettings.resolution] || 1) {
+    const aspect = FRAME_ASPECTS[getFrameAspect()];
+    const shortSide = FRAME_REFERENCE_SIZE * scale;
+    const ratio = aspect.width / aspect.height;
+    return ratio >= 1
+        ? { width: Math.round(shortSide * ratio), height: Math.round(shortSide) }
+        : { width: Math.round(shortSide), height: Math.round(shortSide / ratio) };
+}
 
-        // Target aspect ratio based on current mode
-        const targetAspect = isLandscapeMode ? (16 / 9) : (9 / 16);
-        const videoWidth = video.videoWidth;
-        const videoHeight = video.videoHeight;
-        const videoAspect = videoWidth / videoHeight;
+// Center crop of a source that fills the target aspect ratio (same as object-fit: cover)
+function getCoverCrop(sourceWidth, sourceHeight, targetAspect) {
+    const sourceAspect = sourceWidth / sourceHeight;
 
-        // Calculate crop region to match preview
-        let sourceX, sourceY, sourceWidth, sourceHeight;
+    if (sourceAspect > targetAspect) {
+        // Source is wider than target - crop sides
+        const width = sourceHeight * targetAspect;
+        return { x: (sourceWidth - width) / 2, y: 0, width, height: sourceHeight };
+    }
 
-        if (videoAspect > targetAspect) {
-            // Video is wider than target - crop sides
-            sourceHeight = videoHeight;
-            sourceWidth = videoHeight * targetAspect;
-            sourceX = (videoWidth - sourceWidth) / 2;
-            sourceY = 0;
-        } else {
-            // Video is taller than target - crop top/bottom
-            sourceWidth = videoWidth;
-            sourceHeight = videoWidth / targetAspect;
-            sourceX = 0;
-            sourceY = (videoHeight - sourceHeight) / 2;
-        }
-
-        // Output dimensions based on mode
-        let outputWidth, outputHeight;
-        if (isLandscapeMode) {
-            outputWidth = 1920;
-            outputHeight = 1080;
-        } else {
-            outputWidth = 1080;
-            outputHeight = 1920;
+    // Source is taller than target - crop top/bottom
+    const height = sourceWidth / targetAspect;
+    return { x: 0, y: (sourceHeight - height) / 2, width: sourceWidth, height };
+}
+
+// Part of the video shown for a target aspect ratio: the cover crop, narrowed by digital zoom
+function getVideoCrop(targetAspect) {
+    const crop = getCoverCrop(video.videoWidth, video.videoHeight, targetAspect);
+    if (digitalZoom === 1) return crop;
+
+    const width = crop.width / digitalZoom;
+    const height = crop.height / digitalZoom;
+    return {
+        x: crop.x + (crop.width - width) / 2,
+        y: crop.y + (crop.height - height) / 2,
+        width,
+        height
+    };
+}
+
+// Video pixel under a point on the preview, through the crop, zoom and mirroring
+function getVideoPointAt(clientX, clientY) {
+    const rect = previewWrapper.getBoundingClientRect();
+    const crop = getVideoCrop(rect.width / rect.height);
+    let u = (clientX - rect.left) / rect.width;
+    const v = (clientY - rect.top) / rect.height;
+    if (shouldMirrorCamera) u = 1 - u;
+    return { x: crop.x + u * crop.width, y: crop.y + v * crop.height };
+}
+
+// Draw the current video frame into a rectangle, cropped and mirrored like the preview
+// A source canvas (a stacked low-light frame, already cropped) is drawn the same way;
+// toneCurve is the shadow lift it was given, which the chroma key has to follow
+function drawVideoFrame(ctx, x, y, width, height, source = null, toneCurve = null) {
+    const image = source || video;
+    const crop = source
+        ? { x: 0, y: 0, width: source.width, height: source.height }
+        : getVideoCrop(width / height);
+
+    // Filtered/keyed frames go through the same shader as the preview
+    const options = getColorPipelineOptions(width, height);
+    if (options && options.chromaKey && toneCurve) {
+        // The source's shadows were lifted (low light) - key against the lifted backdrop colour
+        options.chromaKey = getLiftedChromaKey(options.chromaKey, toneCurve);
+    }
+    const renderer = options ? getExportFilterRenderer() : null;
+    if (renderer) {
+        const filtered = renderer.render(image, crop, Math.round(width), Math.round(height), options);
+        ctx.drawImage(filtered, x, y, width, height);
+        return;
+    }
+
+    ctx.save();
+    if (shouldMirrorCamera) {
+        ctx.translate(x + width, y);
+        ctx.scale(-1, 1);
+        ctx.drawImage(image, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+    } else {
+        ctx.drawImage(image, crop.x, crop.y, crop.width, crop.height, x, y, width, height);
+    }
+    ctx.restore();
+}
+
+// Grab the current video frame as a canvas of the given size
+function captureShot(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    drawVideoFrame(canvas.getContext('2d'), 0, 0, width, height);
+    flashPreview();
+    return canvas;
+}
+
+// Resolve on the next camera frame (or after LOW_LIGHT_FRAME_TIMEOUT_MS on a stalled stream)
+function waitForNextVideoFrame() {
+    return new Promise((resolve) => {
+        const timeout = setTimeout(resolve, LOW_LIGHT_FRAME_TIMEOUT_MS);
+        const done = () => {
+            clearTimeout(timeout);
+            resolve();
+        };
+        if (video.requestVideoFrameCallback) {
+            video.requestVideoFrameCallback(done);
+            return;
         }
+        const startTime = video.currentTime;
+        const poll = () => {
+            if (video.currentTime !== startTime) {
+                done();
+            } else {
+                requestAnimationFrame(poll);
+            }
+        };
+        requestAnimationFrame(poll);
+    });
+}
 
-        // Create canvas for final composition
-        const canvas = document.createElement('canvas');
-        canvas.width = outputWidth;
-        canvas.height = outputHeight;
-        const ctx = canvas.getContext('2d');
+// Stack a burst of consecutive frames (aligned, averaged, shadows lifted) into one shot
+async function captureLowLightShot(width, height) {
+    const crop = getVideoCrop(width / height);
+    const stacked = document.createElement('canvas');
+    stacked.width = width;
+    stacked.height = height;
+    const ctx = stacked.getContext('2d', { willReadFrequently: true });
+
+    const stack = createFrameStack(width, height);
+    for (let index = 0; index < lowLightSettings.frames; index++) {
+        if (index > 0) await waitForNextVideoFrame();
+        ctx.drawImage(video, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+        addFrameToStack(stack, ctx.getImageData(0, 0, width, height));
+    }
+    const { image, curve } = finishFrameStack(stack);
+    ctx.putImageData(image, 0, 0);
+
+    // Mirrored, filtered and keyed like a single frame
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    drawVideoFrame(canvas.getContext('2d'), 0, 0, width, height, stacked, curve);
+    flashPreview();
+    return canvas;
+}
+
+// One photo for a cell - stacked in low light, a single frame otherwise
+function takeShot(width, height) {
+    return isLowLightActive() ? captureLowLightShot(width, height) : captureShot(width, height);
+}
 
-        // Draw cropped video (center crop to match preview)
+// Wait for loadeddata if the video dimensions aren't ready yet
+async function waitForVideoFrame() {
+    if (video.videoWidth === 0 || video.videoHeight === 0) {
+        await new Promise((resolve) => {
+            video.addEventListener('loadeddata', resolve, { once: true });
+        });
+    }
+}
+
+// Brief white flash on the preview so guests know a shot was taken
+function flashPreview() {
+    previewWrapper.classList.remove('flash');
+    // Force reflow so the animation restarts on back-to-back shots
+    void previewWrapper.offsetWidth;
+    previewWrapper.classList.add('flash');
+}
+
+// Count down on the preview overlay, one number per second
+async function runCountdown(seconds, caption) {
+    for (let remaining = seconds; remaining > 0; remaining--) {
+        drawPreviewOverlay();
+        drawCountdownNumber(remaining, caption);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    drawPreviewOverlay();
+}
+
+// Draw a large countdown number (and optional caption) over the frame preview
+function drawCountdownNumber(value, caption) {
+    const canvas = overlayPreview;
+    const ctx = canvas.getContext('2d');
+    const size = Math.min(canvas.width, canvas.height) * 0.4;
+    const fontFamily = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = 'white';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+    ctx.shadowBlur = size * 0.1;
+    ctx.font = `700 ${size}px ${fontFamily}`;
+    ctx.fillText(String(value), canvas.width / 2, canvas.height / 2);
+    if (caption) {
+        ctx.font = `600 ${size * 0.15}px ${fontFamily}`;
+        ctx.fillText(caption, canvas.width / 2, canvas.height / 2 + size * 0.6);
+    }
+    ctx.restore();
+}
+
+// Composite the session's shots and frame layers into a full-size canvas
+function composeCapture(session) {
+    const canvas = document.createElement('canvas');
+    canvas.width = session.width;
+    canvas.height = session.height;
+    const ctx = canvas.getContext('2d');
+
+    // Multi-shot layouts leave gaps between cells - fill them with the template background
+    if (session.cells.length > 1) {
+        ctx.fillStyle = resolveFrameMultiShot(session.frame.template, session.aspect).background;
+        ctx.fillRect(0, 0, session.width, session.height);
+    }
+
+    session.cells.forEach((cell, index) => {
+        ctx.drawImage(session.shots[index], cell.x, cell.y, cell.width, cell.height);
+    });
+
+    drawCaptureOverlay(ctx, session);
+    return canvas;
+}
+
+// Draw the chosen frame's layers and any stickers (everything above the photos)
+function drawCaptureOverlay(ctx, session) {
+    const overlay = getFrameOverlay(session.frame.template, session.frame.images,
+        session.width, session.height, session.aspect);
+    drawFrameOverlay(ctx, overlay, session.width, session.height, session.aspect, session.textValues);
+
+    // Stickers placed in the result editor (stickers.js) go on top of everything
+    session.stickers.forEach(sticker => {
         ctx.save();
-        if (shouldMirrorCamera) {
-            ctx.translate(outputWidth, 0);
-            ctx.scale(-1, 1);
-        }
-        // Draw the cropped portion of video to fill the canvas
-        ctx.drawImage(video,
-            sourceX, sourceY, sourceWidth, sourceHeight,  // Source crop
-            0, 0, outputWidth, outputHeight               // Destination fill
-        );
+        ctx.translate(sticker.x, sticker.y);
+        ctx.rotate(sticker.rotation);
+        ctx.drawImage(sticker.image, -sticker.width / 2, -sticker.height / 2, sticker.width, sticker.height);
         ctx.restore();
+    });
+}
 
-        // 1. Draw gradient overlay (full background)
-        if (overlayImages.gradient || overlayImages.gradient_png) {
-            const gradImg = overlayImages.gradient || overlayImages.gradient_png;
-            ctx.globalAlpha = 0.8;
-            ctx.drawImage(gradImg, 0, 0, outputWidth, outputHeight);
-            ctx.globalAlpha = 1.0;
-        }
+// Render the session composite and show it on the result screen
+// startTime is when the (last) shot was taken, for the capture-to-result timing
+async function showCaptureResult(session, startTime = performance.now()) {
+    const frameId = session.frame.template ? session.frame.template.id : null;
+    const capturedAt = new Date();
+    const { blob, timings } = await renderCapture(session, {
+        event: getEventName(),
+        frameId,
+        captureTime: capturedAt
+    });
 
-        // Calculate scale factor - landscape uses height, portrait uses width
-        const scaleFactor = isLandscapeMode
-            ? outputHeight / 1080
-            : outputWidth / 1080;
+    showResult({ blob, frameId, capturedAt, sequence: session.sequence });
+    reshootHint.classList.toggle('hidden', session.cells.length < 2);
+    emitAppEvent('timing', Object.assign({ name: 'capture', duration: performance.now() - startTime }, timings));
+}
 
-        // 2. Draw logos at top center (Asset 2 - both RRC and BEYOND logos)
-        if (overlayImages.logo_rrc || overlayImages.logo_rrc_png) {
-            const logoImg = overlayImages.logo_rrc || overlayImages.logo_rrc_png;
-            const logoWidth = (isLandscapeMode ? 250 : 350) * scaleFactor;
-            const logoHeight = (logoImg.height / logoImg.width) * logoWidth;
-            const logoX = (outputWidth - logoWidth) / 2;
-            const logoY = (isLandscapeMode ? 40 : 100) * scaleFactor;
-            ctx.drawImage(logoImg, logoX, logoY, logoWidth, logoHeight);
+// Composite and encode a session in the configured format, with the event metadata embedded
+// Uses the render worker where supported; the main thread otherwise (or if the worker fails)
+async function renderCapture(session, metadata) {
+    const format = OUTPUT_FORMATS[outputSettings.format] || OUTPUT_FORMATS.png;
+    const timings = {};
+    let blob = null;
+
+    if (getRenderWorker()) {
+        try {
+            blob = await renderCaptureInWorker(session, format, timings);
+            timings.path = 'worker';
+        } catch (error) {
+            console.warn('Render worker failed, rendering on the main thread:', error.message);
+            isRenderWorkerBroken = true;
         }
+    }
 
-        // 3. Draw event text at bottom left (Asset 3)
-        if (overlayImages.text_event || overlayImages.text_event_png) {
-            const textImg = overlayImages.text_event || overlayImages.text_event_png;
-            const textWidth = (isLandscapeMode ? 350 : 550) * scaleFactor;
-            const textHeight = (textImg.height / textImg.width) * textWidth;
-            const textX = (isLandscapeMode ? 40 : 80) * scaleFactor;
-            const textY = outputHeight - textHeight - ((isLandscapeMode ? 40 : 120) * scaleFactor);
-            ctx.drawImage(textImg, textX, textY, textWidth, textHeight);
+    if (!blob) {
+        let startTime = performance.now();
+        const canvas = composeCapture(session);
+        timings.compose = performance.now() - startTime;
+
+        // Browsers without an encoder for the format (e.g. WebP on older Safari) fall back to PNG
+        startTime = performance.now();
+        blob = await new Promise(resolve => canvas.toBlob(resolve, format.mimeType, outputSettings.quality));
+        timings.encode = performance.now() - startTime;
+        timings.path = 'main';
+        if (!blob) {
+            throw new Error('Image encoding failed');
         }
+    }
 
-        // 4. Draw 3D box at bottom right (Asset 4)
-        if (overlayImages.box_3d || overlayImages.box_3d_png) {
-            const boxImg = overlayImages.box_3d || overlayImages.box_3d_png;
-            const boxWidth = (isLandscapeMode ? 200 : 320) * scaleFactor;
-            const boxHeight = (boxImg.height / boxImg.width) * boxWidth;
-            const boxX = outputWidth - boxWidth - ((isLandscapeMode ? 40 : 80) * scaleFactor);
-            const boxY = outputHeight - boxHeight - ((isLandscapeMode ? 40 : 120) * scaleFactor);
-            ctx.drawImage(boxImg, boxX, boxY, boxWidth, boxHeight);
-        }
+    const startTime = performance.now();
+    try {
+        blob = await embedImageMetadata(blob, metadata, session.width, session.height);
+    } catch (error) {
+        // Metadata is nice to have - never lose the photo over it
+        console.warn('Failed to embed metadata:', error);
+    }
+    timings.metadata = performance.now() - startTime;
+    return { blob, timings };
+}
 
-        // Convert to blob for better memory efficiency
-        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+// The render worker, or null where OffscreenCanvas/createImageBitmap are missing
+function getRenderWorker() {
+    if (isRenderWorkerBroken || typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined'
+        || typeof createImageBitmap !== 'function' || !OffscreenCanvas.prototype.convertToBlob) {
+        return null;
+    }
 
-        // Revoke previous photo URL if exists
-        if (currentPhotoURL) {
-            URL.revokeObjectURL(currentPhotoURL);
+    if (!renderWorker) {
+        try {
+            renderWorker = new Worker(RENDER_WORKER_URL);
+        } catch (error) {
+            console.warn('Render worker unavailable:', error.message);
+            isRenderWorkerBroken = true;
+            return null;
         }
+        renderWorker.addEventListener('message', (event) => {
+            const job = renderJobs.get(event.data.id);
+            if (!job) return;
+            renderJobs.delete(event.data.id);
+            if (event.data.error) {
+                job.reject(new Error(event.data.error));
+            } else {
+                job.resolve(event.data);
+            }
+        });
+        // Script failed to load or crashed - fail pending jobs so they fall back
+        renderWorker.addEventListener('error', (event) => {
+            event.preventDefault();
+            isRenderWorkerBroken = true;
+            renderJobs.forEach(job => job.reject(new Error(event.message || 'Render worker error')));
+            renderJobs.clear();
+        });
+    }
+    return renderWorker;
+}
+
+// Hand the shots and a flattened overlay to the worker as bitmaps; it composites and encodes
+async function renderCaptureInWorker(session, format, timings) {
+    const worker = getRenderWorker();
+    const startTime = performance.now();
+
+    const overlayCanvas = document.createElement('canvas');
+    overlayCanvas.width = session.width;
+    overlayCanvas.height = session.height;
+    drawCaptureOverlay(overlayCanvas.getContext('2d'), session);
+
+    const bitmaps = await Promise.all(session.shots.map(shot => createImageBitmap(shot)));
+    const overlay = await createImageBitmap(overlayCanvas);
+    const draws = session.cells.map((cell, index) => Object.assign({ bitmap: bitmaps[index] }, cell));
+    draws.push({ bitmap: overlay, x: 0, y: 0, width: session.width, height: session.height });
+    timings.prepare = performance.now() - startTime;
+
+    const id = ++renderJobId;
+    const result = await new Promise((resolve, reject) => {
+        renderJobs.set(id, { resolve, reject });
+        worker.postMessage({
+            id,
+            width: session.width,
+            height: session.height,
+            // Multi-shot layouts leave gaps between cells - fill them with the template background
+            background: session.cells.length > 1
+                ? resolveFrameMultiShot(session.frame.template, session.aspect).background
+                : null,
+            draws,
+            mimeType: format.mimeType,
+            quality: outputSettings.quality
+        }, draws.map(draw => draw.bitmap));
+    });
+
+    timings.compose = result.compose;
+    timings.encode = result.encode;
+    return result.blob;
+}
+
+// Show a captured photo or clip on the result screen
+function showResult(result) {
+    const blob = result.blob;
 
-        // Create object URL for the blob
-        currentPhotoURL = URL.createObjectURL(blob);
+    // Revoke previous photo URL if exists
+    if (currentPhotoURL) {
+        URL.revokeObjectURL(currentPhotoURL);
+    }
 
-        // Show result
+    // Create object URL for the blob
+    currentPhotoURL = URL.createObjectURL(blob);
+    currentResult = result;
+
+    // Show result - clips play in a looping video element instead of the image
+    const isVideo = blob.type.startsWith('video/');
+    resultPreview.classList.toggle('hidden', isVideo);
+    resultVideo.classList.toggle('hidden', !isVideo);
+    if (isVideo) {
+        resultPreview.removeAttribute('src');
+        resultVideo.src = currentPhotoURL;
+        resultVideo.play().catch(() => {});
+    } else {
+        resultVideo.removeAttribute('src');
         resultPreview.src = currentPhotoURL;
-        resultSection.classList.add('show');
-        cameraView.classList.add('hidden');
+    }
+    reshootHint.classList.add('hidden');
+    resultSection.classList.add('show');
+    cameraView.classList.add('hidden');
+    emitAppEvent('result', result);
+
+    // Keep stream alive for faster retake (don't stop camera)
+    // Video element will be hidden but stream stays active
 
-        // Keep stream alive for faster retake (don't stop camera)
-        // Video element will be hidden but stream stays active
+    // Smooth scroll to see result if needed
+    setTimeout(() => {
+        resultSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }, 100);
+}
 
-        // Smooth scroll to see result if needed
-        setTimeout(() => {
-            resultSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-        }, 100);
+// Toggle the busy state of the capture controls
+function setCaptureBusy(busy) {
+    isCapturing = busy;
+    snapBtn.disabled = busy;
+    timerBtn.disabled = busy;
+    modeBtn.disabled = busy;
+    snapText.classList.toggle('hidden', busy);
+    snapLoading.classList.toggle('hidden', !busy);
+    if (!busy) scheduleCameraRestart();
+}
+
+// Log a finished capture with the settings guests chose
+function trackSnap(mode) {
+    trackEvent('snap', {
+        mode,
+        frameId: activeFrame ? activeFrame.id : null,
+        filter: activeFilter ? activeFilter.id : null,
+        countdown: countdownSeconds,
+        lowLight: !CAPTURE_MODES[captureModeIndex].video && isLowLightActive()
+    });
+}
+
+// Snap photo (or every photo of a multi-shot layout)
+async function snapPhoto() {
+    // Disable button during processing
+    setCaptureBusy(true);
+
+    try {
+        // Ensure video has valid dimensions
+        await waitForVideoFrame();
+
+        const mode = CAPTURE_MODES[captureModeIndex];
+        if (mode.video) {
+            await captureClip(mode.id === 'boomerang');
+            trackSnap(mode.id);
+            return;
+        }
+
+        const layout = mode.id;
+        const frame = await getCaptureFrame();
+        const aspect = getFrameAspect();
+        const { width, height } = getOutputSize();
+        const cells = getFrameCells(frame.template, layout, width, height, aspect);
+        const textValues = getFrameTextValues();
+
+        // Burst shots after the first always get a countdown so guests can re-pose
+        const shots = [];
+        let shutterTime;
+        for (let index = 0; index < cells.length; index++) {
+            const seconds = index === 0 ? countdownSeconds : (countdownSeconds || BURST_INTERVAL_SECONDS);
+            const caption = cells.length > 1 ? t('countdown.shot', { index: index + 1, count: cells.length }) : '';
+            await runCountdown(seconds, caption);
+            shutterTime = performance.now();
+            shots.push(await takeShot(cells[index].width, cells[index].height));
+        }
+
+        captureSession = {
+            frame, aspect, width, height, cells, shots, textValues,
+            stickers: [],
+            sequence: nextCaptureSequence()
+        };
+        await showCaptureResult(captureSession, shutterTime);
+        trackSnap(layout);
 
     } catch (error) {
         // Log error type only (no sensitive details)
         if (error.name) console.error('Capture error:', error.name);
-        showToast('Failed to capture photo. Please try again.');
+        showToast(t('capture.failed'));
+        drawPreviewOverlay();
     } finally {
         // Re-enable button
-        snapBtn.disabled = false;
-        snapText.classList.remove('hidden');
-        snapLoading.classList.add('hidden');
+        setCaptureBusy(false);
+    }
+}
+
+// Pick the first clip container/codec this browser can record
+function getVideoMimeType() {
+    return VIDEO_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+// Record a canvas while calling drawFrame on every animation frame
+async function recordCanvas(canvas, drawFrame, durationMs, frameRate) {
+    const mimeType = getVideoMimeType();
+    const canvasStream = canvas.captureStream(frameRate);
+    const recorder = new MediaRecorder(canvasStream, mimeType
+        ? { mimeType, videoBitsPerSecond: VIDEO_BITS_PER_SECOND }
+        : { videoBitsPerSecond: VIDEO_BITS_PER_SECOND });
+
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+    };
+    const stopped = new Promise((resolve, reject) => {
+        recorder.onstop = resolve;
+        recorder.onerror = (event) => reject(event.error || new Error('Recording failed'));
+    });
+
+    // Draw the first frame before starting so the clip doesn't open on a blank canvas
+    const startTime = performance.now();
+    drawFrame(0);
+    recorder.start();
+
+    let rafId;
+    const loop = () => {
+        drawFrame(performance.now() - startTime);
+        rafId = requestAnimationFrame(loop);
+    };
+    rafId = requestAnimationFrame(loop);
+
+    await new Promise(resolve => setTimeout(resolve, durationMs));
+    cancelAnimationFrame(rafId);
+    recorder.stop();
+    await stopped;
+    canvasStream.getTracks().forEach(track => track.stop());
+
+    return new Blob(chunks, { type: (recorder.mimeType || mimeType || 'video/webm').split(';')[0] });
+}
+
+// Record a short clip (or boomerang) with the frame layers burned into every frame
+async function captureClip(boomerang) {
+    const frame = await getCaptureFrame();
+    const aspect = getFrameAspect();
+    const { width, height } = getOutputSize(VIDEO_OUTPUT_SCALE);
+    const textValues = getFrameTextValues();
+    const overlay = getFrameOverlay(frame.template, frame.images, width, height, aspect);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    await runCountdown(countdownSeconds, t(boomerang ? 'countdown.boomerang' : 'countdown.video'));
+
+    recIndicator.classList.remove('hidden');
+    let blob;
+    const bufferedFrames = []; // Boomerang bitmaps, closed however the recording ends
+    try {
+        if (boomerang) {
+            // Buffer frames first, then record them forward and in reverse
+            await bufferClipFrames(bufferedFrames, width, height);
+            const sequence = bufferedFrames.concat(bufferedFrames.slice(1, -1).reverse());
+            const frameDuration = 1000 / BOOMERANG_FRAME_RATE;
+            recIndicator.classList.add('hidden');
+
+            blob = await recordCanvas(canvas, (elapsed) => {
+                const index = Math.min(Math.floor(elapsed / frameDuration), sequence.length - 1);
+                ctx.drawImage(sequence[index], 0, 0, width, height);
+                drawFrameOverlay(ctx, overlay, width, height, aspect, textValues);
+            }, sequence.length * frameDuration, BOOMERANG_FRAME_RATE);
+        } else {
+            blob = await recordCanvas(canvas, () => {
+                drawVideoFrame(ctx, 0, 0, width, height);
+                drawFrameOverlay(ctx, overlay, width, height, aspect, textValues);
+            }, VIDEO_CLIP_SECONDS * 1000, VIDEO_FRAME_RATE);
+        }
+    } finally {
+        recIndicator.classList.add('hidden');
+        bufferedFrames.forEach(bitmap => bitmap.close && bitmap.close());
     }
+
+    captureSession = null;
+    showResult({
+        blob,
+        frameId: frame.template ? frame.template.id : null,
+        capturedAt: new Date(),
+        sequence: nextCaptureSequence()
+    });
+}
+
+// Grab boomerang frames from the live video at a fixed rate into `frames`, downscaled to
+// BOOMERANG_BUFFER_SCALE (full-size canvases hit mid-range phones' canvas memory limits)
+async function bufferClipFrames(frames, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * BOOMERANG_BUFFER_SCALE);
+    canvas.height = Math.round(height * BOOMERANG_BUFFER_SCALE);
+    const ctx = canvas.getContext('2d');
+
+    const count = BOOMERANG_SECONDS * BOOMERANG_FRAME_RATE;
+    for (let index = 0; index < count; index++) {
+        drawVideoFrame(ctx, 0, 0, canvas.width, canvas.height);
+        if (typeof createImageBitmap === 'function') {
+            frames.push(await createImageBitmap(canvas));
+        } else {
+            // No ImageBitmap - keep a small canvas copy instead
+            const copy = document.createElement('canvas');
+            copy.width = canvas.width;
+            copy.height = canvas.height;
+            copy.getContext('2d').drawImage(canvas, 0, 0);
+            frames.push(copy);
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000 / BOOMERANG_FRAME_RATE));
+    }
+}
+
+// Retake a single photo of a multi-shot composite
+async function reshootCell(index) {
+    const session = captureSession;
+    if (!session || isCapturing) return;
+
+    resultSection.classList.remove('show');
+    cameraView.classList.remove('hidden');
+    setCaptureBusy(true);
+
+    try {
+        await waitForVideoFrame();
+        await runCountdown(countdownSeconds || BURST_INTERVAL_SECONDS, t('countdown.retake', { index: index + 1 }));
+
+        const cell = session.cells[index];
+        const shutterTime = performance.now();
+        session.shots[index] = await takeShot(cell.width, cell.height);
+        await showCaptureResult(session, shutterTime);
+        trackEvent('reshoot', { cell: index });
+
+    } catch (error) {
+        if (error.name) console.error('Capture error:', error.name);
+        showToast(t('capture.failed'));
+        // Go back to the existing composite
+        resultSection.classList.add('show');
+        cameraView.classList.add('hidden');
+    } finally {
+        setCaptureBusy(false);
+    }
+}
+
+// Map a tap on the result image to the multi-shot cell under it (-1 if none)
+function getResultCellAt(clientX, clientY) {
+    const session = captureSession;
+    if (!session || session.cells.length < 2) return -1;
+
+    // The image is letterboxed inside its box (object-fit: contain)
+    const rect = resultPreview.getBoundingClientRect();
+    const scale = Math.min(rect.width / session.width, rect.height / session.height);
+    const x = (clientX - rect.left - (rect.width - session.width * scale) / 2) / scale;
+    const y = (clientY - rect.top - (rect.height - session.height * scale) / 2) / scale;
+
+    return session.cells.findIndex(cell =>
+        x >= cell.x && x < cell.x + cell.width &&
+        y >= cell.y && y < cell.y + cell.height
+    );
+}
+
+// Cycle the countdown timer: off -> 3s -> 5s -> 10s
+function cycleCountdown() {
+    const index = COUNTDOWN_OPTIONS.indexOf(countdownSeconds);
+    countdownSeconds = COUNTDOWN_OPTIONS[(index + 1) % COUNTDOWN_OPTIONS.length];
+    timerBtn.querySelector('.btn-label').textContent = countdownSeconds ? `${countdownSeconds}s` : '⏱';
+    timerBtn.classList.toggle('active', countdownSeconds > 0);
+}
+
+// Cycle the capture mode: single photo -> 2x2 grid -> vertical strip -> video -> boomerang
+function cycleCaptureMode() {
+    captureModeIndex = (captureModeIndex + 1) % CAPTURE_MODES.length;
+    const mode = CAPTURE_MODES[captureModeIndex];
+    modeBtn.querySelector('.btn-label').textContent = mode.label;
+    modeBtn.classList.toggle('active', mode.id !== 'single');
 }
 
 // Download photo (with iOS Share API)
 async function downloadPhoto() {
     try {
-        // Convert blob URL to actual blob
-        const response = await fetch(resultPreview.src);
-        const blob = await response.blob();
-        const file = new File([blob], 'framed-photo.png', { type: 'image/png' });
+        const blob = currentResult.blob;
+        const isVideo = blob.type.startsWith('video/');
+        const kind = isVideo ? 'clip' : 'photo';
+        const fileName = getPhotoFileName(currentResult);
+        const file = new File([blob], fileName, { type: blob.type });
 
         // Try Web Share API first (works on iOS and Android)
         if (navigator.share && navigator.canShare) {
@@ -433,15 +1909,17 @@ async function downloadPhoto() {
                 if (navigator.canShare({ files: [file] })) {
                     await navigator.share({
                         files: [file],
-                        title: 'Framed Photo',
-                        text: 'My framed photo'
+                        title: t(isVideo ? 'share.clipTitle' : 'share.photoTitle'),
+                        text: t(isVideo ? 'share.clipText' : 'share.photoText')
                     });
+                    trackEvent('share', { kind });
                     // Don't show success toast if user shared (could be cancelled)
                     return;
                 }
             } catch (error) {
                 // If AbortError, user cancelled - don't show error
                 if (error.name === 'AbortError') {
+                    trackEvent('share_cancel', { kind });
                     return;
                 }
                 console.log('Share failed, falling back:', error);
@@ -452,20 +1930,155 @@ async function downloadPhoto() {
         // Fallback: traditional download (works on desktop, some Android browsers)
         if (!isIOS()) {
             const link = document.createElement('a');
-            link.download = 'framed-photo.png';
+            link.download = fileName;
             link.href = URL.createObjectURL(blob);
             link.click();
             // Clean up
             setTimeout(() => URL.revokeObjectURL(link.href), 1000);
-            showToast('Photo downloaded!', 'success', 2000);
+            trackEvent('download', { kind });
+            showToast(t(isVideo ? 'download.clipDone' : 'download.photoDone'), 'success', 2000);
+        } else if (isVideo) {
+            // iOS Safari without Share API support (rare, but fallback)
+            showToast(t('download.iosClip'), 'info', 6000);
         } else {
             // iOS Safari without Share API support (rare, but fallback)
-            showToast('Long-press the image and tap "Save Image"', 'info', 6000);
+            showToast(t('download.iosPhoto'), 'info', 6000);
         }
     } catch (error) {
         console.error('Download error:', error);
-        showToast('Failed to save photo. Please try again.', 'error');
+        trackEvent('download_error', { error: error.name || 'Error' });
+        showToast(t('download.failed'), 'error');
+    }
+}
+
+// File extensions for the result types we produce
+const FILE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/png': 'png',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm'
+};
+
+// Event name from event.json, used in file names and photo metadata
+function getEventName() {
+    return (eventConfig && eventConfig.name) || 'Snap & Frame';
+}
+
+// Values for {placeholders} in frame text layers
+function getFrameTextValues(date = new Date()) {
+    return {
+        event: getEventName(),
+        date: date.toLocaleDateString(getLocale(), { day: 'numeric', month: 'long', year: 'numeric' }),
+        time: date.toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' }),
+        hashtag: (eventConfig && eventConfig.hashtag) || '',
+        guestName: guestNameInput.value.trim()
+    };
+}
+
+// Forget the previous guest's name (kiosk idle reset)
+function clearGuestName() {
+    guestNameInput.value = '';
+    drawPreviewOverlay();
+}
+
+// Turn free text into a file-name-safe slug
+function slugify(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Next value of the per-browser capture counter used by {seq}
+function nextCaptureSequence() {
+    let sequence = 1;
+    try {
+        sequence = (parseInt(localStorage.getItem(SEQUENCE_STORAGE_KEY), 10) || 0) + 1;
+        localStorage.setItem(SEQUENCE_STORAGE_KEY, String(sequence));
+    } catch (error) {
+        // Storage unavailable - numbering restarts on reload
+    }
+    return sequence;
+}
+
+// File name for a result, from the pattern ({event}, {frame}, {date}, {time}, {seq})
+function getPhotoFileName(result) {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const date = result.capturedAt;
+    const values = {
+        event: slugify(getEventName()),
+        frame: result.frameId || 'photo',
+        date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+        time: `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`,
+        seq: pad(result.sequence, 4)
+    };
+
+    const baseName = outputSettings.fileNamePattern
+        .replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match))
+        .replace(/[^\w.-]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'framed-photo';
+    const extension = FILE_EXTENSIONS[result.blob.type] || 'bin';
+    return `${baseName}.${extension}`;
+}
+
+// Merge output settings: defaults, then event.json, then the operator's saved choices
+function loadOutputSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(OUTPUT_SETTINGS_STORAGE_KEY)) || {};
+    } catch (error) {
+        // Ignore unreadable settings
     }
+    outputSettings = Object.assign({}, DEFAULT_OUTPUT_SETTINGS, eventConfig && eventConfig.output, saved);
+    updateSettingsPanel();
+    applyOutputAspect();
+}
+
+function storeOutputSettings() {
+    try {
+        localStorage.setItem(OUTPUT_SETTINGS_STORAGE_KEY, JSON.stringify(outputSettings));
+    } catch (error) {
+        // Storage unavailable - settings last until reload
+    }
+}
+
+// Save the operator's settings from the panel (the aspect is picked with the ⟳ button)
+function saveOutputSettings() {
+    outputSettings = {
+        format: formatSelect.value,
+        quality: parseFloat(qualityInput.value),
+        resolution: resolutionSelect.value,
+        aspect: outputSettings.aspect,
+        fileNamePattern: fileNameInput.value.trim() || DEFAULT_OUTPUT_SETTINGS.fileNamePattern
+    };
+    storeOutputSettings();
+    updateSettingsPanel();
+}
+
+// Reflect the current settings in the panel controls
+function updateSettingsPanel() {
+    formatSelect.value = outputSettings.format;
+    qualityInput.value = outputSettings.quality;
+    qualityValue.textContent = `${Math.round(outputSettings.quality * 100)}%`;
+    // PNG is lossless - quality doesn't apply
+    qualityInput.disabled = outputSettings.format === 'png';
+    resolutionSelect.value = outputSettings.resolution;
+    fileNameInput.value = outputSettings.fileNamePattern;
+}
+
+function openSettings() {
+    updateSettingsPanel();
+    updatePackageSettings();
+    settingsPanel.classList.remove('hidden');
+    emitAppEvent('settingsopen');
+}
+
+function closeSettings() {
+    saveOutputSettings();
+    settingsPanel.classList.add('hidden');
 }
 
 // Retake photo
@@ -476,12 +2089,20 @@ async function retakePhoto() {
         currentPhotoURL = null;
     }
 
+    captureSession = null;
+    currentResult = null;
+    trackEvent('retake');
+
     // Hide result section and show camera view
     resultSection.classList.remove('show');
     cameraView.classList.remove('hidden');
+    scheduleCameraRestart();
+    emitAppEvent('retake');
 
     // Clear the result preview
     resultPreview.src = '';
+    resultVideo.pause();
+    resultVideo.removeAttribute('src');
 
     // No need to restart camera - stream is still active from initial load
     // This makes retakes much faster (no camera boot or asset reload)
@@ -497,6 +2118,8 @@ function showError(customMessage) {
     if (customMessage) {
         const errorText = errorMessage.querySelector('p');
         if (errorText) {
+            // Already translated - a later translateDocument() mustn't put the generic hint back
+            errorText.removeAttribute('data-i18n');
             errorText.textContent = customMessage;
         }
     }
@@ -520,16 +2143,29 @@ function isIOS() {
         (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
 }
 
-// Toggle between portrait and landscape mode
-function toggleOrientation() {
-    isLandscapeMode = !isLandscapeMode;
+// Label of the selected aspect for the ⟳ buttons
+function getOutputAspectLabel() {
+    return outputSettings.aspect === 'auto' ? t('aspect.auto') : FRAME_ASPECTS[getFrameAspect()].label;
+}
 
-    // Update CSS class on preview wrapper
-    if (isLandscapeMode) {
-        previewWrapper.classList.add('landscape');
-    } else {
-        previewWrapper.classList.remove('landscape');
-    }
+// Step through the output aspects (9:16, 16:9, 1:1, 4:5, 3:2, auto)
+function cycleOutputAspect() {
+    const index = OUTPUT_ASPECT_MODES.indexOf(outputSettings.aspect);
+    outputSettings.aspect = OUTPUT_ASPECT_MODES[(index + 1) % OUTPUT_ASPECT_MODES.length];
+    storeOutputSettings();
+    trackEvent('aspect', { aspect: outputSettings.aspect });
+    applyOutputAspect();
+}
+
+// Shape the preview like the output. A new aspect (picked, or a turned device in "auto"
+// mode) also gets a new camera stream, requested with constraints that match it
+function applyOutputAspect() {
+    const aspect = FRAME_ASPECTS[getFrameAspect()];
+    previewWrapper.style.setProperty('--preview-aspect', `${aspect.width} / ${aspect.height}`);
+    orientationBtn.querySelector('.btn-label').textContent = getOutputAspectLabel();
+    orientationBtn.classList.toggle('active', outputSettings.aspect === 'auto');
+
+    scheduleCameraRestart();
 
     // Redraw overlay to fit new dimensions
     setTimeout(() => {
@@ -537,20 +2173,161 @@ function toggleOrientation() {
     }, 100); // Small delay for CSS transition
 }
 
+// ---- Event package ----
+
+function updatePackageSettings() {
+    const isLinked = Boolean(new URLSearchParams(location.search).get(EVENT_PACKAGE_PARAM));
+    if (!eventPackage) {
+        packageStatus.textContent = `Frames from ${EVENT_CONFIG_URL}.`;
+    } else {
+        const frameCount = eventPackage.frames.length === 1 ? '1 frame' : `${eventPackage.frames.length} frames`;
+        packageStatus.textContent = `"${eventPackage.name}" (${frameCount}) from ${isLinked ? 'the page link' : eventPackage.source}.`;
+    }
+    // A ?package= link wins over an import, so there's nothing to remove while it's in use
+    packageRemoveBtn.classList.toggle('hidden', !eventPackage || isLinked);
+}
+
+// Keep a package file (from the frame designer) on this device and restart with its frames
+async function importEventPackage(file) {
+    try {
+        const data = await readEventPackageFile(file);
+        await dbPut('packages', {
+            id: EVENT_PACKAGE_STORE_KEY,
+            fileName: file.name,
+            data,
+            importedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Event package import error:', error);
+        showToast(`Import failed: ${error.message}`);
+        return;
+    }
+    location.reload();
+}
+
+async function removeEventPackage() {
+    if (!window.confirm('Remove the imported event package and go back to the event.json frames?')) return;
+    try {
+        await dbDelete('packages', EVENT_PACKAGE_STORE_KEY);
+    } catch (error) {
+        showToast('Could not remove the event package.');
+        return;
+    }
+    location.reload();
+}
+
 // Event listeners
 snapBtn.addEventListener('click', snapPhoto);
 downloadBtn.addEventListener('click', downloadPhoto);
 document.getElementById('retake-btn').addEventListener('click', retakePhoto);
 document.getElementById('retry-btn').addEventListener('click', retryCamera);
-orientationBtn.addEventListener('click', toggleOrientation);
+orientationBtn.addEventListener('click', cycleOutputAspect);
+flipBtn.addEventListener('click', flipCamera);
+timerBtn.addEventListener('click', cycleCountdown);
+modeBtn.addEventListener('click', cycleCaptureMode);
+settingsBtn.addEventListener('click', openSettings);
+document.getElementById('settings-close-btn').addEventListener('click', closeSettings);
+[formatSelect, qualityInput, resolutionSelect].forEach(control => {
+    control.addEventListener('input', saveOutputSettings);
+});
 
-// Handle orientation change - redraw overlay to fit new dimensions
+// Tap a cell of a multi-shot composite to retake just that photo
+resultPreview.addEventListener('click', (event) => {
+    const index = getResultCellAt(event.clientX, event.clientY);
+    if (index >= 0) {
+        reshootCell(index);
+    }
+});
+cameraSelect.addEventListener('change', () => selectCameraDevice(cameraSelect.value));
+guestNameInput.addEventListener('input', drawPreviewOverlay);
+[chromaEnabledInput, chromaColorInput, chromaToleranceInput, chromaSoftnessInput].forEach(control => {
+    control.addEventListener('input', saveChromaKeySettings);
+});
+document.getElementById('chroma-sample-btn').addEventListener('click', startKeyCalibration);
+document.getElementById('package-import-btn').addEventListener('click', () => packageInput.click());
+packageInput.addEventListener('change', () => {
+    const file = packageInput.files[0];
+    packageInput.value = '';
+    if (file) importEventPackage(file);
+});
+packageRemoveBtn.addEventListener('click', removeEventPackage);
+
+// While calibrating, a tap on the preview samples the backdrop instead of anything else
+previewWrapper.addEventListener('click', (event) => {
+    if (!isCalibratingKey) return;
+    event.preventDefault();
+    event.stopPropagation();
+    finishKeyCalibration(event.clientX, event.clientY);
+}, true);
+
+// Refresh the camera list when cameras are plugged in or removed
+if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+    navigator.mediaDevices.addEventListener('devicechange', refreshCameraList);
+}
+
+// Pinch (or trackpad ctrl+wheel) on the preview to zoom
+let pinchStart = null;
+const getTouchDistance = (touches) => Math.hypot(
+    touches[0].clientX - touches[1].clientX,
+    touches[0].clientY - touches[1].clientY
+);
+previewWrapper.addEventListener('touchstart', (event) => {
+    pinchStart = event.touches.length === 2
+        ? { distance: getTouchDistance(event.touches), zoom: getZoom() }
+        : null;
+}, { passive: true });
+previewWrapper.addEventListener('touchmove', (event) => {
+    if (!pinchStart || event.touches.length !== 2) return;
+    event.preventDefault();
+    setZoom(pinchStart.zoom * getTouchDistance(event.touches) / pinchStart.distance);
+}, { passive: false });
+previewWrapper.addEventListener('touchend', (event) => {
+    if (event.touches.length < 2) pinchStart = null;
+}, { passive: true });
+previewWrapper.addEventListener('wheel', (event) => {
+    if (!event.ctrlKey) return;
+    event.preventDefault();
+    setZoom(getZoom() * Math.exp(-event.deltaY / 200));
+}, { passive: false });
+
+// Tap the preview to focus/expose there (buttons on the preview keep their own taps)
+previewWrapper.addEventListener('click', (event) => {
+    if (event.target.closest('button, select')) return;
+    focusAtPoint(event.clientX, event.clientY);
+});
+torchBtn.addEventListener('click', toggleTorch);
+lowLightBtn.addEventListener('click', cycleLowLightMode);
+
+// Swipe left/right on the preview to change frame
+let swipeStart = null;
+previewWrapper.addEventListener('touchstart', (event) => {
+    const touch = event.touches[0];
+    swipeStart = event.touches.length === 1 ? { x: touch.clientX, y: touch.clientY } : null;
+}, { passive: true });
+previewWrapper.addEventListener('touchend', (event) => {
+    if (!swipeStart) return;
+    const touch = event.changedTouches[0];
+    const dx = touch.clientX - swipeStart.x;
+    const dy = touch.clientY - swipeStart.y;
+    swipeStart = null;
+
+    // Ignore taps and mostly-vertical drags
+    if (Math.abs(dx) < FRAME_SWIPE_THRESHOLD || Math.abs(dx) < Math.abs(dy)) return;
+    // Swipe towards the next chip - the carousel runs right to left in RTL languages
+    const isForward = isRtlLocale(getLocale()) ? dx > 0 : dx < 0;
+    chooseFrame(selectedFrameIndex + (isForward ? 1 : -1));
+}, { passive: true });
+
+// Handle orientation change - redraw overlay to fit new dimensions (in "auto" mode
+// the preview and camera stream follow the screen as well)
 let orientationTimeout;
 function handleOrientationChange() {
     clearTimeout(orientationTimeout);
     orientationTimeout = setTimeout(() => {
-        // Redraw overlay to fit new container dimensions
-        if (overlayImages.logo_rrc || overlayImages.logo_rrc_png) {
+        if (outputSettings.aspect === 'auto') {
+            applyOutputAspect();
+        } else if (activeFrame) {
+            // Redraw overlay to fit new container dimensions
             drawPreviewOverlay();
         }
     }, 300); // Delay to ensure layout has settled
@@ -558,6 +2335,9 @@ function handleOrientationChange() {
 
 window.addEventListener('resize', handleOrientationChange);
 window.addEventListener('orientationchange', handleOrientationChange);
+if (window.screen && screen.orientation && screen.orientation.addEventListener) {
+    screen.orientation.addEventListener('change', handleOrientationChange);
+}
 
 // Also listen for media query changes (with cross-browser support)
 if (window.matchMedia) {
@@ -609,4 +2389,9 @@ window.addEventListener('beforeunload', () => {
 });
 
 // Initialize on page load
-window.addEventListener('load', () => initCamera());
+window.addEventListener('load', () => {
+    registerServiceWorker();
+    ensureEventFrames();
+    initCamera();
+    setInterval(checkSceneBrightness, LOW_LIGHT_CHECK_MS);
+});
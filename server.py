@@ -1,19 +1,352 @@
+"""Local server for the app, and optionally the booth's print station.
+
+    python server.py                      serve the app on http://localhost:8000
+    python server.py --print-queue        also accept print jobs from capture tablets
+
+Tablets send print-ready sheets when "print.queueUrl" in event.json points here (e.g.
+"/print" when they load the app from this server). Without --printer, open the app's
+Print Queue on this laptop and print from the browser; with --printer NAME the server
+prints new jobs itself through CUPS (lp). Cameras need HTTPS away from localhost, so give
+--cert/--key when tablets load the app from this laptop.
+
+    GET    /print/jobs              -> {"jobs": [...], "printer": name or null}
+    POST   /print/jobs              sheet image body (X-Paper, X-Copies, X-File-Name,
+                                    X-Sheet-Size "<w>x<h>" in mm) -> the job
+    GET    /print/jobs/<id>/sheet   the sheet image
+    POST   /print/jobs/<id>         {"copies": n} and/or {"status": "queued"} (reprint) -> the job
+    DELETE /print/jobs/<id>
+"""
+
+import argparse
 import http.server
-import socketserver
+import json
+import os
+import re
+import ssl
+import subprocess
+import threading
+import time
 import webbrowser
+from urllib.parse import unquote, urlparse
 
-PORT = 8000
+MAX_SHEET_BYTES = 30 * 1024 * 1024
+MAX_COPIES = 10
+PRINTER_POLL_SECONDS = 2
+JOB_PATTERN = re.compile(r"^/print/jobs/(\d+)(/sheet)?$")
+SHEET_TYPES = {"image/jpeg": ".jpg", "image/png": ".png"}
+# Outside the app folder, so guests' prints aren't served as static files
+DEFAULT_PRINT_DIR = os.path.join(os.path.expanduser("~"), ".snapframe", "print-jobs")
 
 Handler = http.server.SimpleHTTPRequestHandler
 Handler.extensions_map.update({
     ".js": "application/javascript",
+    ".webmanifest": "application/manifest+json",
 })
 
-with socketserver.TCPServer(("", PORT), Handler) as httpd:
-    print(f"Serving at http://localhost:{PORT}")
-    print("Opening browser...")
-    webbrowser.open(f"http://localhost:{PORT}")
-    try:
-        httpd.serve_forever()
-    except KeyboardInterrupt:
-        print("\nServer stopped.")
+
+class PrintQueue:
+    """Jobs on disk: the sheet image plus a JSON file with copies, paper and status."""
+
+    def __init__(self, directory, printer):
+        self.directory = directory
+        self.printer = printer
+        self.lock = threading.Lock()
+        os.makedirs(directory, exist_ok=True)
+        ids = [int(name[:-5]) for name in os.listdir(directory) if re.match(r"^\d+\.json$", name)]
+        self.next_id = max(ids, default=0) + 1
+        # A job still "printing" was cut off when the station stopped - queue it again
+        for job in self.list():
+            if job["status"] == "printing":
+                self.update(job["id"], {"status": "queued"})
+
+    def _meta_path(self, job_id):
+        return os.path.join(self.directory, f"{job_id}.json")
+
+    def _write(self, job):
+        with open(self._meta_path(job["id"]), "w", encoding="utf-8") as f:
+            json.dump(job, f)
+
+    def get(self, job_id):
+        try:
+            with open(self._meta_path(job_id), encoding="utf-8") as f:
+                return json.load(f)
+        except (OSError, ValueError):
+            return None
+
+    def sheet_path(self, job):
+        return os.path.join(self.directory, job["sheet"])
+
+    def list(self):
+        jobs = [self.get(int(name[:-5])) for name in os.listdir(self.directory)
+                if re.match(r"^\d+\.json$", name)]
+        return sorted((job for job in jobs if job), key=lambda job: job["id"])
+
+    def add(self, data, content_type, file_name, paper, copies, width_mm, height_mm):
+        with self.lock:
+            job_id = self.next_id
+            self.next_id += 1
+            job = {
+                "id": job_id,
+                "createdAt": time.strftime("%Y-%m-%dT%H:%M:%SZ", time.gmtime()),
+                "fileName": file_name,
+                "paper": paper,
+                "copies": copies,
+                "printed": 0,
+                "status": "queued",
+                "widthMm": width_mm,
+                "heightMm": height_mm,
+                "sheet": f"{job_id}{SHEET_TYPES[content_type]}",
+            }
+            with open(self.sheet_path(job), "wb") as f:
+                f.write(data)
+            self._write(job)
+        return job
+
+    def update(self, job_id, changes):
+        with self.lock:
+            job = self.get(job_id)
+            if job:
+                job.update(changes)
+                self._write(job)
+            return job
+
+    def delete(self, job_id):
+        with self.lock:
+            job = self.get(job_id)
+            if not job:
+                return False
+            for path in (self.sheet_path(job), self._meta_path(job_id)):
+                try:
+                    os.remove(path)
+                except OSError:
+                    pass
+            return True
+
+
+def printer_loop(queue):
+    """Send queued jobs to the CUPS printer, one at a time."""
+    while True:
+        for job in queue.list():
+            if job["status"] != "queued":
+                continue
+            queue.update(job["id"], {"status": "printing"})
+            command = ["lp", "-d", queue.printer, "-n", str(job["copies"]),
+                       "-o", f"media=Custom.{job['widthMm']}x{job['heightMm']}mm",
+                       queue.sheet_path(job)]
+            try:
+                subprocess.run(command, check=True, capture_output=True, timeout=60)
+                queue.update(job["id"], {"status": "printed", "printed": job["printed"] + job["copies"]})
+            except (OSError, subprocess.SubprocessError) as error:
+                print(f"Print job {job['id']} failed: {error}")
+                queue.update(job["id"], {"status": "failed", "error": str(error)[:200]})
+        time.sleep(PRINTER_POLL_SECONDS)
+
+
+class StationHandler(Handler):
+    """Serves the app, plus the print queue API under /print/ when it is enabled."""
+    queue = None
+    allow_origin = "*"
+
+    def is_queue_request(self):
+        return self.queue is not None and urlparse(self.path).path.startswith("/print/")
+
+    def is_job_file(self):
+        """Static request for the job folder, when --print-dir points inside the app folder."""
+        if self.queue is None:
+            return False
+        job_dir = os.path.realpath(self.queue.directory)
+        path = os.path.realpath(self.translate_path(self.path))
+        return path == job_dir or path.startswith(job_dir + os.sep)
+
+    def end_headers(self):
+        if self.is_queue_request():
+            self.send_header("Access-Control-Allow-Origin", self.allow_origin)
+            self.send_header("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS")
+            self.send_header("Access-Control-Allow-Headers",
+                             "Content-Type, X-File-Name, X-Paper, X-Copies, X-Sheet-Size")
+            self.send_header("Cache-Control", "no-store")
+        super().end_headers()
+
+    def send_json(self, status, payload):
+        body = json.dumps(payload).encode("utf-8")
+        self.send_response(status)
+        self.send_header("Content-Type", "application/json")
+        self.send_header("Content-Length", str(len(body)))
+        self.end_headers()
+        self.wfile.write(body)
+
+    def read_body(self, limit):
+        try:
+            length = int(self.headers.get("Content-Length", "0"))
+        except ValueError:
+            length = 0
+        if length <= 0 or length > limit:
+            return None
+        return self.rfile.read(length)
+
+    def do_OPTIONS(self):
+        if not self.is_queue_request():
+            self.send_error(405)
+            return
+        self.send_response(204)
+        self.send_header("Access-Control-Max-Age", "600")
+        self.end_headers()
+
+    def do_GET(self):
+        if not self.is_queue_request():
+            if self.is_job_file():
+                self.send_error(404)
+                return
+            super().do_GET()
+            return
+
+        path = urlparse(self.path).path
+        if path == "/print/jobs":
+            self.send_json(200, {"jobs": self.queue.list(), "printer": self.queue.printer})
+            return
+
+        match = JOB_PATTERN.match(path)
+        job = self.queue.get(int(match.group(1))) if match and match.group(2) else None
+        if not job:
+            self.send_json(404, {"error": "Not found"})
+            return
+        with open(self.queue.sheet_path(job), "rb") as f:
+            data = f.read()
+        content_type = next(key for key, ext in SHEET_TYPES.items() if job["sheet"].endswith(ext))
+        self.send_response(200)
+        self.send_header("Content-Type", content_type)
+        self.send_header("Content-Length", str(len(data)))
+        self.end_headers()
+        self.wfile.write(data)
+
+    def do_HEAD(self):
+        if self.is_job_file():
+            self.send_error(404)
+            return
+        super().do_HEAD()
+
+    def do_POST(self):
+        if not self.is_queue_request():
+            self.send_error(405)
+            return
+
+        path = urlparse(self.path).path
+        if path == "/print/jobs":
+            self.add_job()
+            return
+
+        match = JOB_PATTERN.match(path)
+        if not match or match.group(2):
+            self.send_json(404, {"error": "Not found"})
+            return
+        try:
+            changes = json.loads(self.read_body(64 * 1024) or b"")
+        except ValueError:
+            changes = None
+        if not isinstance(changes, dict):
+            self.send_json(400, {"error": "Expected a JSON object"})
+            return
+
+        allowed = {}
+        if "copies" in changes:
+            try:
+                allowed["copies"] = min(max(int(changes["copies"]), 1), MAX_COPIES)
+            except (TypeError, ValueError):
+                self.send_json(400, {"error": "copies must be a number"})
+                return
+        if changes.get("status") in ("queued", "printed"):
+            allowed["status"] = changes["status"]
+            allowed["error"] = None
+        if "printed" in changes:
+            printed = changes["printed"]
+            if not isinstance(printed, int) or isinstance(printed, bool) or printed < 0:
+                self.send_json(400, {"error": "printed must be a whole number of 0 or more"})
+                return
+            allowed["printed"] = printed
+
+        job = self.queue.update(int(match.group(1)), allowed)
+        if job:
+            self.send_json(200, job)
+        else:
+            self.send_json(404, {"error": "Not found"})
+
+    def add_job(self):
+        content_type = self.headers.get("Content-Type", "").split(";")[0].strip()
+        if content_type not in SHEET_TYPES:
+            self.send_json(415, {"error": "Sheets must be JPEG or PNG"})
+            return
+        size = re.match(r"^(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)$", self.headers.get("X-Sheet-Size", ""))
+        if not size or float(size.group(1)) <= 0 or float(size.group(2)) <= 0:
+            self.send_json(400, {"error": "X-Sheet-Size must be <width>x<height> in mm"})
+            return
+        data = self.read_body(MAX_SHEET_BYTES)
+        if data is None:
+            self.send_json(413, {"error": "Sheet is empty or too large"})
+            return
+
+        try:
+            copies = min(max(int(self.headers.get("X-Copies", "1")), 1), MAX_COPIES)
+        except ValueError:
+            copies = 1
+        file_name = os.path.basename(unquote(self.headers.get("X-File-Name", ""))) or "print.jpg"
+        paper = re.sub(r"[^\w-]", "", self.headers.get("X-Paper", ""))[:20]
+        job = self.queue.add(data, content_type, file_name, paper, copies,
+                             float(size.group(1)), float(size.group(2)))
+        print(f"Print job {job['id']}: {file_name}, {copies} copies")
+        self.send_json(201, job)
+
+    def do_DELETE(self):
+        match = JOB_PATTERN.match(urlparse(self.path).path) if self.is_queue_request() else None
+        if not match or match.group(2):
+            self.send_error(405)
+            return
+        if self.queue.delete(int(match.group(1))):
+            self.send_response(204)
+            self.end_headers()
+        else:
+            self.send_json(404, {"error": "Not found"})
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Snap & Frame local server / print station")
+    parser.add_argument("--port", type=int, default=8000)
+    parser.add_argument("--print-queue", action="store_true", help="accept print jobs under /print/")
+    parser.add_argument("--print-dir", default=DEFAULT_PRINT_DIR,
+                        help=f"where print jobs are stored (default {DEFAULT_PRINT_DIR})")
+    parser.add_argument("--printer", help="CUPS printer to print jobs to (default: print from the app)")
+    parser.add_argument("--allow-origin", default="*", help="origin allowed to send print jobs (CORS)")
+    parser.add_argument("--cert", help="TLS certificate (PEM) to serve over HTTPS")
+    parser.add_argument("--key", help="TLS private key (PEM)")
+    parser.add_argument("--no-browser", action="store_true", help="don't open a browser")
+    args = parser.parse_args()
+
+    if args.print_queue:
+        StationHandler.queue = PrintQueue(args.print_dir, args.printer)
+        StationHandler.allow_origin = args.allow_origin
+        if args.printer:
+            threading.Thread(target=printer_loop, args=(StationHandler.queue,), daemon=True).start()
+
+    with http.server.ThreadingHTTPServer(("", args.port), StationHandler) as httpd:
+        scheme = "http"
+        if args.cert:
+            context = ssl.SSLContext(ssl.PROTOCOL_TLS_SERVER)
+            context.load_cert_chain(args.cert, args.key)
+            httpd.socket = context.wrap_socket(httpd.socket, server_side=True)
+            scheme = "https"
+
+        url = f"{scheme}://localhost:{args.port}"
+        print(f"Serving at {url}")
+        if args.print_queue:
+            target = f"printer {args.printer}" if args.printer else "the app's Print Queue"
+            print(f"Print queue: {url}/print/jobs (printing via {target})")
+        if not args.no_browser:
+            print("Opening browser...")
+            webbrowser.open(url)
+        try:
+            httpd.serve_forever()
+        except KeyboardInterrupt:
+            print("\nServer stopped.")
+
+
+if __name__ == "__main__":
+    main()
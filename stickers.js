@@ -0,0 +1,382 @@
+// Sticker editor - guests decorate their photo on the result screen
+// The sticker pack comes from "stickers" in event.json (paths relative to event.json).
+// Stickers are dragged, pinch-scaled and rotated over a preview of the composite; Done
+// stores them on the capture session and re-renders the photo at full output resolution
+// (composeCapture in script.js), so the result goes through the normal share/download flow.
+
+// Default sticker width in reference px (short side of the output = 1080)
+const STICKER_DEFAULT_WIDTH = 360;
+const STICKER_MIN_WIDTH = 40; // Output px
+const STICKER_MAX_SCALE = 3; // Largest sticker width, relative to the output's short side
+
+const stickerBtn = document.getElementById('sticker-btn');
+const stickerEditor = document.getElementById('sticker-editor');
+const stickerStage = document.getElementById('sticker-stage');
+const stickerBase = document.getElementById('sticker-base');
+const stickerTray = document.getElementById('sticker-tray');
+const stickerUndoBtn = document.getElementById('sticker-undo-btn');
+const stickerDeleteBtn = document.getElementById('sticker-delete-btn');
+const stickerDoneBtn = document.getElementById('sticker-done-btn');
+
+let stickerPack = []; // Stickers offered in the tray: { id, name, src, width }
+let stickerImagesPromise = null; // Sticker id -> image, loaded when the editor first opens
+let placedStickers = []; // Stickers on the photo being edited, in output px
+let selectedSticker = null;
+let stickerUndoStack = [];
+const stickerPointers = new Map(); // Pointer id -> latest position, while touching the stage
+let stickerGesture = null; // Sticker state and pointer positions when the gesture started
+let stickerGestureUndo = null; // Stickers before the current gesture, for its undo step
+let hasStickerGestureMoved = false;
+let stickerWheelTimer = null; // Groups wheel zooming into a single undo step
+
+// Read the event's sticker pack; invalid entries are skipped
+function loadStickerPack(eventConfig) {
+    const baseUrl = new URL(EVENT_CONFIG_URL, location.href).href;
+    const stickers = (eventConfig && Array.isArray(eventConfig.stickers)) ? eventConfig.stickers : [];
+
+    stickerPack = [];
+    stickerImagesPromise = null;
+    stickers.forEach(raw => {
+        if (!raw || typeof raw.id !== 'string' || typeof raw.src !== 'string') {
+            console.warn('Skipping invalid sticker (needs "id" and "src"):', raw && raw.id);
+            return;
+        }
+        stickerPack.push({
+            id: raw.id,
+            name: raw.name || raw.id,
+            src: new URL(raw.src, baseUrl).href,
+            width: Number(raw.width) > 0 ? Number(raw.width) : STICKER_DEFAULT_WIDTH
+        });
+    });
+}
+
+// Load every sticker image once; stickers that fail to load are left out of the tray
+function getStickerImages() {
+    if (!stickerImagesPromise) {
+        stickerImagesPromise = Promise.all(stickerPack.map(async (sticker) => {
+            const image = await loadFrameImage(sticker.src);
+            if (!image) console.warn(`Failed to load sticker ${sticker.id}:`, sticker.src);
+            return [sticker.id, image];
+        })).then(entries => Object.fromEntries(entries.filter(([, image]) => image)));
+    }
+    return stickerImagesPromise;
+}
+
+// Stickers can only be added to photos that still have their capture session
+function updateStickerButton(result) {
+    const canEdit = stickerPack.length > 0 && Boolean(captureSession)
+        && Boolean(result) && !result.blob.type.startsWith('video/');
+    stickerBtn.classList.toggle('hidden', !canEdit);
+}
+
+async function openStickerEditor() {
+    const session = captureSession;
+    if (!session) return;
+
+    // Editing happens over the composite without stickers; placed ones stay editable
+    const base = composeCapture(Object.assign({}, session, { stickers: [] }));
+    stickerBase.width = base.width;
+    stickerBase.height = base.height;
+    stickerBase.getContext('2d').drawImage(base, 0, 0);
+    stickerStage.style.setProperty('--stage-aspect', String(session.width / session.height));
+
+    placedStickers = session.stickers.map(sticker => Object.assign({}, sticker));
+    selectedSticker = null;
+    stickerUndoStack = [];
+    renderPlacedStickers();
+
+    resultSection.classList.add('editing');
+    stickerEditor.classList.remove('hidden');
+
+    const images = await getStickerImages();
+    renderStickerTray(images);
+}
+
+function closeStickerEditor() {
+    resultSection.classList.remove('editing');
+    stickerEditor.classList.add('hidden');
+    stickerPointers.clear();
+    stickerGesture = null;
+    stickerGestureUndo = null;
+    placedStickers = [];
+    selectedSticker = null;
+    stickerUndoStack = [];
+}
+
+// Keep the stickers on the session and re-render the photo at full resolution
+async function saveStickers() {
+    const session = captureSession;
+    if (!session) return;
+
+    stickerDoneBtn.disabled = true;
+    try {
+        session.stickers = snapshotStickers();
+        closeStickerEditor();
+        await showCaptureResult(session);
+    } catch (error) {
+        console.error('Sticker save error:', error);
+        showToast(t('stickers.saveFailed'));
+    } finally {
+        stickerDoneBtn.disabled = false;
+    }
+}
+
+// One button per sticker of the pack
+function renderStickerTray(images) {
+    stickerTray.replaceChildren(...stickerPack.filter(sticker => images[sticker.id]).map(sticker => {
+        const button = document.createElement('button');
+        button.className = 'sticker-chip';
+        button.title = sticker.name;
+        button.setAttribute('aria-label', t('stickers.add', { name: sticker.name }));
+        const thumb = document.createElement('img');
+        thumb.src = sticker.src;
+        thumb.alt = '';
+        button.appendChild(thumb);
+        button.addEventListener('click', () => addSticker(sticker, images[sticker.id]));
+        return button;
+    }));
+}
+
+// Drop a new sticker in the middle of the photo
+function addSticker(sticker, image) {
+    const session = captureSession;
+    if (!session) return;
+
+    pushStickerUndo();
+    const scale = Math.min(session.width, session.height) / FRAME_REFERENCE_SIZE;
+    const width = sticker.width * scale;
+    const placed = {
+        id: sticker.id,
+        image,
+        x: session.width / 2,
+        y: session.height / 2,
+        width,
+        height: width * image.naturalHeight / image.naturalWidth,
+        rotation: 0
+    };
+    placedStickers.push(placed);
+    renderPlacedStickers();
+    selectSticker(placed);
+}
+
+// ---- Rendering ----
+
+function renderPlacedStickers() {
+    stickerStage.querySelectorAll('.sticker-item').forEach(element => element.remove());
+    placedStickers.forEach(sticker => {
+        const element = document.createElement('img');
+        element.className = 'sticker-item';
+        element.src = sticker.image.src;
+        element.alt = '';
+        element.draggable = false;
+        sticker.element = element;
+        positionSticker(sticker);
+        stickerStage.appendChild(element);
+    });
+    selectSticker(placedStickers.includes(selectedSticker) ? selectedSticker : null);
+}
+
+// Position a sticker's element as a percentage of the stage, so it follows any stage size
+function positionSticker(sticker) {
+    const session = captureSession;
+    const style = sticker.element.style;
+    style.left = `${(sticker.x / session.width) * 100}%`;
+    style.top = `${(sticker.y / session.height) * 100}%`;
+    style.width = `${(sticker.width / session.width) * 100}%`;
+    style.transform = `translate(-50%, -50%) rotate(${sticker.rotation}rad)`;
+}
+
+function selectSticker(sticker) {
+    selectedSticker = sticker;
+    placedStickers.forEach(placed => {
+        placed.element.classList.toggle('selected', placed === sticker);
+    });
+    // The selected sticker goes on top
+    if (sticker) {
+        placedStickers.splice(placedStickers.indexOf(sticker), 1);
+        placedStickers.push(sticker);
+        stickerStage.appendChild(sticker.element);
+    }
+    updateStickerActions();
+}
+
+function updateStickerActions() {
+    stickerUndoBtn.disabled = stickerUndoStack.length === 0;
+    stickerDeleteBtn.disabled = !selectedSticker;
+}
+
+// ---- Undo / delete ----
+
+// Copy of the placed stickers without their elements
+function snapshotStickers() {
+    return placedStickers.map(({ element, ...sticker }) => sticker);
+}
+
+function pushStickerUndo() {
+    stickerUndoStack.push(snapshotStickers());
+    updateStickerActions();
+}
+
+function undoSticker() {
+    if (stickerUndoStack.length === 0) return;
+    placedStickers = stickerUndoStack.pop();
+    selectedSticker = null;
+    renderPlacedStickers();
+}
+
+function deleteSelectedSticker() {
+    if (!selectedSticker) return;
+    pushStickerUndo();
+    placedStickers.splice(placedStickers.indexOf(selectedSticker), 1);
+    selectedSticker.element.remove();
+    selectSticker(null);
+}
+
+// ---- Gestures ----
+
+// Output px per screen px of the stage
+function getStageScale() {
+    return captureSession.width / stickerStage.getBoundingClientRect().width;
+}
+
+// Clamp a sticker's size and keep its centre on the photo
+function constrainSticker(sticker, width) {
+    const session = captureSession;
+    const maxWidth = Math.min(session.width, session.height) * STICKER_MAX_SCALE;
+    const clamped = Math.min(Math.max(width, STICKER_MIN_WIDTH), maxWidth);
+    sticker.height *= clamped / sticker.width;
+    sticker.width = clamped;
+    sticker.x = Math.min(Math.max(sticker.x, 0), session.width);
+    sticker.y = Math.min(Math.max(sticker.y, 0), session.height);
+}
+
+// (Re)start a gesture from the current pointers - lifting one finger of a pinch keeps dragging
+function beginStickerGesture() {
+    if (!selectedSticker || stickerPointers.size === 0) {
+        stickerGesture = null;
+        return;
+    }
+    const { x, y, width, rotation } = selectedSticker;
+    stickerGesture = {
+        sticker: { x, y, width, rotation },
+        pointers: [...stickerPointers.values()].slice(0, 2)
+    };
+}
+
+function moveSticker() {
+    const gesture = stickerGesture;
+    const sticker = selectedSticker;
+    if (!gesture || !sticker) return;
+
+    const current = [...stickerPointers.values()].slice(0, 2);
+    const scale = getStageScale();
+    const start = gesture.sticker;
+
+    if (current.length === 1) {
+        sticker.x = start.x + (current[0].x - gesture.pointers[0].x) * scale;
+        sticker.y = start.y + (current[0].y - gesture.pointers[0].y) * scale;
+        constrainSticker(sticker, sticker.width);
+    } else {
+        // Two fingers: the midpoint drags, the distance scales, the angle rotates
+        const [a0, b0] = gesture.pointers;
+        const [a1, b1] = current;
+        const distance0 = Math.hypot(b0.x - a0.x, b0.y - a0.y) || 1;
+        const distance1 = Math.hypot(b1.x - a1.x, b1.y - a1.y);
+        sticker.x = start.x + ((a1.x + b1.x) - (a0.x + b0.x)) / 2 * scale;
+        sticker.y = start.y + ((a1.y + b1.y) - (a0.y + b0.y)) / 2 * scale;
+        sticker.rotation = start.rotation
+            + Math.atan2(b1.y - a1.y, b1.x - a1.x) - Math.atan2(b0.y - a0.y, b0.x - a0.x);
+        constrainSticker(sticker, start.width * distance1 / distance0);
+    }
+    hasStickerGestureMoved = true;
+    positionSticker(sticker);
+}
+
+function handleStickerPointerDown(event) {
+    // A first touch picks the sticker under it (or clears the selection)
+    if (stickerPointers.size === 0) {
+        const element = event.target.closest('.sticker-item');
+        selectSticker(placedStickers.find(sticker => sticker.element === element) || null);
+    }
+    if (!selectedSticker) return;
+
+    event.preventDefault();
+    stickerStage.setPointerCapture(event.pointerId);
+    if (stickerPointers.size === 0) {
+        // Undo goes back to before the whole gesture, however many fingers it used
+        stickerGestureUndo = snapshotStickers();
+        hasStickerGestureMoved = false;
+    }
+    stickerPointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    beginStickerGesture();
+}
+
+function handleStickerPointerMove(event) {
+    if (!stickerPointers.has(event.pointerId)) return;
+    stickerPointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    moveSticker();
+}
+
+function handleStickerPointerUp(event) {
+    if (!stickerPointers.delete(event.pointerId)) return;
+
+    if (stickerPointers.size > 0) {
+        beginStickerGesture();
+        return;
+    }
+
+    // Only gestures that moved something get an undo step (a plain tap just selects)
+    if (hasStickerGestureMoved && stickerGestureUndo) {
+        stickerUndoStack.push(stickerGestureUndo);
+        updateStickerActions();
+    }
+    stickerGesture = null;
+    stickerGestureUndo = null;
+}
+
+// Desktop: wheel scales the selected sticker, shift + wheel rotates it
+function handleStickerWheel(event) {
+    if (!selectedSticker) return;
+    event.preventDefault();
+
+    if (!stickerWheelTimer) pushStickerUndo();
+    clearTimeout(stickerWheelTimer);
+    stickerWheelTimer = setTimeout(() => { stickerWheelTimer = null; }, 400);
+
+    if (event.shiftKey) {
+        selectedSticker.rotation += event.deltaY / 500;
+    } else {
+        constrainSticker(selectedSticker, selectedSticker.width * Math.exp(-event.deltaY / 300));
+    }
+    positionSticker(selectedSticker);
+}
+
+// Event listeners
+document.addEventListener('snapframe:configloaded', event => loadStickerPack(event.detail.eventConfig));
+document.addEventListener('snapframe:result', event => updateStickerButton(event.detail));
+document.addEventListener('snapframe:retake', () => {
+    closeStickerEditor();
+    stickerBtn.classList.add('hidden');
+});
+
+stickerBtn.addEventListener('click', openStickerEditor);
+stickerUndoBtn.addEventListener('click', undoSticker);
+stickerDeleteBtn.addEventListener('click', deleteSelectedSticker);
+stickerDoneBtn.addEventListener('click', saveStickers);
+document.getElementById('sticker-cancel-btn').addEventListener('click', closeStickerEditor);
+
+stickerStage.addEventListener('pointerdown', handleStickerPointerDown);
+stickerStage.addEventListener('pointermove', handleStickerPointerMove);
+stickerStage.addEventListener('pointerup', handleStickerPointerUp);
+stickerStage.addEventListener('pointercancel', handleStickerPointerUp);
+stickerStage.addEventListener('wheel', handleStickerWheel, { passive: false });
+
+document.addEventListener('keydown', (event) => {
+    if (stickerEditor.classList.contains('hidden')) return;
+    if (event.key === 'Delete' || event.key === 'Backspace') {
+        deleteSelectedSticker();
+    } else if (event.key === 'z' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        undoSticker();
+    }
+});
@@ -0,0 +1,160 @@
+// Service worker - precaches the app shell and every frame asset so the booth works offline
+// CACHE_VERSION is replaced with a build id by build.sh / build.bat, so each deploy gets
+// a fresh cache and old ones are deleted on activation.
+const CACHE_VERSION = 'dev';
+const CACHE_PREFIX = 'snapframe-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Unbuilt development copies always try the network first so edits show up on reload
+const NETWORK_FIRST = CACHE_VERSION === 'dev';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'i18n.js',
+    'frame-renderer.js',
+    'metadata.js',
+    'qr.js',
+    'filters.js',
+    'lowlight.js',
+    'db.js',
+    'event-package.js',
+    'zip.js',
+    'script.js',
+    'kiosk.js',
+    'handoff.js',
+    'stickers.js',
+    'upload.js',
+    'print.js',
+    'remote.js',
+    'analytics.js',
+    'debug.js',
+    'diagnostics.js',
+    'render-worker.js',
+    'controller.html',
+    'controller.js',
+    'designer.html',
+    'designer.js',
+    'event.json',
+    'locales/en.json',
+    'locales/de.json',
+    'locales/es.json',
+    'locales/fr.json',
+    'locales/ar.json',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// Every asset referenced by the event's frame templates, filters and stickers, resolved like the page does
+async function getFrameAssetUrls() {
+    const eventUrl = new URL('event.json', self.registration.scope).href;
+    const eventConfig = await (await fetch(eventUrl, { cache: 'no-cache' })).json();
+    const templateUrls = (eventConfig.frames || []).map(path => new URL(path, eventUrl).href);
+
+    // LUT files of the event's colour filters and its sticker pack
+    const assetUrls = [...templateUrls, ...(eventConfig.filters || [])
+        .filter(filter => filter.lut)
+        .map(filter => new URL(filter.lut, eventUrl).href), ...(eventConfig.stickers || [])
+        .filter(sticker => sticker.src)
+        .map(sticker => new URL(sticker.src, eventUrl).href)];
+    await Promise.all(templateUrls.map(async (templateUrl) => {
+        try {
+            const template = await (await fetch(templateUrl, { cache: 'no-cache' })).json();
+            // Per-locale texts and assets ("locales") are cached for every language
+            const withLocales = item => [item, ...Object.values(item.locales || {})];
+            const backgrounds = withLocales(template).map(item => (typeof item.background === 'string'
+                ? { src: item.background }
+                : (item.background || {})));
+            (template.layers || []).flatMap(withLocales).concat(backgrounds).forEach(layer => {
+                [layer.src, layer.fallbackSrc, layer.fontSrc].filter(Boolean).forEach(path => {
+                    assetUrls.push(new URL(path, templateUrl).href);
+                });
+            });
+        } catch (error) {
+            console.warn('Service worker: failed to read frame template', templateUrl);
+        }
+    }));
+
+    return [...new Set(assetUrls)];
+}
+
+// Cache URLs one by one so a single missing asset doesn't fail the whole install
+async function cacheEach(cache, urls) {
+    await Promise.all(urls.map(async (url) => {
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (response.ok) {
+                await cache.put(url, response);
+            }
+        } catch (error) {
+            console.warn('Service worker: failed to precache', url);
+        }
+    }));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+        await cacheEach(cache, await getFrameAssetUrls());
+    })());
+    // Don't skipWaiting here - the page asks the guest/operator before switching versions
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+// The update prompt in the page posts this when the operator accepts the new version
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Network response, stored in the cache for next time
+async function fetchAndCache(request) {
+    const response = await fetch(request);
+    if (response.ok && response.type === 'basic') {
+        const cache = await caches.open(CACHE_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Only same-origin GETs are cached (uploads, camera streams etc. pass straight through)
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    // The print station's job list (server.py --print-queue) is live data
+    if (url.pathname.startsWith('/print/')) return;
+
+    event.respondWith((async () => {
+        // Page navigations with query strings (?kiosk=1, the controller's ?room= etc.) share
+        // the cached page without them
+        const cacheKey = request.mode === 'navigate' ? url.origin + url.pathname : request;
+
+        if (NETWORK_FIRST) {
+            try {
+                return await fetchAndCache(request);
+            } catch (error) {
+                const cached = await caches.match(cacheKey);
+                if (cached) return cached;
+                throw error;
+            }
+        }
+
+        const cached = await caches.match(cacheKey);
+        return cached || fetchAndCache(request);
+    })());
+});
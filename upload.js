@@ -0,0 +1,383 @@
+// Photo upload - frame existing photos when the camera is unavailable (or by choice)
+// Guests pick one or more images, pan/zoom each inside the 9:16 or 16:9 frame, and the
+// photos are composited exactly like a capture (composeCapture in script.js). A single
+// photo goes to the result screen; a batch is shared or downloaded as a ZIP.
+
+const UPLOAD_MAX_FILES = 10; // Decoded photos are held in memory while framing
+const UPLOAD_ZOOM_MAX = 5;
+
+const uploadInput = document.getElementById('upload-input');
+const uploadEditor = document.getElementById('upload-editor');
+const uploadCanvas = document.getElementById('upload-canvas');
+const uploadCounter = document.getElementById('upload-counter');
+const uploadFrameName = document.getElementById('upload-frame-name');
+const uploadPrevBtn = document.getElementById('upload-prev-btn');
+const uploadNextBtn = document.getElementById('upload-next-btn');
+const uploadDoneBtn = document.getElementById('upload-done-btn');
+const uploadAspectBtn = document.getElementById('upload-aspect-btn');
+
+let uploadedPhotos = []; // { source, width, height, zoom, centerX, centerY } - centre in 0..1 of the photo
+let uploadIndex = 0; // Photo shown in the editor
+const uploadPointers = new Map(); // Pointer id -> latest position, while touching the photo
+let uploadGesture = null; // Photo state and pointer positions when the gesture started
+let isFramingUploads = false;
+
+// Decode an image file upright: createImageBitmap applies the EXIF orientation, older
+// browsers fall back to <img>, which does the same in current engines
+async function decodeUploadedPhoto(file) {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return await createImageBitmap(file, { imageOrientation: 'from-image' });
+        } catch (error) {
+            // Options unsupported or not decodable as a bitmap - try <img>
+        }
+    }
+
+    const url = URL.createObjectURL(file);
+    try {
+        const img = await loadFrameImage(url);
+        if (!img) {
+            throw new Error(`Unsupported image: ${file.name}`);
+        }
+        return img;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Decode the chosen files and open the editor
+async function openUploadEditor(fileList) {
+    const files = Array.from(fileList).filter(file => file.type.startsWith('image/') || !file.type);
+    if (files.length === 0) return;
+    if (files.length > UPLOAD_MAX_FILES) {
+        showToast(t('upload.tooMany', { count: UPLOAD_MAX_FILES }), 'info', 3000);
+    }
+
+    const results = await Promise.allSettled(files.slice(0, UPLOAD_MAX_FILES).map(decodeUploadedPhoto));
+    closeUploadEditor();
+    results.forEach((result, index) => {
+        if (result.status !== 'fulfilled') {
+            console.warn('Failed to read photo:', files[index].name);
+            return;
+        }
+        const source = result.value;
+        uploadedPhotos.push({
+            source,
+            width: source.naturalWidth || source.width,
+            height: source.naturalHeight || source.height,
+            zoom: 1,
+            centerX: 0.5,
+            centerY: 0.5
+        });
+    });
+
+    if (uploadedPhotos.length === 0) {
+        showToast(t('upload.openFailed'));
+        return;
+    }
+    if (uploadedPhotos.length < files.length && files.length <= UPLOAD_MAX_FILES) {
+        showToast(t('upload.someSkipped'), 'info', 3000);
+    }
+
+    // Frames load with the camera - make sure they're there when the camera failed
+    await ensureEventFrames();
+    uploadIndex = 0;
+    uploadEditor.classList.remove('hidden');
+    updateUploadEditor();
+}
+
+function closeUploadEditor() {
+    uploadEditor.classList.add('hidden');
+    uploadPointers.clear();
+    uploadGesture = null;
+    uploadedPhotos.forEach(photo => {
+        if (photo.source.close) photo.source.close();
+    });
+    uploadedPhotos = [];
+}
+
+// ---- Framing ----
+
+// Part of the photo inside the frame: the cover crop, narrowed by zoom around the chosen centre
+function getUploadCrop(photo, targetAspect) {
+    const cover = getCoverCrop(photo.width, photo.height, targetAspect);
+    const width = cover.width / photo.zoom;
+    const height = cover.height / photo.zoom;
+    const x = Math.min(Math.max(photo.centerX * photo.width - width / 2, 0), photo.width - width);
+    const y = Math.min(Math.max(photo.centerY * photo.height - height / 2, 0), photo.height - height);
+    return { x, y, width, height };
+}
+
+// Keep the centre where the crop actually is, so panning past an edge doesn't build up
+function clampUploadCenter(photo, targetAspect) {
+    const crop = getUploadCrop(photo, targetAspect);
+    photo.centerX = (crop.x + crop.width / 2) / photo.width;
+    photo.centerY = (crop.y + crop.height / 2) / photo.height;
+}
+
+// Draw the framed part of a photo, through the active colour filter like a capture
+function drawUploadedPhoto(ctx, photo, width, height) {
+    const crop = getUploadCrop(photo, width / height);
+    const renderer = isFilterActive(activeFilter) ? getExportFilterRenderer() : null;
+    if (renderer) {
+        const filtered = renderer.render(photo.source, crop, Math.round(width), Math.round(height), {
+            filter: activeFilter,
+            lut: activeFilterLut,
+            mirror: false,
+            chromaKey: null
+        });
+        ctx.drawImage(filtered, 0, 0, width, height);
+        return;
+    }
+    ctx.drawImage(photo.source, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+}
+
+// Redraw the editor: the photo with the selected frame on top
+function renderUploadPreview() {
+    const photo = uploadedPhotos[uploadIndex];
+    if (!photo) return;
+
+    const { width: outputWidth, height: outputHeight } = getOutputSize(1);
+    uploadCanvas.style.setProperty('--stage-aspect', String(outputWidth / outputHeight));
+    const rect = uploadCanvas.getBoundingClientRect();
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
+    uploadCanvas.width = Math.round(rect.width * pixelRatio) || outputWidth / 4;
+    uploadCanvas.height = Math.round(uploadCanvas.width * outputHeight / outputWidth);
+
+    const ctx = uploadCanvas.getContext('2d');
+    const aspect = getFrameAspect();
+    const { width, height } = uploadCanvas;
+    drawUploadedPhoto(ctx, photo, width, height);
+    drawFrameOverlay(ctx, getFrameOverlay(activeFrame, frameImages, width, height, aspect),
+        width, height, aspect, getFrameTextValues());
+}
+
+function updateUploadEditor() {
+    const count = uploadedPhotos.length;
+    uploadCounter.textContent = count > 1 ? t('upload.counter', { index: uploadIndex + 1, count }) : '';
+    uploadPrevBtn.disabled = uploadIndex === 0;
+    uploadNextBtn.disabled = uploadIndex >= count - 1;
+    uploadPrevBtn.classList.toggle('hidden', count < 2);
+    uploadNextBtn.classList.toggle('hidden', count < 2);
+    uploadDoneBtn.textContent = t('upload.done', { count });
+
+    const template = frameTemplates[selectedFrameIndex];
+    uploadFrameName.textContent = template ? template.name : t('upload.noFrame');
+    uploadAspectBtn.textContent = getOutputAspectLabel();
+    renderUploadPreview();
+}
+
+function showUploadedPhoto(index) {
+    uploadIndex = Math.min(Math.max(index, 0), uploadedPhotos.length - 1);
+    uploadGesture = null;
+    uploadPointers.clear();
+    updateUploadEditor();
+}
+
+// Step through the event's frames without the camera screen's carousel
+async function cycleUploadFrame(step) {
+    if (frameTemplates.length === 0) return;
+    await chooseFrame((selectedFrameIndex + step + frameTemplates.length) % frameTemplates.length);
+    updateUploadEditor();
+}
+
+function cycleUploadAspect() {
+    cycleOutputAspect();
+    const { width, height } = getOutputSize(1);
+    uploadedPhotos.forEach(photo => clampUploadCenter(photo, width / height));
+    updateUploadEditor();
+}
+
+// Composite one photo at full output resolution, like snapPhoto() does for a single shot
+async function composeUploadedPhoto(photo, frame) {
+    const aspect = getFrameAspect();
+    const { width, height } = getOutputSize();
+    const cells = getFrameCells(frame.template, 'single', width, height, aspect);
+
+    const shot = document.createElement('canvas');
+    shot.width = cells[0].width;
+    shot.height = cells[0].height;
+    drawUploadedPhoto(shot.getContext('2d'), photo, shot.width, shot.height);
+
+    return {
+        frame, aspect, width, height, cells, shots: [shot],
+        textValues: getFrameTextValues(),
+        stickers: [],
+        sequence: nextCaptureSequence()
+    };
+}
+
+// Frame every photo; one goes to the result screen, several are shared/downloaded together
+async function frameUploadedPhotos() {
+    if (isFramingUploads || uploadedPhotos.length === 0) return;
+
+    isFramingUploads = true;
+    uploadDoneBtn.disabled = true;
+    try {
+        const frame = await getCaptureFrame();
+        trackEvent('upload', { count: uploadedPhotos.length, frameId: frame.template ? frame.template.id : null });
+
+        if (uploadedPhotos.length === 1) {
+            captureSession = await composeUploadedPhoto(uploadedPhotos[0], frame);
+            closeUploadEditor();
+            await showCaptureResult(captureSession);
+            return;
+        }
+
+        const files = [];
+        for (const photo of uploadedPhotos) {
+            const session = await composeUploadedPhoto(photo, frame);
+            const capturedAt = new Date();
+            const frameId = frame.template ? frame.template.id : null;
+            const { blob } = await renderCapture(session, {
+                event: getEventName(),
+                frameId,
+                captureTime: capturedAt
+            });
+            const fileName = getPhotoFileName({ blob, frameId, capturedAt, sequence: session.sequence });
+            files.push(new File([blob], fileName, { type: blob.type, lastModified: capturedAt.getTime() }));
+        }
+        closeUploadEditor();
+        await saveFramedPhotos(files);
+    } catch (error) {
+        console.error('Upload framing error:', error);
+        showToast(t('upload.frameFailed'));
+    } finally {
+        isFramingUploads = false;
+        uploadDoneBtn.disabled = false;
+    }
+}
+
+// Share a batch where the Web Share API allows it, otherwise download a ZIP
+async function saveFramedPhotos(files) {
+    if (navigator.share && navigator.canShare && navigator.canShare({ files })) {
+        try {
+            await navigator.share({ files, title: t('share.photosTitle'), text: t('share.photosText') });
+            return;
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            // Sharing needs a recent tap - framing a large batch can outlast it
+            console.log('Share failed, falling back:', error);
+        }
+    }
+
+    const zip = await createZipBlob(files.map(file => ({
+        name: file.name,
+        blob: file,
+        date: new Date(file.lastModified)
+    })));
+    const link = document.createElement('a');
+    link.download = `${slugify(getEventName()) || 'snapframe'}-photos.zip`;
+    link.href = URL.createObjectURL(zip);
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    showToast(t('upload.downloaded', { count: files.length }), 'success', 2000);
+}
+
+// ---- Gestures ----
+
+function beginUploadGesture() {
+    const photo = uploadedPhotos[uploadIndex];
+    if (!photo || uploadPointers.size === 0) {
+        uploadGesture = null;
+        return;
+    }
+    uploadGesture = {
+        photo: { zoom: photo.zoom, centerX: photo.centerX, centerY: photo.centerY },
+        pointers: [...uploadPointers.values()].slice(0, 2)
+    };
+}
+
+// Drag pans, two fingers pinch-zoom (and pan with their midpoint)
+function moveUploadedPhoto() {
+    const photo = uploadedPhotos[uploadIndex];
+    const gesture = uploadGesture;
+    if (!photo || !gesture) return;
+
+    const rect = uploadCanvas.getBoundingClientRect();
+    const aspect = rect.width / rect.height;
+    const current = [...uploadPointers.values()].slice(0, 2);
+    const start = gesture.photo;
+
+    let dx = current[0].x - gesture.pointers[0].x;
+    let dy = current[0].y - gesture.pointers[0].y;
+    photo.zoom = start.zoom;
+    if (current.length === 2) {
+        const [a0, b0] = gesture.pointers;
+        const [a1, b1] = current;
+        dx = ((a1.x + b1.x) - (a0.x + b0.x)) / 2;
+        dy = ((a1.y + b1.y) - (a0.y + b0.y)) / 2;
+        const ratio = Math.hypot(b1.x - a1.x, b1.y - a1.y) / (Math.hypot(b0.x - a0.x, b0.y - a0.y) || 1);
+        photo.zoom = Math.min(Math.max(start.zoom * ratio, 1), UPLOAD_ZOOM_MAX);
+    }
+
+    // Screen px -> photo px at the current zoom; dragging right moves the photo right
+    const crop = getUploadCrop(photo, aspect);
+    photo.centerX = start.centerX - (dx * crop.width / rect.width) / photo.width;
+    photo.centerY = start.centerY - (dy * crop.height / rect.height) / photo.height;
+    clampUploadCenter(photo, aspect);
+    renderUploadPreview();
+}
+
+function handleUploadPointerDown(event) {
+    if (!uploadedPhotos[uploadIndex]) return;
+    event.preventDefault();
+    uploadCanvas.setPointerCapture(event.pointerId);
+    uploadPointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    beginUploadGesture();
+}
+
+function handleUploadPointerMove(event) {
+    if (!uploadPointers.has(event.pointerId)) return;
+    uploadPointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    moveUploadedPhoto();
+}
+
+function handleUploadPointerUp(event) {
+    if (!uploadPointers.delete(event.pointerId)) return;
+    // Lifting one finger of a pinch carries on as a drag
+    beginUploadGesture();
+}
+
+function handleUploadWheel(event) {
+    const photo = uploadedPhotos[uploadIndex];
+    if (!photo) return;
+    event.preventDefault();
+
+    const rect = uploadCanvas.getBoundingClientRect();
+    photo.zoom = Math.min(Math.max(photo.zoom * Math.exp(-event.deltaY / 300), 1), UPLOAD_ZOOM_MAX);
+    clampUploadCenter(photo, rect.width / rect.height);
+    renderUploadPreview();
+}
+
+// Event listeners
+document.querySelectorAll('.upload-photo-btn').forEach(button => {
+    button.addEventListener('click', () => uploadInput.click());
+});
+uploadInput.addEventListener('change', async () => {
+    const files = uploadInput.files;
+    try {
+        await openUploadEditor(files);
+    } finally {
+        // Allow picking the same file again
+        uploadInput.value = '';
+    }
+});
+
+uploadPrevBtn.addEventListener('click', () => showUploadedPhoto(uploadIndex - 1));
+uploadNextBtn.addEventListener('click', () => showUploadedPhoto(uploadIndex + 1));
+document.getElementById('upload-frame-prev-btn').addEventListener('click', () => cycleUploadFrame(-1));
+document.getElementById('upload-frame-next-btn').addEventListener('click', () => cycleUploadFrame(1));
+uploadAspectBtn.addEventListener('click', cycleUploadAspect);
+document.getElementById('upload-cancel-btn').addEventListener('click', closeUploadEditor);
+uploadDoneBtn.addEventListener('click', frameUploadedPhotos);
+
+uploadCanvas.addEventListener('pointerdown', handleUploadPointerDown);
+uploadCanvas.addEventListener('pointermove', handleUploadPointerMove);
+uploadCanvas.addEventListener('pointerup', handleUploadPointerUp);
+uploadCanvas.addEventListener('pointercancel', handleUploadPointerUp);
+uploadCanvas.addEventListener('wheel', handleUploadWheel, { passive: false });
+
+window.addEventListener('resize', () => {
+    if (!uploadEditor.classList.contains('hidden')) renderUploadPreview();
+});
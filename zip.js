@@ -0,0 +1,73 @@
+// Minimal ZIP writer - stores files without compression (photos and clips are already
+// compressed). Uses crc32() from metadata.js.
+
+// DOS date/time fields used by ZIP headers (local time, 2-second precision)
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Build a ZIP blob from [{ name, blob, date }]
+async function createZipBlob(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const data = new Uint8Array(await file.blob.arrayBuffer());
+        const name = encoder.encode(file.name);
+        const crc = crc32(data);
+        const { time, date } = toDosDateTime(file.date || new Date());
+
+        // Local file header
+        const header = new Uint8Array(30 + name.length);
+        const headerView = new DataView(header.buffer);
+        headerView.setUint32(0, 0x04034B50, true);
+        headerView.setUint16(4, 20, true); // Version needed
+        headerView.setUint16(6, 0x0800, true); // UTF-8 file names
+        headerView.setUint16(8, 0, true); // Stored
+        headerView.setUint16(10, time, true);
+        headerView.setUint16(12, date, true);
+        headerView.setUint32(14, crc, true);
+        headerView.setUint32(18, data.length, true);
+        headerView.setUint32(22, data.length, true);
+        headerView.setUint16(26, name.length, true);
+        header.set(name, 30);
+
+        // Central directory entry
+        const entry = new Uint8Array(46 + name.length);
+        const entryView = new DataView(entry.buffer);
+        entryView.setUint32(0, 0x02014B50, true);
+        entryView.setUint16(4, 20, true); // Version made by
+        entryView.setUint16(6, 20, true); // Version needed
+        entryView.setUint16(8, 0x0800, true);
+        entryView.setUint16(10, 0, true);
+        entryView.setUint16(12, time, true);
+        entryView.setUint16(14, date, true);
+        entryView.setUint32(16, crc, true);
+        entryView.setUint32(20, data.length, true);
+        entryView.setUint32(24, data.length, true);
+        entryView.setUint16(28, name.length, true);
+        entryView.setUint32(42, offset, true); // Local header offset
+        entry.set(name, 46);
+
+        parts.push(header, file.blob);
+        centralDirectory.push(entry);
+        offset += header.length + data.length;
+    }
+
+    // End of central directory record
+    const directorySize = centralDirectory.reduce((sum, entry) => sum + entry.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054B50, true);
+    endView.setUint16(8, files.length, true);
+    endView.setUint16(10, files.length, true);
+    endView.setUint32(12, directorySize, true);
+    endView.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}